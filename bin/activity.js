@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import config from '../config/config.js';
+import { createServices } from '../src/services.js';
+import TableFormatter from '../src/processors/table-formatter.js';
+import { createDateRange, lastNDays, parseDate } from '../src/utils/date-range.js';
+
+/**
+ * Command-line interface
+ *
+ *   activity "What is Sarah working on this week?"
+ *   activity --user sarah --since 7d --platform github --format table
+ *
+ * Answers through the same pipeline as POST /api/query, without starting
+ * the HTTP server. The answer goes to stdout; exit codes tell scripts
+ * what happened (see EXIT_CODES).
+ */
+
+const USAGE = `Usage: activity [question] [options]
+
+Options:
+  -u, --user <name>        Who to ask about (overrides the question)
+  -s, --since <when>       Start date: YYYY-MM-DD, or a number of days / weeks (7d, 2w)
+  -p, --platform <name>    jira, github or both
+  -f, --format <format>    markdown (default), json or table
+  -r, --refresh            Skip cached data
+  -v, --verbose            Log what the pipeline is doing to stderr
+  -h, --help               Show this help
+
+Examples:
+  activity "What is Sarah working on this week?"
+  activity --user sarah --since 2w --format table
+  activity "What has the payments team shipped last sprint?" --format json`;
+
+const FORMATS = ['markdown', 'json', 'table'];
+const PLATFORMS = ['jira', 'github', 'both'];
+
+// 0 is an answer, including "no activity in that period"
+const EXIT_CODES = {
+  ERROR: 1,
+  USAGE: 2,
+  USER_NOT_FOUND: 3,
+  AMBIGUOUS_USER: 3,
+  TEAM_NOT_FOUND: 3,
+  API_ERROR: 4
+};
+
+class UsageError extends Error {}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+dotenv.config();
+
+try {
+  const options = parseOptions(process.argv.slice(2));
+
+  if (options.help) {
+    finish(USAGE, 0);
+  } else {
+    await run(options);
+  }
+} catch (error) {
+  if (error instanceof UsageError) {
+    process.stderr.write(`activity: ${error.message}\nRun "activity --help" for usage.\n`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  process.stderr.write(`activity: ${error.message}\n`);
+  process.exit(EXIT_CODES.ERROR);
+}
+
+async function run(options) {
+  // The pipeline logs progress to stdout, which is reserved for the answer
+  if (!options.verbose) {
+    console.log = console.info = console.warn = console.error = () => {};
+  } else {
+    console.log = console.info = console.error;
+  }
+
+  // Data files (identities, SQLite cache) are relative to the project root, as for the server
+  process.chdir(path.resolve(__dirname, '..'));
+
+  const { cache, responseGenerator, snapshotStore, queryService } = await createServices(config);
+
+  let answer;
+  try {
+    answer = await queryService.answer(
+      { query: options.query, refresh: options.refresh },
+      { overrides: { name: options.user, dateRange: options.dateRange, platform: options.platform } }
+    );
+  } finally {
+    await cache.close();
+    await snapshotStore?.close();
+  }
+
+  finish(render(answer.body, options.format, responseGenerator), exitCodeFor(answer.status, answer.body));
+}
+
+/**
+ * Read argv into { query, user, dateRange, platform, format, ... }
+ * A question isn't needed when --user says who to ask about
+ */
+function parseOptions(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        user: { type: 'string', short: 'u' },
+        since: { type: 'string', short: 's' },
+        platform: { type: 'string', short: 'p' },
+        format: { type: 'string', short: 'f', default: 'markdown' },
+        refresh: { type: 'boolean', short: 'r', default: false },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}" (use ${FORMATS.join(', ')})`);
+  }
+  if (values.platform && !PLATFORMS.includes(values.platform)) {
+    throw new UsageError(`Unknown platform "${values.platform}" (use ${PLATFORMS.join(', ')})`);
+  }
+
+  const user = values.user?.trim() || null;
+  const query = positionals.join(' ').trim() || (user ? `What is ${user} working on?` : '');
+  if (!query) {
+    throw new UsageError('Ask a question or name someone with --user');
+  }
+
+  return {
+    query,
+    user,
+    dateRange: values.since ? parseSince(values.since) : null,
+    platform: values.platform || null,
+    format: values.format,
+    refresh: values.refresh,
+    verbose: values.verbose
+  };
+}
+
+/**
+ * "2026-10-01" runs from that date; "7d" / "2w" are the last 7 / 14 days
+ */
+function parseSince(value) {
+  const relative = value.match(/^(\d+)([dw])$/i);
+  if (relative) {
+    const days = Number(relative[1]) * (relative[2].toLowerCase() === 'w' ? 7 : 1);
+    if (days > 0) return lastNDays(days);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = parseDate(value);
+    if (!Number.isNaN(start.getTime())) {
+      return createDateRange(start, new Date(), `since ${value}`);
+    }
+  }
+
+  throw new UsageError(`Can't read --since "${value}" (use YYYY-MM-DD, 7d or 2w)`);
+}
+
+function render(body, format, responseGenerator) {
+  if (format === 'json') {
+    return JSON.stringify(body, null, 2);
+  }
+  if (format === 'table') {
+    return new TableFormatter(responseGenerator).format(body);
+  }
+  return body.response || body.message || body.error;
+}
+
+/**
+ * Non-zero when the answer is an error scripts should notice
+ */
+function exitCodeFor(status, body) {
+  const type = typeof body.error === 'object' ? body.error?.type : null;
+  if (type && EXIT_CODES[type]) return EXIT_CODES[type];
+  if (status === 400) return EXIT_CODES.USAGE;
+  return status === 200 ? 0 : EXIT_CODES.ERROR;
+}
+
+/**
+ * Print and exit once stdout has drained, so piped output isn't cut off
+ * Exiting explicitly also closes keep-alive sockets the clients left open
+ */
+function finish(output, code) {
+  process.stdout.write(`${output}\n`, () => process.exit(code));
+}
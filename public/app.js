@@ -9,6 +9,9 @@ const queryInput = document.getElementById('queryInput');
 const sendButton = document.getElementById('sendButton');
 const exampleButtons = document.querySelectorAll('.example-btn');
 
+// Server-side conversation session, so follow-ups like "What about her PRs?" work
+let sessionId = null;
+
 // Add example button handlers
 exampleButtons.forEach(btn => {
     btn.addEventListener('click', () => {
@@ -31,47 +34,92 @@ chatForm.addEventListener('submit', (e) => {
 
 /**
  * Handle query submission
+ * `pins` carries a chosen jiraAccountId / githubLogin after an ambiguous match
+ * Uses the streaming endpoint so progress and reply text appear as they arrive
  */
-async function handleSubmit(query) {
+async function handleSubmit(query, pins = {}, label = query) {
     // Add user message to chat
-    addMessage(query, 'user');
+    addMessage(label, 'user');
     
     // Disable input while processing
     setInputDisabled(true);
     
-    // Show loading message
+    // Show loading message, updated with progress as sources come back
     const loadingId = addMessage('Thinking...', 'bot', true);
+    const progressLines = [];
+    let replyDiv = null;
+    let replyText = '';
+    let result = null;
     
     try {
-        const response = await fetch('/api/query', {
+        const response = await fetch('/api/query/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ query })
+            body: JSON.stringify({ query, sessionId, ...pins })
+        });
+
+        if (!response.ok || !response.body) {
+            throw new Error(`Stream request failed with ${response.status}`);
+        }
+
+        await readEvents(response, (event, data) => {
+            if (event === 'progress') {
+                const line = describeProgress(data);
+                if (line) {
+                    progressLines.push(line);
+                    updateMessage(loadingId, ['Thinking...', ...progressLines].join('\n'));
+                }
+            } else if (event === 'token') {
+                if (!replyDiv) {
+                    removeMessage(loadingId);
+                    replyDiv = createReplyMessage();
+                }
+                replyText = data.replace ? data.text : replyText + data.text;
+                setMarkdown(replyDiv, replyText);
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+            } else if (event === 'done' || event === 'error') {
+                result = { ok: event === 'done', data };
+            }
         });
 
-        const data = await response.json();
-        
-        // Remove loading message
         removeMessage(loadingId);
+
+        if (!result) {
+            throw new Error('Stream ended without a result');
+        }
+
+        const data = result.data;
+
+        if (data.sessionId) {
+            sessionId = data.sessionId;
+        }
         
-        if (response.ok) {
+        if (result.ok) {
             // Show bot response
-            if (data.error) {
+            if (data.error && data.error.type === 'AMBIGUOUS_USER') {
+                addMessage(data.response, 'bot');
+                showCandidates(data.error.candidates, query, data.pins || pins);
+            } else if (data.error) {
                 addMessage(data.response, 'bot', false, true);
             } else {
-                addMessage(data.response, 'bot');
+                // The final text is authoritative; the stream may have been partial
+                if (replyDiv) {
+                    setMarkdown(replyDiv, data.response);
+                } else {
+                    addMessage(data.response, 'bot');
+                }
                 
-                // Optionally show additional data in a collapsible section
+                // Show the underlying items as collapsible cards
                 if (data.data && data.data.metrics.totalItems > 0) {
-                    showDataSummary(data.data);
+                    showDataCards(data.data, data.users ? data.parsed.name : null);
                 }
             }
         } else {
             // Show error message
             addMessage(
-                data.message || 'Sorry, I encountered an error. Please try again.',
+                data.message || data.error || 'Sorry, I encountered an error. Please try again.',
                 'bot',
                 false,
                 true
@@ -92,6 +140,72 @@ async function handleSubmit(query) {
     }
 }
 
+/**
+ * Read Server-Sent Events from a fetch response
+ * (EventSource can't POST a body, so the stream is parsed by hand)
+ */
+async function readEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events end with a blank line; keep a partial event for the next read
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        events.forEach(raw => {
+            let event = 'message';
+            let data = '';
+            raw.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (data) onEvent(event, JSON.parse(data));
+        });
+    }
+}
+
+const SOURCE_LABELS = {
+    issues: 'assigned JIRA issues',
+    recentActivity: 'recent JIRA updates',
+    commits: 'commits',
+    pullRequests: 'open pull requests',
+    closedPullRequests: 'merged and closed pull requests',
+    repositories: 'repositories',
+    reviews: 'reviews given',
+    reviewRequests: 'pending review requests',
+    transitions: 'JIRA status changes'
+};
+
+/**
+ * One status line per progress event
+ */
+function describeProgress(progress) {
+    switch (progress.stage) {
+        case 'resolving':
+            return progress.team
+                ? `Looking up ${progress.members} members of ${progress.team}...`
+                : `Looking up ${progress.name}...`;
+        case 'fetched': {
+            const who = progress.member ? `${progress.member}: ` : '';
+            const label = SOURCE_LABELS[progress.source] || progress.source;
+            return progress.error
+                ? `${who}couldn't load ${label}`
+                : `${who}found ${progress.count} ${label}`;
+        }
+        case 'generating':
+            return 'Writing the answer...';
+        default:
+            return null;
+    }
+}
+
 /**
  * Add a message to the chat
  */
@@ -111,7 +225,12 @@ function addMessage(text, type, isLoading = false, isError = false) {
         messageDiv.id = `loading-${Date.now()}`;
     }
     
-    contentDiv.textContent = text;
+    // Bot replies are markdown; user input and status lines stay plain text
+    if (type === 'bot' && !isLoading) {
+        setMarkdown(contentDiv, text);
+    } else {
+        contentDiv.textContent = text;
+    }
     messageDiv.appendChild(contentDiv);
     chatMessages.appendChild(messageDiv);
     
@@ -121,6 +240,40 @@ function addMessage(text, type, isLoading = false, isError = false) {
     return messageDiv.id;
 }
 
+/**
+ * Replace an element's content with rendered markdown
+ */
+function setMarkdown(element, text) {
+    element.classList.add('markdown');
+    element.replaceChildren(renderMarkdown(text));
+}
+
+/**
+ * Add an empty bot message for a reply that is about to stream in
+ */
+function createReplyMessage() {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content markdown';
+    messageDiv.appendChild(contentDiv);
+    chatMessages.appendChild(messageDiv);
+
+    return contentDiv;
+}
+
+/**
+ * Replace the text of a message (for loading messages)
+ */
+function updateMessage(messageId, text) {
+    const message = document.getElementById(messageId);
+    if (message) {
+        message.querySelector('.message-content').textContent = text;
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
 /**
  * Remove a message (for loading messages)
  */
@@ -132,19 +285,17 @@ function removeMessage(messageId) {
 }
 
 /**
- * Show data summary in a collapsible format
+ * Show the data behind an answer as collapsible cards
+ * Team payloads tag items with the member they belong to
+ * `person` adds a button opening their timeline for the same dates
  */
-function showDataSummary(data) {
-    const summaryDiv = document.createElement('div');
-    summaryDiv.className = 'message bot-message';
+function showDataCards(data, person = null) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message';
     
     const contentDiv = document.createElement('div');
-    contentDiv.className = 'message-content';
-    contentDiv.style.fontSize = '0.875rem';
-    contentDiv.style.opacity = '0.8';
-    contentDiv.style.marginTop = '8px';
+    contentDiv.className = 'message-content data-cards';
     
-    let summary = '📊 Quick Stats: ';
     const stats = [];
     
     if (data.jira.summary.count > 0) {
@@ -154,17 +305,339 @@ function showDataSummary(data) {
         stats.push(`${data.github.summary.commitCount} commits`);
     }
     if (data.github.summary.prCount > 0) {
-        stats.push(`${data.github.summary.prCount} PRs`);
+        stats.push(`${data.github.summary.prCount} open PRs`);
+    }
+    if (data.github.summary.mergedCount > 0) {
+        stats.push(`${data.github.summary.mergedCount} merged`);
     }
     
-    summary += stats.join(', ');
-    contentDiv.textContent = summary;
-    summaryDiv.appendChild(contentDiv);
-    chatMessages.appendChild(summaryDiv);
+    const summary = document.createElement('div');
+    summary.className = 'data-summary';
+    summary.textContent = `📊 Quick Stats: ${stats.join(', ')}`;
+    contentDiv.appendChild(summary);
+
+    // Organizations / repositories GitHub searches were limited to
+    const githubScope = data.scope && data.scope.github ? data.scope.githubScope : null;
+    if (githubScope) {
+        const parts = [...githubScope.organizations, ...githubScope.include].concat(
+            githubScope.exclude.map(repo => `not ${repo}`)
+        );
+        contentDiv.appendChild(createText('data-summary', `🏢 GitHub scope: ${parts.join(', ')}`));
+    }
+
+    // Sources that stopped at the pagination limit
+    if (data.truncated && data.truncated.length > 0) {
+        const parts = data.truncated.map(entry => {
+            const of = entry.total ? ` of ${entry.total}` : '';
+            const who = entry.member ? ` (${entry.member})` : '';
+            return `${entry.fetched}${of} ${SOURCE_LABELS[entry.source] || entry.source}${who}`;
+        });
+        contentDiv.appendChild(createText('data-truncated', `⚠️ Partial results: showing the first ${parts.join(', ')}`));
+    }
+
+    // Team members whose data couldn't be loaded
+    if (data.failedMembers && data.failedMembers.length > 0) {
+        contentDiv.appendChild(createText('data-truncated', `⚠️ Couldn't load: ${data.failedMembers.map(member => member.name).join(', ')}`));
+    }
+
+    const sections = [
+        createSection('📋 JIRA issues', data.jira.activeIssues, createIssueCard),
+        createSection('🚧 In flight', data.github.pullRequests, createPullRequestCard),
+        createSection('🚀 Shipped', data.github.closedPullRequests, createPullRequestCard),
+        createSection('👀 Waiting on review', data.github.reviewRequests, createReviewRequestCard),
+        createSection('🔍 Reviews given', data.github.reviews, createReviewCard),
+        createSection('💻 Commits', data.github.commits, createCommitItem, 'commit-list'),
+        createSection('🔗 Linked work', data.linked, createLinkedItem, 'commit-list')
+    ].filter(Boolean);
+
+    sections.forEach(section => contentDiv.appendChild(section));
+
+    if (person) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'candidate-btn timeline-button';
+        button.textContent = '🕒 Show as timeline';
+        button.addEventListener('click', () => showTimeline(person, data.metrics.dateRange));
+        contentDiv.appendChild(button);
+    }
+
+    messageDiv.appendChild(contentDiv);
+    chatMessages.appendChild(messageDiv);
     
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+/**
+ * A collapsible section with one element per item, or null when empty
+ */
+function createSection(title, items, renderItem, listClass = 'card-list') {
+    if (!items || items.length === 0) return null;
+
+    const details = document.createElement('details');
+    details.className = 'data-section';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${title} (${items.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('div');
+    list.className = listClass;
+    items.forEach(item => list.appendChild(renderItem(item)));
+    details.appendChild(list);
+
+    return details;
+}
+
+/**
+ * Issue card: key, summary, status and priority badges
+ */
+function createIssueCard(issue) {
+    const card = createCard(issue.url);
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.appendChild(createText('card-key', issue.key));
+    header.appendChild(createBadge(issue.status, `status-${statusCategory(issue.status)}`));
+    if (issue.priority) {
+        header.appendChild(createBadge(issue.priority, `priority-${priorityLevel(issue.priority)}`));
+    }
+    card.appendChild(header);
+
+    card.appendChild(createText('card-title', issue.summary));
+
+    const meta = [issue.project, issue.assignee].filter(Boolean).join(' · ');
+    if (meta) card.appendChild(createText('card-meta', meta));
+
+    return card;
+}
+
+/**
+ * Pull request card: title, repository and branches
+ */
+function createPullRequestCard(pr) {
+    const card = createCard(pr.url);
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.appendChild(createText('card-key', `${pr.repository}#${pr.number}`));
+    if (pr.state) header.appendChild(createBadge(pr.state, `state-${pr.state}`));
+    card.appendChild(header);
+
+    card.appendChild(createText('card-title', pr.title));
+
+    const branches = pr.headBranch ? `${pr.headBranch} → ${pr.baseBranch}` : pr.baseBranch;
+    const comments = pr.comments > 0 ? `${pr.comments} comments` : null;
+    const diff = pr.mergedAt ? `+${pr.additions}/-${pr.deletions} in ${pr.changedFiles} files` : null;
+    const meta = [branches, pr.author, comments, diff, pr.mergedAt ? `merged ${formatDay(pr.mergedAt)}` : null]
+        .filter(Boolean)
+        .join(' · ');
+    if (meta) card.appendChild(createText('card-meta', meta));
+
+    return card;
+}
+
+/**
+ * Review card: the PR reviewed and the reviewer's latest verdict
+ */
+function createReviewCard(review) {
+    const card = createCard(review.url);
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.appendChild(createText('card-key', `${review.repository}#${review.number}`));
+    header.appendChild(createBadge(formatReviewState(review.latestState), `review-${review.latestState.toLowerCase()}`));
+    card.appendChild(header);
+
+    card.appendChild(createText('card-title', review.title));
+
+    const meta = [
+        `by ${review.author}`,
+        review.commentCount > 0 ? `${review.commentCount} comments` : null,
+        review.reviewer ? `reviewed by ${review.reviewer}` : null,
+        formatDay(review.submittedAt)
+    ].filter(Boolean).join(' · ');
+    card.appendChild(createText('card-meta', meta));
+
+    return card;
+}
+
+/**
+ * Review request card: a PR waiting on the person's review
+ */
+function createReviewRequestCard(request) {
+    const card = createCard(request.url);
+
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.appendChild(createText('card-key', `${request.repository}#${request.number}`));
+    card.appendChild(header);
+
+    card.appendChild(createText('card-title', request.title));
+
+    const meta = [
+        `by ${request.author}`,
+        request.reviewer ? `waiting on ${request.reviewer}` : null,
+        `opened ${formatDay(request.created)}`
+    ].filter(Boolean).join(' · ');
+    card.appendChild(createText('card-meta', meta));
+
+    return card;
+}
+
+function formatReviewState(state = '') {
+    const labels = {
+        APPROVED: 'approved',
+        CHANGES_REQUESTED: 'changes requested',
+        COMMENTED: 'commented',
+        DISMISSED: 'dismissed'
+    };
+    return labels[state] || state.toLowerCase();
+}
+
+/**
+ * Commit row: linked short SHA, first line of the message, repository
+ */
+function createCommitItem(commit) {
+    const row = document.createElement('div');
+    row.className = 'commit-item';
+
+    const sha = createLink(commit.url, commit.sha);
+    sha.classList.add('commit-sha');
+    row.appendChild(sha);
+
+    row.appendChild(createText('commit-message', commit.message));
+
+    const meta = [commit.repository, commit.member, formatDay(commit.date)].filter(Boolean).join(' · ');
+    row.appendChild(createText('card-meta', meta));
+
+    return row;
+}
+
+/**
+ * Linked work row: a commit and the JIRA ticket it references
+ */
+function createLinkedItem(link) {
+    const row = document.createElement('div');
+    row.className = 'commit-item';
+
+    const sha = createLink(link.commit.url, link.commit.sha);
+    sha.classList.add('commit-sha');
+    row.appendChild(sha);
+
+    row.appendChild(createText('commit-message', '→'));
+
+    const ticket = createLink(link.ticket.url, link.ticket.key);
+    ticket.classList.add('card-key');
+    row.appendChild(ticket);
+
+    row.appendChild(createText('card-meta', `${link.ticket.summary} · ${link.ticket.status}`));
+
+    return row;
+}
+
+/**
+ * Card wrapper that opens the item's source when clicked
+ */
+function createCard(url) {
+    const card = createLink(url, '');
+    card.classList.add('data-card');
+    return card;
+}
+
+function createText(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text || '';
+    return span;
+}
+
+function createBadge(text, variant) {
+    return createText(`badge badge-${variant}`, text);
+}
+
+/**
+ * Rough JIRA status category from the status name, for badge colours
+ */
+function statusCategory(status = '') {
+    const name = status.toLowerCase();
+    if (/done|closed|resolved|complete/.test(name)) return 'done';
+    if (/progress|review|testing|qa/.test(name)) return 'active';
+    return 'todo';
+}
+
+function priorityLevel(priority = '') {
+    const name = priority.toLowerCase();
+    if (/highest|high|critical|blocker/.test(name)) return 'high';
+    if (/low/.test(name)) return 'low';
+    return 'medium';
+}
+
+function formatDay(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString() : null;
+}
+
+/**
+ * Show the people an ambiguous name matched as clickable choices
+ * Picking one re-issues the same query pinned to that person
+ */
+function showCandidates(candidates, query, pins) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content candidate-list';
+
+    candidates.forEach(candidate => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'candidate-btn';
+
+        if (candidate.avatarUrl) {
+            const avatar = document.createElement('img');
+            avatar.className = 'candidate-avatar';
+            avatar.src = candidate.avatarUrl;
+            avatar.alt = '';
+            button.appendChild(avatar);
+        }
+
+        const details = document.createElement('span');
+        details.className = 'candidate-details';
+
+        const name = document.createElement('strong');
+        name.textContent = candidate.displayName;
+        details.appendChild(name);
+
+        const meta = [
+            candidate.email,
+            candidate.githubLogin ? `@${candidate.githubLogin}` : null,
+            candidate.platform === 'jira' ? 'JIRA' : 'GitHub'
+        ].filter(Boolean).join(' · ');
+        const metaSpan = document.createElement('span');
+        metaSpan.className = 'candidate-meta';
+        metaSpan.textContent = meta;
+        details.appendChild(metaSpan);
+
+        button.appendChild(details);
+
+        button.addEventListener('click', () => {
+            const chosen = { ...pins };
+            if (candidate.jiraAccountId) chosen.jiraAccountId = candidate.jiraAccountId;
+            if (candidate.githubLogin) chosen.githubLogin = candidate.githubLogin;
+
+            // Only one choice per ambiguous prompt
+            contentDiv.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+            handleSubmit(query, chosen, `${query} (${candidate.displayName})`);
+        });
+
+        contentDiv.appendChild(button);
+    });
+
+    messageDiv.appendChild(contentDiv);
+    chatMessages.appendChild(messageDiv);
+
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
 /**
  * Enable/disable input
  */
@@ -0,0 +1,133 @@
+/**
+ * Safe Markdown Rendering
+ * Turns the small subset of markdown our responses use into DOM nodes
+ *
+ * Creative solutions:
+ * - Builds elements directly and only ever sets textContent, so model
+ *   output can't inject HTML or scripts
+ * - Only http(s) and mailto links become anchors
+ * - Handles the "•" bullets the template responses use
+ * - Cheap enough to re-render on every streamed token
+ */
+
+const LIST_ITEM = /^\s*(?:([-*•])|(\d+)[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * Render markdown text into a DocumentFragment
+ */
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+
+    let paragraph = null;
+    let list = null;
+
+    const closeBlocks = () => {
+        paragraph = null;
+        list = null;
+    };
+
+    lines.forEach(line => {
+        if (!line.trim()) {
+            closeBlocks();
+            return;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            closeBlocks();
+            // Chat bubbles are small; keep headings modest
+            const level = Math.min(heading[1].length + 2, 6);
+            const element = document.createElement(`h${level}`);
+            appendInline(element, heading[2]);
+            fragment.appendChild(element);
+            return;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            paragraph = null;
+            const tag = item[2] ? 'ol' : 'ul';
+            if (!list || list.tagName.toLowerCase() !== tag) {
+                list = document.createElement(tag);
+                fragment.appendChild(list);
+            }
+            const li = document.createElement('li');
+            appendInline(li, item[3]);
+            list.appendChild(li);
+            return;
+        }
+
+        list = null;
+        if (!paragraph) {
+            paragraph = document.createElement('p');
+            fragment.appendChild(paragraph);
+        } else {
+            paragraph.appendChild(document.createElement('br'));
+        }
+        appendInline(paragraph, line);
+    });
+
+    return fragment;
+}
+
+/**
+ * Append inline markdown (code, bold, italic, links) to an element
+ */
+function appendInline(parent, text) {
+    let rest = text;
+
+    while (rest) {
+        const match = rest.match(INLINE);
+        if (!match) {
+            parent.appendChild(document.createTextNode(rest));
+            return;
+        }
+
+        if (match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+        }
+
+        const [token, code, bold, italic, link] = match;
+
+        if (code) {
+            const element = document.createElement('code');
+            element.textContent = code.slice(1, -1);
+            parent.appendChild(element);
+        } else if (bold) {
+            const element = document.createElement('strong');
+            appendInline(element, bold.slice(2, -2));
+            parent.appendChild(element);
+        } else if (italic) {
+            const element = document.createElement('em');
+            appendInline(element, italic.slice(1, -1));
+            parent.appendChild(element);
+        } else if (link) {
+            const [, label, url] = link.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            parent.appendChild(createLink(url, label));
+        }
+
+        rest = rest.slice(match.index + token.length);
+    }
+}
+
+/**
+ * An anchor that opens outside the app, or plain text for unsafe URLs
+ */
+function createLink(url, label) {
+    if (!url || !SAFE_URL.test(url)) {
+        const span = document.createElement('span');
+        span.textContent = label;
+        return span;
+    }
+
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    anchor.textContent = label;
+    return anchor;
+}
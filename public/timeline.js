@@ -0,0 +1,202 @@
+/**
+ * Activity Timeline
+ * Shows GET /api/timeline as one event stream per day
+ *
+ * Uses createText / createBadge / SOURCE_LABELS from app.js and
+ * createLink from markdown.js
+ */
+
+const timelinePanel = document.getElementById('timelinePanel');
+const timelineForm = document.getElementById('timelineForm');
+const timelineScope = document.getElementById('timelineScope');
+const timelineWho = document.getElementById('timelineWho');
+const timelineStart = document.getElementById('timelineStart');
+const timelineEnd = document.getElementById('timelineEnd');
+const timelineProject = document.getElementById('timelineProject');
+const timelineRepository = document.getElementById('timelineRepository');
+const timelineButton = document.getElementById('timelineButton');
+const timelineResults = document.getElementById('timelineResults');
+
+// The API's limit on how many days one timeline covers
+const TIMELINE_MAX_DAYS = 90;
+
+const TIMELINE_LABELS = {
+    transition: '🔀 Transition',
+    commit: '💻 Commit',
+    pr_opened: '🚧 PR opened',
+    pr_merged: '🚀 PR merged',
+    review: '🔍 Review'
+};
+
+const TIMELINE_COUNT_LABELS = {
+    transition: 'transitions',
+    commit: 'commits',
+    pr_opened: 'PRs opened',
+    pr_merged: 'PRs merged',
+    review: 'reviews'
+};
+
+// Default to the last 7 days
+timelineEnd.value = toDateInput(new Date());
+timelineStart.value = toDateInput(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000));
+
+timelineForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadTimeline();
+});
+
+/**
+ * Open the panel on a person's timeline, e.g. from an answer in the chat
+ * `dateRange` is the answer's { start, end }; longer ranges keep their last 90 days
+ */
+function showTimeline(name, dateRange) {
+    timelineScope.value = 'person';
+    timelineWho.value = name;
+
+    if (dateRange) {
+        const end = new Date(`${dateRange.end}T00:00:00`);
+        const earliest = new Date(end.getTime() - (TIMELINE_MAX_DAYS - 1) * 24 * 60 * 60 * 1000);
+        const start = new Date(`${dateRange.start}T00:00:00`);
+        timelineStart.value = toDateInput(start < earliest ? earliest : start);
+        timelineEnd.value = dateRange.end;
+    }
+
+    timelinePanel.open = true;
+    timelinePanel.scrollIntoView({ behavior: 'smooth' });
+    loadTimeline();
+}
+
+/**
+ * Fetch the timeline for the form's settings and render it
+ */
+async function loadTimeline() {
+    const who = timelineWho.value.trim();
+    if (!who) return;
+
+    const types = [...document.querySelectorAll('input[name="timelineType"]:checked')].map(box => box.value);
+    if (types.length === 0) {
+        renderTimelineMessage('Pick at least one kind of event.', true);
+        return;
+    }
+
+    const params = new URLSearchParams({ [timelineScope.value]: who, types: types.join(',') });
+    if (timelineStart.value) params.set('start', timelineStart.value);
+    if (timelineEnd.value) params.set('end', timelineEnd.value);
+    if (timelineProject.value.trim()) params.set('project', timelineProject.value.trim());
+    if (timelineRepository.value.trim()) params.set('repository', timelineRepository.value.trim());
+
+    timelineButton.disabled = true;
+    renderTimelineMessage('Loading...');
+
+    try {
+        const response = await fetch(`/api/timeline?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            renderTimelineMessage(describeTimelineError(data.error, who), true);
+            return;
+        }
+        renderTimeline(data);
+    } catch (error) {
+        console.error('Error:', error);
+        renderTimelineMessage('Sorry, I couldn\'t load the timeline. Please try again.', true);
+    } finally {
+        timelineButton.disabled = false;
+    }
+}
+
+function describeTimelineError(error = {}, who) {
+    switch (error.type) {
+        case 'USER_NOT_FOUND':
+            return `I couldn't find "${who}" in JIRA or GitHub.`;
+        case 'TEAM_NOT_FOUND':
+            return `There's no team called "${who}".`;
+        case 'AMBIGUOUS_USER':
+            return `"${who}" matches several people: ${(error.candidates || []).map(candidate => candidate.displayName).join(', ')}. Try a full name.`;
+        default:
+            return error.message || 'Sorry, something went wrong loading the timeline.';
+    }
+}
+
+function renderTimelineMessage(text, isError = false) {
+    const message = createText(isError ? 'data-truncated' : 'data-summary', text);
+    timelineResults.replaceChildren(message);
+}
+
+/**
+ * Summary line, warnings, then one section per day
+ */
+function renderTimeline(data) {
+    const who = data.team ? data.team.name : data.person;
+    const counts = Object.entries(data.counts)
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => `${count} ${TIMELINE_COUNT_LABELS[type] || type}`);
+
+    const nodes = [
+        createText('data-summary', `📊 ${who}, ${data.dateRange.label}: ${data.total} events${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`)
+    ];
+
+    if (data.unresolved.length > 0) {
+        nodes.push(createText('data-truncated', `⚠️ Not found on any platform: ${data.unresolved.join(', ')}`));
+    }
+    if (data.failedMembers.length > 0) {
+        nodes.push(createText('data-truncated', `⚠️ Couldn't load: ${data.failedMembers.map(member => member.name).join(', ')}`));
+    }
+    if (data.truncated.length > 0) {
+        const parts = data.truncated.map(entry => `${SOURCE_LABELS[entry.source] || entry.source}${entry.member ? ` (${entry.member})` : ''}`);
+        nodes.push(createText('data-truncated', `⚠️ Partial results, hit the page limit for: ${parts.join(', ')}`));
+    }
+
+    data.days.forEach(day => nodes.push(createTimelineDay(day)));
+
+    if (data.total === 0) {
+        nodes.push(createText('data-summary', 'No activity in this range.'));
+    }
+
+    timelineResults.replaceChildren(...nodes);
+}
+
+function createTimelineDay(day) {
+    const section = document.createElement('div');
+    section.className = 'timeline-day';
+
+    const heading = document.createElement('h4');
+    heading.textContent = new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, {
+        weekday: 'long', month: 'short', day: 'numeric'
+    });
+    section.appendChild(heading);
+
+    day.events.forEach(event => section.appendChild(createTimelineEvent(event)));
+    return section;
+}
+
+/**
+ * Event row: time, kind, linked reference, title, then details
+ */
+function createTimelineEvent(event) {
+    const row = document.createElement('div');
+    row.className = `timeline-event timeline-${event.type}`;
+
+    row.appendChild(createText('timeline-time', new Date(event.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })));
+    row.appendChild(createBadge(TIMELINE_LABELS[event.type] || event.type, event.type));
+
+    const ref = createLink(event.url, event.ref);
+    ref.classList.add('card-key');
+    row.appendChild(ref);
+
+    row.appendChild(createText('card-title', event.title));
+
+    const meta = [event.detail, event.project, event.repository, event.member].filter(Boolean).join(' · ');
+    if (meta) row.appendChild(createText('card-meta', meta));
+
+    return row;
+}
+
+/**
+ * YYYY-MM-DD in local time, for date inputs
+ */
+function toDateInput(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -0,0 +1,182 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { withPageInfo, pageInfoOf } from '../utils/pagination.js';
+import MemoryStore from './memory-store.js';
+import SQLiteStore from './sqlite-store.js';
+import RedisStore from './redis-store.js';
+
+const STORES = {
+  memory: MemoryStore,
+  sqlite: SQLiteStore,
+  redis: RedisStore
+};
+
+// Seconds each kind of entry lives for; anything not listed uses `ttl`
+// People and projects rarely change, queues of waiting reviews often do
+export const DEFAULT_TTLS = {
+  users: 3600,
+  profiles: 3600,
+  members: 3600,
+  accounts: 3600,
+  projects: 86400,
+  repositories: 900,
+  reviewRequests: 120,
+  etag: 86400
+};
+
+// Set while a request asked for fresh data (see Cache#withRefresh)
+const refreshContext = new AsyncLocalStorage();
+
+/**
+ * Shared Cache
+ *
+ * One cache for every client, on a pluggable backend (memory, SQLite,
+ * Redis). Clients get a namespaced view ("github:", "jira:", ...) and key
+ * entries as "<resource>:<id>...", e.g. "commits:schen:2024-05-01:2024-05-14";
+ * the resource picks the entry's TTL.
+ *
+ * Creative solutions:
+ * - Per-resource TTLs, so user lookups outlive activity lists
+ * - Values are stored as JSON with their paging details, so truncation
+ *   notes survive a restart
+ * - A request-scoped refresh flag skips cached reads without threading
+ *   an option through every client call
+ * - A failing backend degrades to cache misses instead of failed answers
+ */
+export class Cache {
+  constructor(store, config = {}, prefix = '') {
+    this.store = store;
+    this.ttl = config.ttl || 300;
+    this.ttls = { ...DEFAULT_TTLS, ...config.ttls };
+    this.prefix = prefix;
+  }
+
+  get backend() {
+    return this.store.name;
+  }
+
+  /**
+   * A view of the same cache whose keys are prefixed with `name:`
+   */
+  namespace(name) {
+    return new Cache(this.store, { ttl: this.ttl, ttls: this.ttls }, `${this.prefix}${name}:`);
+  }
+
+  /**
+   * TTL in seconds for a key, from its resource (the part before the first colon)
+   */
+  ttlFor(key) {
+    return this.ttls[key.split(':')[0]] ?? this.ttl;
+  }
+
+  /**
+   * Cached value, or undefined on a miss
+   * While refreshing, reads miss unless `refreshable: false` marks the
+   * entry as bookkeeping rather than API data (ETags, account mappings)
+   */
+  async get(key, { refreshable = true } = {}) {
+    if (refreshable && refreshContext.getStore()) return undefined;
+
+    try {
+      const raw = await this.store.get(this.prefix + key);
+      return raw == null ? undefined : decode(raw);
+    } catch (error) {
+      console.warn(`Cache read failed for ${this.prefix + key}:`, error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a value for its resource's TTL (or an explicit one, in seconds)
+   */
+  async set(key, value, ttl = this.ttlFor(key)) {
+    try {
+      await this.store.set(this.prefix + key, encode(value), ttl);
+    } catch (error) {
+      console.warn(`Cache write failed for ${this.prefix + key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    await this.store.delete(this.prefix + key);
+  }
+
+  /**
+   * Entries whose keys start with the prefix: [{ key, expiresAt, size }]
+   */
+  async entries(prefix = '') {
+    const entries = await this.store.entries(this.prefix + prefix);
+    return entries.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * One entry with its decoded value (and paging details), or null
+   */
+  async inspect(key) {
+    const [entry] = (await this.store.entries(this.prefix + key)).filter(item => item.key === this.prefix + key);
+    if (!entry) return null;
+
+    const raw = await this.store.get(entry.key);
+    if (raw == null) return null;
+
+    const value = decode(raw);
+    return { ...entry, value, pageInfo: Array.isArray(value) ? pageInfoOf(value) : null };
+  }
+
+  /**
+   * Remove every entry whose key starts with the prefix (everything by default)
+   * Returns how many were removed
+   */
+  async purge(prefix = '') {
+    return this.store.clear(this.prefix + prefix);
+  }
+
+  /**
+   * Run fn with cached reads skipped; what it fetches is cached as usual
+   */
+  withRefresh(fn) {
+    return refreshContext.run(true, fn);
+  }
+
+  async close() {
+    await this.store.close?.();
+  }
+}
+
+/**
+ * Open the configured cache backend
+ * A backend that can't be opened (missing driver, Redis down) is logged
+ * and replaced with the in-memory one, so the app still starts
+ */
+export async function createCache(config = {}) {
+  const backend = config.backend || 'memory';
+  const Store = STORES[backend];
+  if (!Store) {
+    throw new Error(`Unknown cache backend "${backend}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  try {
+    return new Cache(await Store.open(config[backend]), config);
+  } catch (error) {
+    console.error(`Could not open the ${backend} cache, falling back to memory:`, error.message);
+    return new Cache(await MemoryStore.open(), config);
+  }
+}
+
+/**
+ * A client's namespace in the shared cache
+ * Clients constructed on their own (no shared Cache in their config) get a
+ * private in-memory cache with the same behaviour
+ */
+export function namespacedCache(cache, name) {
+  const shared = cache instanceof Cache ? cache : new Cache(new MemoryStore(), cache);
+  return shared.namespace(name);
+}
+
+function encode(value) {
+  return JSON.stringify({ value, pageInfo: Array.isArray(value) ? pageInfoOf(value) : null });
+}
+
+function decode(raw) {
+  const { value, pageInfo } = JSON.parse(raw);
+  return pageInfo ? withPageInfo(value, pageInfo) : value;
+}
@@ -0,0 +1,47 @@
+import NodeCache from 'node-cache';
+
+/**
+ * In-process cache backend
+ * Fast and dependency-free, but emptied on every restart
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    // Values are already serialized strings, so cloning would only cost time
+    this.cache = new NodeCache({ useClones: false, checkperiod: 120 });
+  }
+
+  static async open() {
+    return new MemoryStore();
+  }
+
+  async get(key) {
+    return this.cache.get(key) ?? null;
+  }
+
+  async set(key, value, ttl) {
+    this.cache.set(key, value, ttl);
+  }
+
+  async delete(key) {
+    this.cache.del(key);
+  }
+
+  async entries(prefix) {
+    return this.keys(prefix).map(key => ({
+      key,
+      expiresAt: new Date(this.cache.getTtl(key)).toISOString(),
+      size: this.cache.get(key)?.length || 0
+    }));
+  }
+
+  async clear(prefix) {
+    return this.cache.del(this.keys(prefix));
+  }
+
+  keys(prefix) {
+    return this.cache.keys().filter(key => key.startsWith(prefix) && this.cache.has(key));
+  }
+}
+
+export default MemoryStore;
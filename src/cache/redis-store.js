@@ -0,0 +1,109 @@
+/**
+ * Redis-compatible cache backend (Redis, Valkey, KeyDB, Dragonfly... via ioredis)
+ * Shared between server instances and survives restarts
+ * ioredis is an optional dependency, loaded only when this backend is chosen
+ */
+class RedisStore {
+  constructor(redis, keyPrefix) {
+    this.name = 'redis';
+    this.redis = redis;
+    this.keyPrefix = keyPrefix;
+  }
+
+  static async open(config = {}) {
+    let Redis;
+    try {
+      ({ default: Redis } = await import('ioredis'));
+    } catch (error) {
+      throw new Error('the redis cache backend needs ioredis (npm install ioredis)');
+    }
+
+    // Fail fast on startup rather than queueing commands for a server that isn't there
+    const redis = new Redis(config.url || 'redis://localhost:6379', {
+      lazyConnect: true,
+      maxRetriesPerRequest: 1
+    });
+
+    // Later connection problems surface as failed cache reads and writes
+    let lastError = null;
+    redis.on('error', error => { lastError = error; });
+
+    try {
+      await redis.connect();
+    } catch (error) {
+      redis.disconnect();
+      throw lastError || error;
+    }
+
+    return new RedisStore(redis, config.keyPrefix ?? 'team-activity:');
+  }
+
+  async get(key) {
+    return this.redis.get(this.keyPrefix + key);
+  }
+
+  async set(key, value, ttl) {
+    await this.redis.set(this.keyPrefix + key, value, 'EX', ttl);
+  }
+
+  async delete(key) {
+    await this.redis.del(this.keyPrefix + key);
+  }
+
+  async entries(prefix) {
+    const keys = await this.scan(prefix);
+    if (keys.length === 0) return [];
+
+    const pipeline = this.redis.pipeline();
+    keys.forEach(key => pipeline.pttl(key).strlen(key));
+    const results = await pipeline.exec();
+
+    return keys
+      .map((key, index) => ({
+        key: key.slice(this.keyPrefix.length),
+        ttl: results[index * 2][1],
+        size: results[index * 2 + 1][1]
+      }))
+      .filter(entry => entry.ttl > 0) // expired between SCAN and PTTL
+      .map(({ key, ttl, size }) => ({ key, expiresAt: new Date(Date.now() + ttl).toISOString(), size }));
+  }
+
+  async clear(prefix) {
+    const keys = await this.scan(prefix);
+
+    let removed = 0;
+    for (let i = 0; i < keys.length; i += 500) {
+      removed += await this.redis.del(...keys.slice(i, i + 500));
+    }
+    return removed;
+  }
+
+  /**
+   * Full keys (with keyPrefix) starting with the prefix
+   * SCAN rather than KEYS, so a big cache doesn't block the server
+   */
+  async scan(prefix) {
+    const pattern = `${escapeGlob(this.keyPrefix + prefix)}*`;
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+
+    return [...new Set(keys)]; // SCAN may return a key more than once
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+// MATCH patterns treat these as wildcards
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+export default RedisStore;
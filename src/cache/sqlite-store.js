@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * On-disk cache backend (SQLite via better-sqlite3)
+ * Survives restarts, so `npm run dev` reloads don't start from a cold cache
+ * better-sqlite3 is an optional dependency, loaded only when this backend is chosen
+ */
+class SQLiteStore {
+  constructor(db) {
+    this.name = 'sqlite';
+    this.db = db;
+    this.writes = 0;
+    this.statements = {
+      get: db.prepare('SELECT value FROM cache WHERE key = ? AND expires_at > ?'),
+      set: db.prepare('INSERT OR REPLACE INTO cache (key, value, expires_at) VALUES (?, ?, ?)'),
+      delete: db.prepare('DELETE FROM cache WHERE key = ?'),
+      entries: db.prepare('SELECT key, expires_at, length(value) AS size FROM cache WHERE substr(key, 1, ?) = ? AND expires_at > ?'),
+      clear: db.prepare('DELETE FROM cache WHERE substr(key, 1, ?) = ?'),
+      sweep: db.prepare('DELETE FROM cache WHERE expires_at <= ?')
+    };
+  }
+
+  static async open(config = {}) {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('the sqlite cache backend needs better-sqlite3 (npm install better-sqlite3)');
+    }
+
+    const file = path.resolve(config.file || 'data/cache.db');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS cache (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    const store = new SQLiteStore(db);
+    store.statements.sweep.run(Date.now());
+    return store;
+  }
+
+  async get(key) {
+    return this.statements.get.get(key, Date.now())?.value ?? null;
+  }
+
+  async set(key, value, ttl) {
+    this.statements.set.run(key, value, Date.now() + ttl * 1000);
+
+    // Expired rows are only skipped on read; clear them out now and then
+    if (++this.writes % 500 === 0) {
+      this.statements.sweep.run(Date.now());
+    }
+  }
+
+  async delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  async entries(prefix) {
+    return this.statements.entries.all(prefix.length, prefix, Date.now()).map(row => ({
+      key: row.key,
+      expiresAt: new Date(row.expires_at).toISOString(),
+      size: row.size
+    }));
+  }
+
+  async clear(prefix) {
+    return this.statements.clear.run(prefix.length, prefix).changes;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+export default SQLiteStore;
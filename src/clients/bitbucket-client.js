@@ -0,0 +1,509 @@
+import axios from 'axios';
+import { AmbiguousUserError } from '../utils/errors.js';
+import { toDateRange, isWithinRange, lastNDays } from '../utils/date-range.js';
+import { DEFAULT_PAGINATION, paginate, nextBitbucketPage, withPageInfo, pageInfoOf, combinePageInfo, failedFetch } from '../utils/pagination.js';
+import { REVIEW_STATES, extractJiraTickets, extractTicketReferences, summarizeRepositories, hoursBetween } from '../utils/source-control.js';
+import { namespacedCache } from '../cache/index.js';
+
+// Open review requests are looked for in repositories active this recently
+const REVIEW_REQUEST_WINDOW_DAYS = 30;
+
+/**
+ * Bitbucket Cloud Client (REST API 2.0)
+ *
+ * Creative solutions:
+ * - Returns the same commit / PR / review shapes as GitHubClient
+ * - Resolves people from workspace members, since Bitbucket Cloud has no
+ *   user search and identifies accounts by uuid
+ * - Only walks repositories updated within the range, and stops reading
+ *   a repository's history once it is older than the range
+ * - Reads review state from PR participants (approved / changes requested)
+ */
+class BitbucketClient {
+  constructor(config) {
+    this.name = 'bitbucket';
+    this.baseUrl = (config.baseUrl || 'https://api.bitbucket.org/2.0').replace(/\/+$/, '');
+    this.workspaces = [].concat(config.workspace || []).filter(Boolean);
+    this.username = config.username;
+    this.appPassword = config.appPassword;
+    this.accessToken = config.accessToken;
+    this.cache = namespacedCache(config.cache, 'bitbucket');
+    this.pagination = { ...DEFAULT_PAGINATION, ...config.pagination };
+
+    // App passwords use basic auth; workspace / repository access tokens are Bearer
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      ...(this.accessToken ? {} : { auth: { username: this.username, password: this.appPassword } }),
+      // Repeated filters are sent as state=OPEN&state=MERGED
+      paramsSerializer: { indexes: null },
+      headers: {
+        'Accept': 'application/json',
+        ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {})
+      }
+    });
+  }
+
+  hasCredentials() {
+    return this.workspaces.length > 0 && !!(this.accessToken || (this.username && this.appPassword));
+  }
+
+  /**
+   * GET with one retry after a rate limit
+   * Missing resources and auth failures come back as null
+   */
+  async makeRequest(url, params = {}, retried = false) {
+    try {
+      return await this.client.get(url, { params });
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 429 && !retried) {
+        console.log('Bitbucket rate limited, waiting 2000ms...');
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        return this.makeRequest(url, params, true);
+      }
+      if (status === 404) return null;
+      if (status === 401) {
+        console.warn('Bitbucket API authentication failed. Please check your Bitbucket credentials in config/config.js');
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a paged collection, up to the pagination limit
+   * Bitbucket pages by a `next` URL in the body; `until(page)` can stop early
+   */
+  async listAll(url, params = {}, until = null) {
+    return paginate(async nextUrl => {
+      const response = nextUrl
+        ? await this.makeRequest(nextUrl)
+        : await this.makeRequest(url, { ...params, pagelen: Math.min(this.pagination.pageSize, 100) });
+      if (!response?.data?.values) return null;
+
+      const values = response.data.values;
+      return {
+        items: values,
+        next: until && until(values) ? null : nextBitbucketPage(response.data),
+        total: response.data.size
+      };
+    }, { maxItems: this.pagination.maxItems });
+  }
+
+  /**
+   * Members of every configured workspace
+   */
+  async getMembers() {
+    const cacheKey = 'members';
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const lists = await Promise.all(this.workspaces.map(workspace =>
+      this.listAll(`/workspaces/${encodeURIComponent(workspace)}/members`)
+    ));
+
+    const byUuid = new Map();
+    lists.flat().forEach(membership => {
+      if (membership.user?.uuid) byUuid.set(membership.user.uuid, membership.user);
+    });
+
+    const members = Array.from(byUuid.values()).map(user => ({
+      ...user,
+      login: user.nickname || user.account_id,
+      name: user.display_name
+    }));
+
+    await this.cache.set(cacheKey, members);
+    return members;
+  }
+
+  /**
+   * Find a workspace member by nickname or display name
+   * Throws AmbiguousUserError when several people match and none exactly
+   */
+  async findUser(name) {
+    if (!this.hasCredentials()) return null;
+
+    try {
+      const needle = name.trim().toLowerCase();
+      const members = await this.getMembers();
+      const matches = members.filter(member =>
+        member.login?.toLowerCase() === needle ||
+        member.name?.toLowerCase().includes(needle)
+      );
+      if (matches.length === 0) return null;
+
+      const exact = matches.filter(member =>
+        member.login?.toLowerCase() === needle || member.name?.toLowerCase() === needle
+      );
+      if (matches.length === 1) return matches[0];
+      if (exact.length === 1) return exact[0];
+
+      throw new AmbiguousUserError(name, matches.slice(0, 10).map(candidate => ({
+        platform: 'bitbucket',
+        displayName: candidate.name,
+        email: null,
+        avatarUrl: candidate.links?.avatar?.href || null,
+        jiraAccountId: null,
+        githubLogin: candidate.login
+      })));
+    } catch (error) {
+      if (error instanceof AmbiguousUserError) throw error;
+      console.error(`Error finding Bitbucket user ${name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Repositories in the configured workspaces updated since a date
+   */
+  async getActiveRepositories(since) {
+    const cacheKey = `repositories:${since}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const lists = await Promise.all(this.workspaces.map(workspace =>
+      this.listAll(`/repositories/${encodeURIComponent(workspace)}`, {
+        q: `updated_on >= ${since}T00:00:00`,
+        sort: '-updated_on'
+      })
+    ));
+
+    const repos = withPageInfo(lists.flat().map(repo => repo.full_name), combinePageInfo(lists));
+    await this.cache.set(cacheKey, repos);
+    return repos;
+  }
+
+  /**
+   * Get commits the person authored within the range
+   * Each active repository's history is read newest first until it
+   * passes the start of the range
+   */
+  async getRecentCommits(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `commits:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const user = await this.findUser(username);
+      if (!user) return [];
+
+      const repos = await this.getActiveRepositories(dateRange.start);
+      const histories = await Promise.all(repos.map(repository =>
+        this.listAll(`/repositories/${repository}/commits`, {}, values =>
+          values.length > 0 && values[values.length - 1].date.slice(0, 10) < dateRange.start
+        )
+      ));
+
+      const commits = withPageInfo(
+        histories.flat()
+          .filter(commit => commit.author?.user?.uuid === user.uuid && isWithinRange(commit.date, dateRange))
+          .map(commit => this.toCommit(commit))
+          .sort((a, b) => new Date(b.date) - new Date(a.date)),
+        combinePageInfo([repos, ...histories])
+      );
+
+      await this.cache.set(cacheKey, commits);
+      return commits;
+    } catch (error) {
+      console.error(`Error fetching Bitbucket commits for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Normalize a commit to GitHubClient's shape
+   */
+  toCommit(commit) {
+    const message = commit.message || '';
+
+    return {
+      sha: commit.hash.substring(0, 7),
+      message: message.split('\n')[0],
+      author: commit.author?.user?.display_name || commit.author?.raw || 'unknown',
+      date: commit.date,
+      url: commit.links?.html?.href,
+      repository: commit.repository?.full_name || 'unknown',
+      jiraTickets: extractJiraTickets(message),
+      tickets: extractTicketReferences(message, commit.repository?.full_name)
+    };
+  }
+
+  /**
+   * Get repositories the person committed to recently
+   */
+  async getRecentRepositories(username, range = 30) {
+    try {
+      return summarizeRepositories(await this.getRecentCommits(username, range));
+    } catch (error) {
+      console.error(`Error fetching Bitbucket repositories for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Pull requests the person authored, across the configured workspaces
+   */
+  async getAuthoredPullRequests(user, states) {
+    const lists = await Promise.all(this.workspaces.map(workspace =>
+      this.listAll(`/workspaces/${encodeURIComponent(workspace)}/pullrequests/${encodeURIComponent(user.uuid)}`, {
+        state: states,
+        fields: '+values.participants'
+      })
+    ));
+
+    return withPageInfo(lists.flat(), combinePageInfo(lists));
+  }
+
+  /**
+   * Get the person's open pull requests, with when they were first reviewed
+   */
+  async getActivePullRequests(username) {
+    const cacheKey = `pullRequests:${username}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const user = await this.findUser(username);
+      if (!user) return [];
+
+      const items = await this.getAuthoredPullRequests(user, ['OPEN']);
+      const prs = withPageInfo(items.map(pr => {
+        const reviews = (pr.participants || [])
+          .filter(participant => participant.user?.uuid !== user.uuid && participant.participated_on)
+          .sort((a, b) => new Date(a.participated_on) - new Date(b.participated_on));
+
+        return {
+          ...this.toPullRequest(pr),
+          reviewCount: reviews.length,
+          firstReviewAt: reviews[0]?.participated_on || null
+        };
+      }), pageInfoOf(items));
+
+      await this.cache.set(cacheKey, prs);
+      return prs;
+    } catch (error) {
+      console.error(`Error fetching Bitbucket PRs for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Get PRs the person merged or declined within the range
+   */
+  async getClosedPullRequests(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `closedPullRequests:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const user = await this.findUser(username);
+      if (!user) return [];
+
+      const items = await this.getAuthoredPullRequests(user, ['MERGED', 'DECLINED', 'SUPERSEDED']);
+      const prs = await Promise.all(items
+        .map(pr => ({ pr, normalized: this.toPullRequest(pr) }))
+        .filter(({ normalized }) => isWithinRange(normalized.closedAt, dateRange))
+        .map(async ({ pr, normalized }) =>
+          normalized.mergedAt ? { ...normalized, ...await this.getDiffStats(pr) } : normalized
+        ));
+
+      const result = withPageInfo(
+        prs.sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt)),
+        pageInfoOf(items)
+      );
+
+      await this.cache.set(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`Error fetching closed Bitbucket PRs for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Normalize a pull request to GitHubClient's shape
+   * Bitbucket has no merge timestamp; the last update of a merged PR is it
+   */
+  toPullRequest(pr) {
+    const merged = pr.state === 'MERGED';
+    const closedAt = pr.state === 'OPEN' ? null : (pr.closed_on || pr.updated_on);
+
+    return {
+      number: pr.id,
+      title: pr.title,
+      state: merged ? 'merged' : (pr.state === 'OPEN' ? 'open' : 'closed'),
+      created: pr.created_on,
+      updated: pr.updated_on,
+      closedAt,
+      mergedAt: merged ? closedAt : null,
+      leadTimeHours: merged ? hoursBetween(pr.created_on, closedAt) : null,
+      url: pr.links?.html?.href,
+      repository: pr.source?.repository?.full_name || pr.destination?.repository?.full_name || 'unknown',
+      baseRepository: pr.destination?.repository?.full_name,
+      baseBranch: pr.destination?.branch?.name,
+      headBranch: pr.source?.branch?.name,
+      comments: pr.comment_count || 0,
+      additions: 0,
+      deletions: 0,
+      changedFiles: 0
+    };
+  }
+
+  /**
+   * Line and file counts for a pull request
+   */
+  async getDiffStats(pr) {
+    const repository = pr.destination?.repository?.full_name;
+    try {
+      const response = await this.makeRequest(`/repositories/${repository}/pullrequests/${pr.id}/diffstat`, { pagelen: 100 });
+      const files = response?.data?.values || [];
+
+      return {
+        additions: files.reduce((sum, file) => sum + (file.lines_added || 0), 0),
+        deletions: files.reduce((sum, file) => sum + (file.lines_removed || 0), 0),
+        changedFiles: files.length
+      };
+    } catch (error) {
+      console.warn(`Could not fetch diff stats for ${repository}#${pr.id}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Pull requests in recently active repositories where the person is a reviewer
+   */
+  async getReviewerPullRequests(user, since, states) {
+    const repos = await this.getActiveRepositories(since);
+    const lists = await Promise.all(repos.map(repository =>
+      this.listAll(`/repositories/${repository}/pullrequests`, {
+        q: `reviewers.uuid = "${user.uuid}" AND updated_on >= ${since}T00:00:00`,
+        state: states,
+        fields: '+values.participants'
+      })
+    ));
+
+    return withPageInfo(lists.flat(), combinePageInfo([repos, ...lists]));
+  }
+
+  /**
+   * Get reviews the person gave on other people's PRs within the range
+   */
+  async getReviewsGiven(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `reviews:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const user = await this.findUser(username);
+      if (!user) return [];
+
+      const items = await this.getReviewerPullRequests(user, dateRange.start, ['OPEN', 'MERGED', 'DECLINED']);
+      const reviewed = await Promise.all(items
+        .filter(pr => pr.author?.uuid !== user.uuid)
+        .map(async pr => {
+          const mine = (pr.participants || []).find(participant => participant.user?.uuid === user.uuid);
+          if (!mine?.participated_on || !isWithinRange(mine.participated_on, dateRange)) return null;
+
+          const state = reviewStateOf(mine);
+          const normalized = this.toPullRequest(pr);
+          return {
+            number: normalized.number,
+            title: normalized.title,
+            url: normalized.url,
+            repository: normalized.baseRepository || normalized.repository,
+            author: pr.author?.nickname || pr.author?.display_name || 'unknown',
+            state: normalized.state === 'merged' ? 'closed' : normalized.state,
+            reviewStates: [state],
+            latestState: state,
+            submittedAt: mine.participated_on,
+            commentCount: await this.countComments(pr, user)
+          };
+        }));
+
+      const reviews = withPageInfo(
+        reviewed.filter(Boolean).sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt)),
+        pageInfoOf(items)
+      );
+
+      await this.cache.set(cacheKey, reviews);
+      return reviews;
+    } catch (error) {
+      console.error(`Error fetching Bitbucket reviews for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * How many comments the person left on a pull request
+   */
+  async countComments(pr, user) {
+    try {
+      const response = await this.makeRequest(
+        `/repositories/${pr.destination?.repository?.full_name}/pullrequests/${pr.id}/comments`,
+        { q: `user.uuid = "${user.uuid}"`, pagelen: 100 }
+      );
+      return response?.data?.size ?? response?.data?.values?.length ?? 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Get open PRs waiting on the person's review
+   */
+  async getReviewRequests(username) {
+    const cacheKey = `reviewRequests:${username}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const user = await this.findUser(username);
+      if (!user) return [];
+
+      const since = lastNDays(REVIEW_REQUEST_WINDOW_DAYS).start;
+      const items = await this.getReviewerPullRequests(user, since, ['OPEN']);
+
+      const requests = withPageInfo(items
+        .filter(pr => {
+          const mine = (pr.participants || []).find(participant => participant.user?.uuid === user.uuid);
+          return !mine?.approved && mine?.state !== 'changes_requested';
+        })
+        .map(pr => ({
+          number: pr.id,
+          title: pr.title,
+          url: pr.links?.html?.href,
+          repository: pr.destination?.repository?.full_name || 'unknown',
+          author: pr.author?.nickname || pr.author?.display_name || 'unknown',
+          created: pr.created_on,
+          updated: pr.updated_on,
+          comments: pr.comment_count || 0
+        }))
+        .sort((a, b) => new Date(a.created) - new Date(b.created)), pageInfoOf(items));
+
+      await this.cache.set(cacheKey, requests);
+      return requests;
+    } catch (error) {
+      console.error(`Error fetching Bitbucket review requests for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  describeScope() {
+    return null;
+  }
+}
+
+/**
+ * Review state recorded on a PR participant
+ */
+function reviewStateOf(participant) {
+  if (participant.approved || participant.state === 'approved') return REVIEW_STATES.approved;
+  if (participant.state === 'changes_requested') return REVIEW_STATES.changesRequested;
+  return REVIEW_STATES.commented;
+}
+
+export default BitbucketClient;
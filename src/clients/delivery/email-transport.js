@@ -0,0 +1,42 @@
+/**
+ * SMTP email delivery (via nodemailer)
+ * The SMTP server comes from config.digests.smtp; each digest names its recipients
+ * nodemailer is an optional dependency, loaded on the first email sent
+ */
+class EmailTransport {
+  constructor(delivery = {}, smtp = {}) {
+    this.name = 'email';
+    this.to = [].concat(delivery.to || []);
+    this.smtp = smtp;
+  }
+
+  async send(message) {
+    const transporter = await this.createTransporter();
+    await transporter.sendMail({
+      from: this.smtp.from,
+      to: this.to.join(', '),
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { transport: this.name, destination: this.to.join(', ') };
+  }
+
+  async createTransporter() {
+    let nodemailer;
+    try {
+      ({ default: nodemailer } = await import('nodemailer'));
+    } catch (error) {
+      throw new Error('email delivery needs nodemailer (npm install nodemailer)');
+    }
+
+    return nodemailer.createTransport({
+      host: this.smtp.host,
+      port: this.smtp.port || 587,
+      secure: !!this.smtp.secure,
+      auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined
+    });
+  }
+}
+
+export default EmailTransport;
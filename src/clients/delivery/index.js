@@ -0,0 +1,115 @@
+import { ValidationError } from '../../utils/errors.js';
+import SlackTransport from './slack-transport.js';
+import WebhookTransport, { redactUrl } from './webhook-transport.js';
+import EmailTransport from './email-transport.js';
+import MockTransport from './mock-transport.js';
+
+export const TRANSPORT_TYPES = ['slack', 'webhook', 'email', 'mock'];
+
+/**
+ * Check and clean up a digest's delivery settings
+ *
+ * - { type: 'slack', webhookUrl } (webhookUrl may come from config.digests.slack)
+ * - { type: 'webhook', url, headers? }
+ * - { type: 'email', to: ['a@example.com'] } (SMTP from config.digests.smtp)
+ * - { type: 'mock' } keeps messages in memory, for trying digests offline
+ */
+export function normalizeDelivery(delivery, config = {}) {
+  if (!delivery || typeof delivery !== 'object') {
+    throw new ValidationError(`delivery is required, with a type of ${TRANSPORT_TYPES.join(', ')}`);
+  }
+
+  switch (delivery.type) {
+    case 'slack': {
+      const webhookUrl = delivery.webhookUrl || null;
+      if (!webhookUrl && !config.slack?.webhookUrl) {
+        throw new ValidationError('Slack delivery needs a webhookUrl (or digests.slack.webhookUrl in config)');
+      }
+      if (webhookUrl) assertUrl(webhookUrl, 'webhookUrl');
+      return { type: 'slack', webhookUrl };
+    }
+
+    case 'webhook': {
+      assertUrl(delivery.url, 'url');
+      const headers = delivery.headers || {};
+      if (typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new ValidationError('webhook headers must be an object');
+      }
+      return { type: 'webhook', url: delivery.url, headers };
+    }
+
+    case 'email': {
+      const to = [].concat(delivery.to || []).map(address => String(address).trim()).filter(Boolean);
+      if (to.length === 0) {
+        throw new ValidationError('Email delivery needs at least one address in `to`');
+      }
+      const invalid = to.find(address => !/^[^@\s]+@[^@\s]+$/.test(address));
+      if (invalid) {
+        throw new ValidationError(`"${invalid}" is not a valid email address`);
+      }
+      if (!config.smtp?.host) {
+        throw new ValidationError('Email delivery needs an SMTP server in digests.smtp');
+      }
+      return { type: 'email', to };
+    }
+
+    case 'mock':
+      return { type: 'mock' };
+
+    default:
+      throw new ValidationError(`Unknown delivery type "${delivery.type}". Use one of: ${TRANSPORT_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Build the transport for a (normalized) delivery
+ * `outbox` collects what the mock transport "sends"
+ */
+export function createTransport(delivery, config = {}, outbox = []) {
+  switch (delivery.type) {
+    case 'slack':
+      return new SlackTransport(delivery, config.slack);
+    case 'webhook':
+      return new WebhookTransport(delivery);
+    case 'email':
+      return new EmailTransport(delivery, config.smtp);
+    default:
+      return new MockTransport(outbox);
+  }
+}
+
+/**
+ * A delivery safe to show in API responses: webhook URLs and header values
+ * are credentials, so they're redacted like run history's destinations
+ */
+export function redactDelivery(delivery) {
+  switch (delivery?.type) {
+    case 'slack':
+      return { ...delivery, webhookUrl: delivery.webhookUrl ? redactUrl(delivery.webhookUrl) : null };
+    case 'webhook':
+      return {
+        ...delivery,
+        url: redactUrl(delivery.url),
+        headers: Object.fromEntries(Object.keys(delivery.headers || {}).map(name => [name, '…']))
+      };
+    default:
+      return delivery;
+  }
+}
+
+function assertUrl(value, field) {
+  // A redacted URL echoed back from a GET would otherwise pass as a real one
+  if (typeof value === 'string' && value.includes('…')) {
+    throw new ValidationError(`${field} looks redacted; send the full URL`);
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ValidationError(`${field} must be an http(s) URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError(`${field} must be an http(s) URL`);
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Offline delivery for development and tests
+ * Messages are kept in memory (most recent last) instead of being sent
+ */
+class MockTransport {
+  constructor(outbox) {
+    this.name = 'mock';
+    this.outbox = outbox;
+  }
+
+  async send(message) {
+    this.outbox.push({ ...message, deliveredAt: new Date().toISOString() });
+    console.log(`📭 Mock delivery of "${message.subject}" (${message.text.length} characters)`);
+
+    return { transport: this.name, destination: 'outbox' };
+  }
+}
+
+export default MockTransport;
@@ -0,0 +1,23 @@
+import axios from 'axios';
+import { toSlackMarkdown } from '../../utils/slack.js';
+import { redactUrl } from './webhook-transport.js';
+
+/**
+ * Slack incoming webhook delivery
+ * Posts the reply as mrkdwn under a bold subject line
+ */
+class SlackTransport {
+  constructor(delivery = {}, defaults = {}) {
+    this.name = 'slack';
+    this.webhookUrl = delivery.webhookUrl || defaults.webhookUrl;
+  }
+
+  async send(message) {
+    const text = `*${message.subject}*\n\n${toSlackMarkdown(message.text)}`;
+    await axios.post(this.webhookUrl, { text, mrkdwn: true }, { timeout: 10000 });
+
+    return { transport: this.name, destination: redactUrl(this.webhookUrl) };
+  }
+}
+
+export default SlackTransport;
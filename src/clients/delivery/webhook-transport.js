@@ -0,0 +1,45 @@
+import axios from 'axios';
+
+/**
+ * Generic webhook delivery
+ * POSTs the digest as JSON, including the structured activity data, so
+ * other tools can do their own formatting
+ */
+class WebhookTransport {
+  constructor(delivery = {}) {
+    this.name = 'webhook';
+    this.url = delivery.url;
+    this.headers = delivery.headers || {};
+  }
+
+  async send(message) {
+    await axios.post(this.url, {
+      digest: message.digest,
+      subject: message.subject,
+      question: message.question,
+      response: message.text,
+      data: message.data,
+      generatedAt: message.generatedAt
+    }, {
+      headers: this.headers,
+      timeout: 10000
+    });
+
+    return { transport: this.name, destination: redactUrl(this.url) };
+  }
+}
+
+/**
+ * Webhook URLs are credentials; keep only enough to tell them apart in run history
+ */
+export function redactUrl(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    const tail = pathname.slice(-4);
+    return `${origin}/…${tail}`;
+  } catch (error) {
+    return 'webhook';
+  }
+}
+
+export default WebhookTransport;
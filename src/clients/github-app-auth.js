@@ -0,0 +1,120 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * GitHub App installation authentication
+ *
+ * Creative solutions:
+ * - Signs the app JWT with node's crypto, no extra dependency
+ * - Caches the installation token and refreshes it shortly before expiry
+ * - Concurrent requests share a single in-flight token exchange
+ * - Finds the installation from the organization when no id is configured
+ */
+
+// Refresh this long before GitHub's expiry so in-flight requests don't race it
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// GitHub rejects JWTs valid for more than 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60;
+
+class GitHubAppAuth {
+  /**
+   * `app` is { appId, privateKey | privateKeyPath, installationId? }
+   * Without an installationId, the installation on `organization` is used
+   */
+  constructor(app, { baseUrl, organization = null } = {}) {
+    this.appId = app.appId;
+    this.privateKey = app.privateKey || (app.privateKeyPath ? fs.readFileSync(app.privateKeyPath, 'utf8') : null);
+    this.installationId = app.installationId || null;
+    this.organization = Array.isArray(organization) ? organization[0] : organization;
+
+    this.client = axios.create({
+      baseURL: baseUrl,
+      headers: { 'Accept': 'application/vnd.github+json' }
+    });
+
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Whether there is enough configuration to authenticate as the app
+   */
+  get configured() {
+    return !!(this.appId && this.privateKey);
+  }
+
+  /**
+   * A valid installation token, exchanging a fresh one when needed
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.expiresAt - REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.fetchInstallationToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Forget the cached token, e.g. after GitHub rejected it
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Exchange the app JWT for an installation access token
+   */
+  async fetchInstallationToken() {
+    const headers = { Authorization: `Bearer ${this.createJwt()}` };
+    const installationId = this.installationId || await this.findInstallationId(headers);
+
+    const response = await this.client.post(`/app/installations/${installationId}/access_tokens`, null, { headers });
+
+    this.installationId = installationId;
+    this.token = response.data.token;
+    this.expiresAt = new Date(response.data.expires_at).getTime();
+    return this.token;
+  }
+
+  /**
+   * Installation id of the app on the configured organization
+   */
+  async findInstallationId(headers) {
+    if (!this.organization) {
+      throw new Error('GitHub App auth needs either app.installationId or github.organization');
+    }
+
+    const response = await this.client.get(`/orgs/${encodeURIComponent(this.organization)}/installation`, { headers });
+    return response.data.id;
+  }
+
+  /**
+   * RS256-signed JWT identifying the app
+   * Issued a minute in the past to allow for clock drift
+   */
+  createJwt(now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000) - 60;
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const payload = { iat: issuedAt, exp: issuedAt + JWT_LIFETIME_SECONDS, iss: String(this.appId) };
+
+    const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey);
+
+    return `${unsigned}.${base64url(signature)}`;
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+export default GitHubAppAuth;
@@ -1,5 +1,18 @@
 import axios from 'axios';
-import NodeCache from 'node-cache';
+import { AmbiguousUserError, APIError } from '../utils/errors.js';
+import { toDateRange, isWithinRange } from '../utils/date-range.js';
+import { DEFAULT_PAGINATION, paginate, nextGitHubPage, withPageInfo, pageInfoOf, failedFetch } from '../utils/pagination.js';
+import { extractJiraTickets, extractTicketReferences, summarizeRepositories, hoursBetween, mapWithConcurrency } from '../utils/source-control.js';
+import GitHubAppAuth from './github-app-auth.js';
+import { namespacedCache } from '../cache/index.js';
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+
+// PRs whose reviews (and comments, for reviews given) are fetched at once
+const REVIEW_CONCURRENCY = 5;
+
+// Search hits whose full PR details are fetched at once
+const DETAIL_CONCURRENCY = 10;
 
 /**
  * GitHub Client with rate limit handling and intelligent data processing
@@ -8,33 +21,151 @@ import NodeCache from 'node-cache';
  * - Automatic rate limit detection and waiting
  * - Concurrent requests for better performance
  * - Links commits to JIRA tickets automatically
- * - Handles organization vs user searches intelligently
+ * - Tracks code review work (reviews given, requests waiting, review latency)
+ * - Recovers merged / closed PR history with lead times and diff stats
+ * - Follows Link-header paging up to a configurable limit
+ * - Scopes searches to the configured organization(s) and repository
+ *   allow/deny lists, so personal side projects stay out of answers
+ * - Works against GitHub Enterprise Server via a configurable API base URL
+ * - Can authenticate as a GitHub App installation instead of a personal token
+ * - Revalidates cached responses with ETags, so repeat questions cost no rate limit
  */
 class GitHubClient {
   constructor(config) {
+    this.name = 'github';
     this.apiToken = config.apiToken;
     this.organization = config.organization;
-    this.cache = new NodeCache({ stdTTL: config.cache?.ttl || 300 });
+    this.organizations = [].concat(config.organization || []).filter(Boolean);
+    this.repositoryRules = {
+      include: (config.repositories?.include || []).map(toRepositoryPattern),
+      exclude: (config.repositories?.exclude || []).map(toRepositoryPattern)
+    };
+    this.baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.cache = namespacedCache(config.cache, 'github');
+    this.pagination = { ...DEFAULT_PAGINATION, ...config.pagination };
+
+    // A configured GitHub App takes precedence over the personal token
+    const appAuth = config.app ? new GitHubAppAuth(config.app, { baseUrl: this.baseUrl, organization: this.organization }) : null;
+    this.appAuth = appAuth?.configured ? appAuth : null;
     
     this.client = axios.create({
-      baseURL: 'https://api.github.com',
+      baseURL: this.baseUrl,
       headers: {
-        'Authorization': `token ${this.apiToken}`,
         'Accept': 'application/vnd.github.v3+json'
       }
     });
 
+    this.client.interceptors.request.use(async request => {
+      const token = this.appAuth ? await this.appAuth.getToken() : this.apiToken;
+      request.headers.Authorization = `token ${token}`;
+      return request;
+    });
+
     // Track rate limit status
     this.rateLimitRemaining = null;
     this.rateLimitReset = null;
   }
 
+  /**
+   * Whether a GitHub App or a real personal token is configured
+   */
+  hasCredentials() {
+    return !!this.appAuth || (!!this.apiToken && this.apiToken !== 'your-github-personal-access-token');
+  }
+
+  /**
+   * Path relative to the API base for a URL GitHub handed back
+   * (absolute URLs from another host are left for axios to use as-is)
+   */
+  apiPath(url) {
+    return url.startsWith(this.baseUrl) ? url.slice(this.baseUrl.length) : url;
+  }
+
+  /**
+   * The organizations and repository lists searches are limited to,
+   * or null when GitHub is searched unscoped
+   */
+  describeScope() {
+    const include = this.repositoryRules.include.map(rule => rule.source);
+    const exclude = this.repositoryRules.exclude.map(rule => rule.source);
+    if (this.organizations.length === 0 && include.length === 0 && exclude.length === 0) return null;
+
+    return { organizations: this.organizations, include, exclude };
+  }
+
+  /**
+   * Add `org:` qualifiers to a search query (several are OR'ed by GitHub)
+   */
+  scopeQuery(query) {
+    if (this.organizations.length === 0) return query;
+    return `${query} ${this.organizations.map(org => `org:${org}`).join(' ')}`;
+  }
+
+  /**
+   * Whether a repository ("owner/name") passes the allow/deny lists
+   */
+  isRepositoryAllowed(fullName) {
+    const name = (fullName || '').toLowerCase();
+    const { include, exclude } = this.repositoryRules;
+
+    if (include.length > 0 && !include.some(rule => rule.test(name))) return false;
+    return !exclude.some(rule => rule.test(name));
+  }
+
+  /**
+   * Repository of a commit or issue search result
+   */
+  searchItemRepository(item) {
+    return item.repository?.full_name || this.repositoryFromUrl(item.repository_url);
+  }
+
+  /**
+   * Whether a login belongs to any configured organization
+   * Always true when no organization is configured
+   * Only a definite answer (204 member, 404 not) is cached; when no org
+   * says "member" and a check failed (expired token, outage), throws an
+   * APIError rather than passing the person off as an outsider
+   */
+  async isOrgMember(login) {
+    if (this.organizations.length === 0) return true;
+
+    const cacheKey = `members:${login.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    if (this.hasCredentials()) {
+      await this.checkRateLimit();
+    }
+
+    const checks = await Promise.allSettled(this.organizations.map(async org => {
+      const response = await this.client.get(`/orgs/${encodeURIComponent(org)}/members/${encodeURIComponent(login)}`, {
+        validateStatus: status => status === 204 || status === 404
+      });
+      return response.status === 204;
+    }));
+
+    const member = checks.some(check => check.status === 'fulfilled' && check.value);
+    const failed = checks.find(check => check.status === 'rejected');
+    if (!member && failed) {
+      const error = failed.reason;
+      if (error.response?.status === 401) {
+        this.appAuth?.invalidate();
+      }
+      throw new APIError('GitHub', `could not check organization membership for ${login}: ${error.message}`, {
+        status: error.response?.status || null
+      });
+    }
+
+    await this.cache.set(cacheKey, member);
+    return member;
+  }
+
   /**
    * Check and handle rate limits intelligently
    */
   async checkRateLimit() {
     // Skip rate limit check if no token is configured
-    if (!this.apiToken || this.apiToken === 'your-github-personal-access-token') {
+    if (!this.hasCredentials()) {
       return;
     }
 
@@ -61,20 +192,48 @@ class GitHubClient {
 
   /**
    * Make request with rate limit awareness
+   * GETs are conditional: a response seen before is revalidated with its
+   * ETag, and a 304 (which doesn't count against the rate limit) is
+   * answered from the stored copy
    */
   async makeRequest(url, params = {}) {
     // Skip rate limit check if no valid token
-    if (this.apiToken && this.apiToken !== 'your-github-personal-access-token') {
+    if (this.hasCredentials()) {
       await this.checkRateLimit();
     }
+
+    const etagKey = `etag:${this.client.getUri({ url, params })}`;
+    const known = await this.cache.get(etagKey, { refreshable: false });
     
     try {
-      const response = await this.client.get(url, { params });
+      const response = await this.client.get(url, {
+        params,
+        headers: known ? { 'If-None-Match': known.etag } : {},
+        validateStatus: status => (status >= 200 && status < 300) || (!!known && status === 304)
+      });
       
       // Update rate limit info from headers
       if (response.headers['x-ratelimit-remaining']) {
         this.rateLimitRemaining = parseInt(response.headers['x-ratelimit-remaining']);
       }
+
+      if (response.status === 304) {
+        return {
+          ...response,
+          status: known.status,
+          data: known.data,
+          headers: { ...response.headers, link: known.link }
+        };
+      }
+
+      if (response.headers.etag) {
+        await this.cache.set(etagKey, {
+          etag: response.headers.etag,
+          status: response.status,
+          data: response.data,
+          link: response.headers.link || null
+        });
+      }
       
       return response;
     } catch (error) {
@@ -84,7 +243,9 @@ class GitHubClient {
       // For 401 (unauthorized), return null instead of throwing
       // This allows the app to continue with JIRA data only
       if (error.response?.status === 401) {
-        console.warn(`GitHub API authentication failed. Please check your GitHub token in config/config.js`);
+        // An installation token may have been revoked; exchange a new one next time
+        this.appAuth?.invalidate();
+        console.warn(`GitHub API authentication failed. Please check your GitHub credentials in config/config.js`);
         return null;
       }
       throw error;
@@ -94,80 +255,156 @@ class GitHubClient {
   /**
    * Find user by username or email
    * Handles both exact matches and search
+   * Throws AmbiguousUserError when search returns several people
    */
   async findUser(username) {
     // Skip if no valid token configured
-    if (!this.apiToken || this.apiToken === 'your-github-personal-access-token') {
+    if (!this.hasCredentials()) {
       console.warn('GitHub API token not configured. Skipping GitHub user lookup.');
       return null;
     }
 
-    const cacheKey = `gh-user:${username.toLowerCase()}`;
-    const cached = this.cache.get(cacheKey);
+    const cacheKey = `users:${username.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
-    try {
-      const response = await this.makeRequest(`/users/${username}`);
-      if (response && response.data) {
-        const user = response.data;
-        this.cache.set(cacheKey, user);
-        return user;
-      }
-      return null;
-    } catch (error) {
-      // Try searching if direct lookup fails
+    // A name with spaces can't be a login, so go straight to search
+    // Outside the configured organizations, a login match falls through to search
+    if (!/\s/.test(username.trim())) {
       try {
-        const searchResponse = await this.makeRequest('/search/users', { q: username });
-        if (searchResponse?.data?.items?.length > 0) {
-          const user = searchResponse.data.items[0];
-          this.cache.set(cacheKey, user);
+        const response = await this.makeRequest(`/users/${encodeURIComponent(username.trim())}`);
+        if (response && response.data && await this.isOrgMember(response.data.login)) {
+          const user = response.data;
+          await this.cache.set(cacheKey, user);
           return user;
         }
-      } catch (searchError) {
-        // Only log if it's not an auth error (already handled in makeRequest)
-        if (searchError.response?.status !== 401) {
-          console.error(`Error finding GitHub user ${username}:`, searchError.message);
-        }
+      } catch (error) {
+        // A membership check that failed is no answer; anything else falls through to search
+        if (error instanceof APIError) throw error;
+      }
+    }
+
+    // Search when there's no exact login match
+    const items = await this.searchUsers(username);
+    if (items.length === 0) return null;
+
+    const exact = items.filter(item => item.login.toLowerCase() === username.toLowerCase());
+    let user = null;
+    if (items.length === 1) user = items[0];
+    else if (exact.length === 1) user = exact[0];
+
+    if (!user) {
+      throw new AmbiguousUserError(username, items.slice(0, 10).map(item => ({
+        platform: 'github',
+        displayName: item.login,
+        email: null,
+        avatarUrl: item.avatar_url || null,
+        jiraAccountId: null,
+        githubLogin: item.login
+      })));
+    }
+
+    await this.cache.set(cacheKey, user);
+    return user;
+  }
+
+  /**
+   * Run a search across as many pages as the pagination limit allows
+   * Queries are limited to the configured organizations, and results from
+   * repositories outside the allow/deny lists are dropped
+   * The result carries pageInfo saying whether it was cut short
+   */
+  async searchAll(url, params) {
+    const results = await paginate(async page => {
+      const current = page || 1;
+      const response = await this.makeRequest(url, {
+        ...params,
+        q: this.scopeQuery(params.q),
+        per_page: this.pagination.pageSize,
+        page: current
+      });
+
+      if (!response?.data?.items) return null;
+
+      return {
+        items: response.data.items,
+        next: nextGitHubPage(response, current),
+        total: response.data.total_count
+      };
+    }, { maxItems: this.pagination.maxItems });
+
+    return withPageInfo(
+      results.filter(item => this.isRepositoryAllowed(this.searchItemRepository(item))),
+      pageInfoOf(results)
+    );
+  }
+
+  /**
+   * Search users, returning every match
+   * With organizations configured, only their members are returned
+   */
+  async searchUsers(query) {
+    if (!this.hasCredentials()) {
+      return [];
+    }
+
+    try {
+      const response = await this.makeRequest('/search/users', { q: query, per_page: 10 });
+      const items = response?.data?.items || [];
+      const members = await Promise.all(items.map(item => this.isOrgMember(item.login)));
+      return items.filter((item, index) => members[index]);
+    } catch (error) {
+      console.error(`Error searching GitHub users for ${query}:`, error.message);
+      if (error instanceof APIError) throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Get a user's full profile (name, public email, avatar)
+   */
+  async getUser(login) {
+    const cacheKey = `profiles:${login.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await this.makeRequest(`/users/${encodeURIComponent(login)}`);
+      if (response?.data) {
+        await this.cache.set(cacheKey, response.data);
+        return response.data;
       }
       return null;
+    } catch (error) {
+      console.error(`Error fetching GitHub user ${login}:`, error.message);
+      return null;
     }
   }
 
   /**
    * Get recent commits by user
    * Automatically extracts JIRA ticket references
+   * Accepts a { start, end } date range or a number of days
    */
-  async getRecentCommits(username, days = 14) {
-    const cacheKey = `commits:${username}:${days}`;
-    const cached = this.cache.get(cacheKey);
+  async getRecentCommits(username, range = 14) {
+    const { start, end } = toDateRange(range);
+    const cacheKey = `commits:${username}:${start}:${end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
     try {
-      const since = new Date();
-      since.setDate(since.getDate() - days);
-      const sinceStr = since.toISOString();
-
-      // Search for commits by author
-      const query = `author:${username} author-date:>${sinceStr.split('T')[0]}`;
-      const response = await this.makeRequest('/search/commits', {
+      // Search for commits by author, bounded on both ends
+      const query = `author:${username} author-date:${start}..${end}`;
+      const items = await this.searchAll('/search/commits', {
         q: query,
-        per_page: 30,
         sort: 'author-date',
         order: 'desc'
       });
 
-      if (!response?.data?.items) {
-        return [];
-      }
-
-      const commits = response.data.items.map(item => {
+      const commits = withPageInfo(items.map(item => {
         const commit = item.commit;
         const message = commit.message;
-        
-        // Extract JIRA ticket references (e.g., "PROJ-123" or "fixes PROJ-456")
-        const jiraTicketRegex = /([A-Z]+-\d+)/gi;
-        const ticketMatches = message.match(jiraTicketRegex) || [];
-        
+
         return {
           sha: item.sha.substring(0, 7),
           message: message.split('\n')[0], // First line only
@@ -175,15 +412,16 @@ class GitHubClient {
           date: commit.author.date,
           url: item.html_url,
           repository: item.repository?.full_name || 'unknown',
-          jiraTickets: [...new Set(ticketMatches)] // Unique ticket references
+          jiraTickets: extractJiraTickets(message),
+          tickets: extractTicketReferences(message, item.repository?.full_name)
         };
-      });
+      }), pageInfoOf(items));
 
-      this.cache.set(cacheKey, commits);
+      await this.cache.set(cacheKey, commits);
       return commits;
     } catch (error) {
       console.error(`Error fetching GitHub commits for ${username}:`, error.message);
-      return [];
+      return failedFetch(error);
     }
   }
 
@@ -191,84 +429,257 @@ class GitHubClient {
    * Get active pull requests
    */
   async getActivePullRequests(username) {
-    const cacheKey = `prs:${username}`;
-    const cached = this.cache.get(cacheKey);
+    const cacheKey = `pullRequests:${username}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
     try {
       // Search for open PRs by user
       const query = `is:pr is:open author:${username}`;
-      const response = await this.makeRequest('/search/issues', {
+      const items = await this.searchAll('/search/issues', { q: query });
+
+      const prs = withPageInfo(await this.getPullRequestDetails(items), pageInfoOf(items));
+
+      await this.addFirstReviews(prs, username);
+
+      await this.cache.set(cacheKey, prs);
+      return prs;
+    } catch (error) {
+      console.error(`Error fetching GitHub PRs for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Get PRs the person merged or closed within the range
+   * Accepts a { start, end } date range or a number of days
+   */
+  async getClosedPullRequests(username, range = 14) {
+    const { start, end } = toDateRange(range);
+    const cacheKey = `closedPullRequests:${username}:${start}:${end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const query = `is:pr is:closed author:${username} closed:${start}..${end}`;
+      const items = await this.searchAll('/search/issues', {
         q: query,
-        per_page: 20
+        sort: 'updated',
+        order: 'desc'
       });
 
-      if (!response?.data?.items) {
-        return [];
+      const prs = withPageInfo(
+        (await this.getPullRequestDetails(items)).sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt)),
+        pageInfoOf(items)
+      );
+
+      await this.cache.set(cacheKey, prs);
+      return prs;
+    } catch (error) {
+      console.error(`Error fetching closed GitHub PRs for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Fetch full PR details for search results, a few at a time
+   * Search results lack branches, merge info and diff stats
+   */
+  async getPullRequestDetails(items) {
+    const prResponses = await mapWithConcurrency(items, DETAIL_CONCURRENCY, item =>
+      this.makeRequest(this.apiPath(item.pull_request.url))
+    );
+
+    return prResponses
+      .filter(pr => pr && pr.data)
+      .map(pr => this.toPullRequest(pr.data));
+  }
+
+  /**
+   * Normalize a PR from the pulls API
+   * Lead time runs from opening to merge
+   */
+  toPullRequest(data) {
+    const merged = !!data.merged_at;
+
+    return {
+      number: data.number,
+      title: data.title,
+      state: merged ? 'merged' : data.state,
+      created: data.created_at,
+      updated: data.updated_at,
+      closedAt: data.closed_at || null,
+      mergedAt: data.merged_at || null,
+      leadTimeHours: merged ? hoursBetween(data.created_at, data.merged_at) : null,
+      url: data.html_url,
+      // Head repos of merged fork PRs are often deleted
+      repository: data.head.repo?.full_name || data.base.repo?.full_name || 'unknown',
+      baseRepository: data.base.repo?.full_name,
+      baseBranch: data.base.ref,
+      headBranch: data.head.ref,
+      comments: (data.comments || 0) + (data.review_comments || 0),
+      additions: data.additions || 0,
+      deletions: data.deletions || 0,
+      changedFiles: data.changed_files || 0
+    };
+  }
+
+  /**
+   * Annotate the person's own PRs with when someone else first reviewed them
+   * Review lookups are best-effort; a failure just leaves the PR unreviewed
+   */
+  async addFirstReviews(prs, author) {
+    await mapWithConcurrency(prs, REVIEW_CONCURRENCY, async pr => {
+      const repository = pr.baseRepository || pr.repository;
+      try {
+        const response = await this.makeRequest(`/repos/${repository}/pulls/${pr.number}/reviews`, { per_page: 100 });
+        const reviews = (response?.data || [])
+          .filter(review => review.submitted_at && review.user?.login?.toLowerCase() !== author.toLowerCase())
+          .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+
+        pr.reviewCount = reviews.length;
+        pr.firstReviewAt = reviews[0]?.submitted_at || null;
+      } catch (error) {
+        console.warn(`Could not fetch reviews for ${repository}#${pr.number}:`, error.message);
+        pr.reviewCount = 0;
+        pr.firstReviewAt = null;
       }
+    });
+
+    return prs;
+  }
 
-      // Fetch full PR details concurrently for better performance
-      const prPromises = response.data.items.map(item =>
-        this.makeRequest(item.pull_request.url.replace('https://api.github.com', ''))
+  /**
+   * Get reviews the person submitted on other people's PRs within the range
+   * Accepts a { start, end } date range or a number of days
+   */
+  async getReviewsGiven(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `reviews:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      // PRs they reviewed that saw activity in the range; the exact
+      // review timestamps are checked below
+      const query = `is:pr reviewed-by:${username} -author:${username} updated:${dateRange.start}..${dateRange.end}`;
+      const items = await this.searchAll('/search/issues', {
+        q: query,
+        sort: 'updated',
+        order: 'desc'
+      });
+
+      const login = username.toLowerCase();
+      const reviewed = await mapWithConcurrency(items, REVIEW_CONCURRENCY, async item => {
+        const repository = this.repositoryFromUrl(item.repository_url);
+        const [reviewsResponse, commentsResponse] = await Promise.all([
+          this.makeRequest(`/repos/${repository}/pulls/${item.number}/reviews`, { per_page: 100 }),
+          this.makeRequest(`/repos/${repository}/pulls/${item.number}/comments`, { per_page: 100 })
+        ]);
+
+        const mine = (reviewsResponse?.data || [])
+          .filter(review => review.user?.login?.toLowerCase() === login && review.submitted_at)
+          .filter(review => isWithinRange(review.submitted_at, dateRange))
+          .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+
+        if (mine.length === 0) return null;
+
+        const comments = (commentsResponse?.data || [])
+          .filter(comment => comment.user?.login?.toLowerCase() === login);
+
+        return {
+          number: item.number,
+          title: item.title,
+          url: item.html_url,
+          repository,
+          author: item.user?.login || 'unknown',
+          state: item.state,
+          reviewStates: mine.map(review => review.state),
+          latestState: mine[mine.length - 1].state,
+          submittedAt: mine[mine.length - 1].submitted_at,
+          commentCount: comments.length
+        };
+      });
+
+      const reviews = withPageInfo(
+        reviewed.filter(Boolean).sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt)),
+        pageInfoOf(items)
       );
 
-      const prResponses = await Promise.all(prPromises);
-      
-      const prs = prResponses
-        .filter(pr => pr && pr.data)
-        .map(pr => ({
-          number: pr.data.number,
-          title: pr.data.title,
-          state: pr.data.state,
-          created: pr.data.created_at,
-          updated: pr.data.updated_at,
-          url: pr.data.html_url,
-          repository: pr.data.head.repo?.full_name || 'unknown',
-          baseBranch: pr.data.base.ref,
-          headBranch: pr.data.head.ref
-        }));
-
-      this.cache.set(cacheKey, prs);
-      return prs;
+      await this.cache.set(cacheKey, reviews);
+      return reviews;
     } catch (error) {
-      console.error(`Error fetching GitHub PRs for ${username}:`, error.message);
-      return [];
+      console.error(`Error fetching GitHub reviews for ${username}:`, error.message);
+      return failedFetch(error);
     }
   }
 
   /**
-   * Get repositories user has contributed to recently
+   * Get open PRs currently waiting on the person's review
    */
-  async getRecentRepositories(username, days = 30) {
+  async getReviewRequests(username) {
+    const cacheKey = `reviewRequests:${username}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
     try {
-      const commits = await this.getRecentCommits(username, days);
-      const repos = new Map();
-
-      commits.forEach(commit => {
-        if (!repos.has(commit.repository)) {
-          repos.set(commit.repository, {
-            name: commit.repository,
-            commitCount: 0,
-            lastCommit: commit.date
-          });
-        }
-        const repo = repos.get(commit.repository);
-        repo.commitCount++;
-        if (new Date(commit.date) > new Date(repo.lastCommit)) {
-          repo.lastCommit = commit.date;
-        }
+      const query = `is:pr is:open review-requested:${username} archived:false`;
+      const items = await this.searchAll('/search/issues', {
+        q: query,
+        sort: 'created',
+        order: 'asc'
       });
 
-      return Array.from(repos.values())
-        .sort((a, b) => new Date(b.lastCommit) - new Date(a.lastCommit))
-        .slice(0, 10);
+      const requests = withPageInfo(items.map(item => ({
+        number: item.number,
+        title: item.title,
+        url: item.html_url,
+        repository: this.repositoryFromUrl(item.repository_url),
+        author: item.user?.login || 'unknown',
+        created: item.created_at,
+        updated: item.updated_at,
+        comments: item.comments || 0
+      })), pageInfoOf(items));
+
+      await this.cache.set(cacheKey, requests);
+      return requests;
+    } catch (error) {
+      console.error(`Error fetching GitHub review requests for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * "owner/name" from a search result's repository_url
+   */
+  repositoryFromUrl(url) {
+    return url ? url.split('/repos/')[1] : 'unknown';
+  }
+
+  /**
+   * Get repositories user has contributed to recently
+   */
+  async getRecentRepositories(username, range = 30) {
+    try {
+      const commits = await this.getRecentCommits(username, range);
+      return summarizeRepositories(commits);
     } catch (error) {
       console.error(`Error fetching repositories for ${username}:`, error.message);
-      return [];
+      return failedFetch(error);
     }
   }
 }
 
+/**
+ * Case-insensitive matcher for "owner/name", where * matches any run
+ * of characters ("acme/*", "acme/legacy-*")
+ */
+function toRepositoryPattern(pattern) {
+  const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  const regex = new RegExp(`^${escaped}$`);
+  return { source: pattern, test: name => regex.test(name) };
+}
+
 export default GitHubClient;
 
 
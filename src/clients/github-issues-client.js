@@ -0,0 +1,117 @@
+import { toDateRange } from '../utils/date-range.js';
+import { withPageInfo, pageInfoOf, failedFetch } from '../utils/pagination.js';
+
+// Priority labels in JIRA's vocabulary ("priority: high", "P1", ...)
+const PRIORITY_LABELS = [
+  { pattern: /^(p0|priority[:/ -]*(critical|urgent|highest))$/i, priority: 'Highest' },
+  { pattern: /^(p1|priority[:/ -]*high)$/i, priority: 'High' },
+  { pattern: /^(p2|priority[:/ -]*medium)$/i, priority: 'Medium' },
+  { pattern: /^(p3|p4|priority[:/ -]*(low|lowest))$/i, priority: 'Low' }
+];
+
+// Labels that say what kind of issue it is
+const TYPE_LABELS = {
+  bug: 'Bug',
+  enhancement: 'Feature',
+  feature: 'Feature',
+  documentation: 'Documentation',
+  chore: 'Task',
+  task: 'Task'
+};
+
+/**
+ * GitHub Issues as an issue tracker
+ *
+ * Creative solutions:
+ * - Shares the GitHubClient's auth, organization scope and paging
+ * - Keys issues as "owner/repo#123", the same form commit references
+ *   are normalized to, so commit linking works across repositories
+ * - Reads priority and type from conventional labels
+ */
+class GitHubIssuesClient {
+  constructor(githubClient) {
+    this.name = 'github';
+    this.github = githubClient;
+  }
+
+  hasCredentials() {
+    return this.github.hasCredentials();
+  }
+
+  /**
+   * Resolve a person to their GitHub login
+   */
+  async findUserByName(name) {
+    const user = await this.github.findUser(name);
+    return user ? { ...user, accountId: user.login, displayName: user.name || user.login } : null;
+  }
+
+  /**
+   * Get open issues assigned to the person
+   */
+  async getAssignedIssues(login) {
+    const cacheKey = `issues:${login}:${this.github.pagination.maxItems}`;
+    const cached = await this.github.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const items = await this.github.searchAll('/search/issues', {
+      q: `is:issue is:open assignee:${login} archived:false`,
+      sort: 'updated',
+      order: 'desc'
+    });
+
+    const issues = withPageInfo(items.map(item => this.toIssue(item)), pageInfoOf(items));
+    await this.github.cache.set(cacheKey, issues);
+    return issues;
+  }
+
+  /**
+   * Get issues assigned to the person that were updated within the range
+   */
+  async getRecentActivity(login, range = 14) {
+    const { start, end } = toDateRange(range);
+    const cacheKey = `activity:${login}:${start}:${end}:${this.github.pagination.maxItems}`;
+    const cached = await this.github.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const items = await this.github.searchAll('/search/issues', {
+        q: `is:issue assignee:${login} updated:${start}..${end}`,
+        sort: 'updated',
+        order: 'desc'
+      });
+
+      const issues = withPageInfo(items.map(item => this.toIssue(item)), pageInfoOf(items));
+      await this.github.cache.set(cacheKey, issues);
+      return issues;
+    } catch (error) {
+      console.error(`Error fetching recent GitHub issues for ${login}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Normalize a search result to JiraClient's issue shape
+   */
+  toIssue(item) {
+    const repository = this.github.repositoryFromUrl(item.repository_url);
+    const labels = (item.labels || []).map(label => label.name);
+
+    let status = item.state === 'open' ? 'Open' : 'Closed';
+    if (item.state === 'closed' && item.state_reason === 'completed') status = 'Done';
+
+    return {
+      key: `${repository}#${item.number}`,
+      summary: item.title,
+      status,
+      priority: PRIORITY_LABELS.find(({ pattern }) => labels.some(label => pattern.test(label)))?.priority || 'None',
+      type: labels.map(label => TYPE_LABELS[label.toLowerCase()]).find(Boolean) || 'Issue',
+      project: repository,
+      created: item.created_at,
+      updated: item.updated_at,
+      url: item.html_url
+    };
+  }
+}
+
+export default GitHubIssuesClient;
@@ -0,0 +1,514 @@
+import axios from 'axios';
+import { AmbiguousUserError } from '../utils/errors.js';
+import { toDateRange, dayAfter, isWithinRange, formatDate, addDays, parseDate } from '../utils/date-range.js';
+import { DEFAULT_PAGINATION, paginate, nextGitLabPage, withPageInfo, pageInfoOf, combinePageInfo, failedFetch } from '../utils/pagination.js';
+import { REVIEW_STATES, extractJiraTickets, extractTicketReferences, summarizeRepositories, hoursBetween } from '../utils/source-control.js';
+import { namespacedCache } from '../cache/index.js';
+
+/**
+ * GitLab Client (gitlab.com or self-managed, REST API v4)
+ *
+ * Creative solutions:
+ * - Returns the same commit / PR / review shapes as GitHubClient, so
+ *   merge requests read as pull requests everywhere downstream
+ * - Finds commits through the person's push events, since GitLab has no
+ *   cross-project commit search by author
+ * - Derives review activity from approvals and discussion notes
+ * - Follows X-Next-Page paging up to a configurable limit
+ */
+class GitLabClient {
+  constructor(config) {
+    this.name = 'gitlab';
+    this.baseUrl = (config.baseUrl || 'https://gitlab.com').replace(/\/+$/, '');
+    this.token = config.token;
+    this.cache = namespacedCache(config.cache, 'gitlab');
+    this.pagination = { ...DEFAULT_PAGINATION, ...config.pagination };
+
+    this.client = axios.create({
+      baseURL: `${this.baseUrl}/api/v4`,
+      headers: {
+        'PRIVATE-TOKEN': this.token,
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  hasCredentials() {
+    return !!this.token && this.token !== 'your-gitlab-token';
+  }
+
+  /**
+   * GET with one retry after a rate limit
+   * Missing resources and auth failures come back as null
+   */
+  async makeRequest(url, params = {}, retried = false) {
+    try {
+      return await this.client.get(url, { params });
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 429 && !retried) {
+        const waitTime = Number(error.response.headers?.['retry-after'] || 1) * 1000;
+        console.log(`GitLab rate limited, waiting ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        return this.makeRequest(url, params, true);
+      }
+      if (status === 404) return null;
+      if (status === 401) {
+        console.warn('GitLab API authentication failed. Please check your GitLab token in config/config.js');
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a list endpoint across pages, up to the pagination limit
+   */
+  async listAll(url, params = {}) {
+    return paginate(async page => {
+      const current = page || 1;
+      const response = await this.makeRequest(url, {
+        ...params,
+        per_page: this.pagination.pageSize,
+        page: current
+      });
+      if (!Array.isArray(response?.data)) return null;
+
+      const total = Number(response.headers?.['x-total']);
+      return {
+        items: response.data,
+        next: nextGitLabPage(response),
+        total: Number.isFinite(total) && total > 0 ? total : undefined
+      };
+    }, { maxItems: this.pagination.maxItems });
+  }
+
+  /**
+   * Find a user by username or name
+   * Throws AmbiguousUserError when several people match and none exactly
+   */
+  async findUser(name) {
+    if (!this.hasCredentials()) return null;
+
+    const cacheKey = `users:${name.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const needle = name.trim().toLowerCase();
+    let users = [];
+    if (!/\s/.test(needle)) {
+      users = await this.searchUsers({ username: name.trim() });
+    }
+    if (users.length === 0) {
+      users = await this.searchUsers({ search: name.trim() });
+    }
+    if (users.length === 0) return null;
+
+    const exact = users.filter(user =>
+      user.username.toLowerCase() === needle || user.name?.toLowerCase() === needle
+    );
+
+    let user = null;
+    if (users.length === 1) user = users[0];
+    else if (exact.length === 1) user = exact[0];
+
+    if (!user) {
+      throw new AmbiguousUserError(name, users.slice(0, 10).map(candidate => ({
+        platform: 'gitlab',
+        displayName: candidate.name || candidate.username,
+        email: null,
+        avatarUrl: candidate.avatar_url || null,
+        jiraAccountId: null,
+        githubLogin: candidate.username
+      })));
+    }
+
+    const normalized = { ...user, login: user.username };
+    await this.cache.set(cacheKey, normalized);
+    await this.cache.set(`users:${user.username.toLowerCase()}`, normalized);
+    return normalized;
+  }
+
+  /**
+   * Active users matching { username } or { search }
+   */
+  async searchUsers(params) {
+    try {
+      const response = await this.makeRequest('/users', { ...params, active: true, per_page: 10 });
+      return response?.data || [];
+    } catch (error) {
+      console.error('Error searching GitLab users:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Project path ("group/name") for a project id
+   */
+  async getProjectPath(projectId) {
+    const cacheKey = `projects:${projectId}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const response = await this.makeRequest(`/projects/${projectId}`);
+    const path = response?.data?.path_with_namespace || String(projectId);
+    await this.cache.set(cacheKey, path);
+    return path;
+  }
+
+  /**
+   * Get commits the person authored within the range
+   * Push events name the projects they pushed to; each project's history
+   * is then filtered by author
+   */
+  async getRecentCommits(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `commits:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const user = await this.findUser(username);
+      if (!user) return [];
+
+      // Event dates are exclusive on both ends
+      const events = await this.listAll(`/users/${user.id}/events`, {
+        action: 'pushed',
+        after: formatDate(addDays(parseDate(dateRange.start), -1)),
+        before: dayAfter(dateRange)
+      });
+      const projectIds = [...new Set(events.map(event => event.project_id).filter(Boolean))];
+
+      const perProject = await Promise.all(projectIds.map(async projectId => {
+        const [repository, commits] = await Promise.all([
+          this.getProjectPath(projectId),
+          this.listAll(`/projects/${projectId}/repository/commits`, {
+            since: `${dateRange.start}T00:00:00Z`,
+            until: `${dayAfter(dateRange)}T00:00:00Z`,
+            author: user.name,
+            all: true
+          })
+        ]);
+
+        return withPageInfo(commits.map(commit => this.toCommit(commit, repository)), pageInfoOf(commits));
+      }));
+
+      // Projects beyond the event limit are missed entirely
+      const pageInfo = combinePageInfo(perProject);
+      if (pageInfo && pageInfoOf(events)?.truncated) pageInfo.truncated = true;
+
+      // The same commit can be reachable from several branches
+      const seen = new Set();
+      const commits = withPageInfo(
+        perProject.flat()
+          .filter(commit => !seen.has(commit.url) && seen.add(commit.url))
+          .sort((a, b) => new Date(b.date) - new Date(a.date)),
+        pageInfo
+      );
+
+      await this.cache.set(cacheKey, commits);
+      return commits;
+    } catch (error) {
+      console.error(`Error fetching GitLab commits for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Normalize a commit to GitHubClient's shape
+   */
+  toCommit(commit, repository) {
+    const message = commit.message || commit.title || '';
+
+    return {
+      sha: commit.id.substring(0, 7),
+      message: message.split('\n')[0],
+      author: commit.author_name,
+      date: commit.authored_date,
+      url: commit.web_url,
+      repository,
+      jiraTickets: extractJiraTickets(message),
+      tickets: extractTicketReferences(message, repository)
+    };
+  }
+
+  /**
+   * Get projects the person committed to recently
+   */
+  async getRecentRepositories(username, range = 30) {
+    try {
+      return summarizeRepositories(await this.getRecentCommits(username, range));
+    } catch (error) {
+      console.error(`Error fetching GitLab projects for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Get the person's open merge requests, with when they were first reviewed
+   */
+  async getActivePullRequests(username) {
+    const cacheKey = `pullRequests:${username}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const items = await this.listAll('/merge_requests', {
+        author_username: username,
+        state: 'opened',
+        scope: 'all'
+      });
+
+      const prs = withPageInfo(items.map(mr => this.toPullRequest(mr)), pageInfoOf(items));
+      await this.addFirstReviews(prs, items, username);
+
+      await this.cache.set(cacheKey, prs);
+      return prs;
+    } catch (error) {
+      console.error(`Error fetching GitLab merge requests for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Get merge requests the person merged or closed within the range
+   */
+  async getClosedPullRequests(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `closedPullRequests:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const params = {
+        author_username: username,
+        scope: 'all',
+        updated_after: `${dateRange.start}T00:00:00Z`
+      };
+      const [merged, closed] = await Promise.all([
+        this.listAll('/merge_requests', { ...params, state: 'merged' }),
+        this.listAll('/merge_requests', { ...params, state: 'closed' })
+      ]);
+
+      const items = [...merged, ...closed]
+        .filter(mr => isWithinRange(mr.merged_at || mr.closed_at, dateRange));
+
+      const prs = await Promise.all(items.map(async mr => {
+        const pr = this.toPullRequest(mr);
+        return pr.mergedAt ? { ...pr, ...await this.getDiffStats(mr) } : pr;
+      }));
+
+      const result = withPageInfo(
+        prs.sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt)),
+        combinePageInfo([merged, closed])
+      );
+
+      await this.cache.set(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`Error fetching closed GitLab merge requests for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Normalize a merge request to GitHubClient's pull request shape
+   */
+  toPullRequest(mr) {
+    const merged = !!mr.merged_at;
+    const repository = this.repositoryOf(mr);
+
+    return {
+      number: mr.iid,
+      title: mr.title,
+      state: merged ? 'merged' : (mr.state === 'opened' ? 'open' : 'closed'),
+      created: mr.created_at,
+      updated: mr.updated_at,
+      closedAt: mr.closed_at || mr.merged_at || null,
+      mergedAt: mr.merged_at || null,
+      leadTimeHours: merged ? hoursBetween(mr.created_at, mr.merged_at) : null,
+      url: mr.web_url,
+      repository,
+      baseRepository: repository,
+      baseBranch: mr.target_branch,
+      headBranch: mr.source_branch,
+      comments: mr.user_notes_count || 0,
+      additions: 0,
+      deletions: 0,
+      changedFiles: 0
+    };
+  }
+
+  /**
+   * "group/name" from a merge request's full reference ("group/name!12")
+   */
+  repositoryOf(mr) {
+    return mr.references?.full?.split('!')[0] || String(mr.project_id);
+  }
+
+  /**
+   * Line and file counts for a merge request, from its diffs
+   */
+  async getDiffStats(mr) {
+    try {
+      const response = await this.makeRequest(`/projects/${mr.project_id}/merge_requests/${mr.iid}/diffs`, { per_page: 100 });
+      const diffs = response?.data || [];
+      const lines = diffs.flatMap(diff => (diff.diff || '').split('\n'));
+
+      return {
+        additions: lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+        deletions: lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length,
+        changedFiles: diffs.length
+      };
+    } catch (error) {
+      console.warn(`Could not fetch diff stats for ${this.repositoryOf(mr)}!${mr.iid}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Human (non-system) notes and approvals on a merge request
+   */
+  async getNotes(mr) {
+    const response = await this.makeRequest(`/projects/${mr.project_id}/merge_requests/${mr.iid}/notes`, {
+      sort: 'asc',
+      order_by: 'created_at',
+      per_page: 100
+    });
+    return response?.data || [];
+  }
+
+  /**
+   * Annotate the person's own merge requests with when someone else first
+   * commented on or approved them
+   */
+  async addFirstReviews(prs, items, author) {
+    await Promise.all(prs.map(async (pr, index) => {
+      try {
+        const notes = (await this.getNotes(items[index]))
+          .filter(note => note.author?.username?.toLowerCase() !== author.toLowerCase())
+          .filter(note => !note.system || reviewStateOf(note));
+
+        pr.reviewCount = notes.length;
+        pr.firstReviewAt = notes[0]?.created_at || null;
+      } catch (error) {
+        console.warn(`Could not fetch notes for ${pr.repository}!${pr.number}:`, error.message);
+        pr.reviewCount = 0;
+        pr.firstReviewAt = null;
+      }
+    }));
+
+    return prs;
+  }
+
+  /**
+   * Get reviews the person gave on other people's merge requests in the range
+   * Approvals and change requests show up as system notes; plain
+   * comments count as a COMMENTED review
+   */
+  async getReviewsGiven(username, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `reviews:${username}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const items = await this.listAll('/merge_requests', {
+        reviewer_username: username,
+        scope: 'all',
+        updated_after: `${dateRange.start}T00:00:00Z`
+      });
+
+      const login = username.toLowerCase();
+      const reviewed = await Promise.all(items
+        .filter(mr => mr.author?.username?.toLowerCase() !== login)
+        .map(async mr => {
+          const mine = (await this.getNotes(mr))
+            .filter(note => note.author?.username?.toLowerCase() === login)
+            .filter(note => isWithinRange(note.created_at, dateRange));
+
+          const states = mine
+            .map(note => note.system ? reviewStateOf(note) : REVIEW_STATES.commented)
+            .filter(Boolean);
+          if (states.length === 0) return null;
+
+          const pr = this.toPullRequest(mr);
+          return {
+            number: pr.number,
+            title: pr.title,
+            url: pr.url,
+            repository: pr.repository,
+            author: mr.author?.username || 'unknown',
+            state: pr.state === 'merged' ? 'closed' : pr.state,
+            reviewStates: states,
+            latestState: states[states.length - 1],
+            submittedAt: mine[mine.length - 1].created_at,
+            commentCount: mine.filter(note => !note.system).length
+          };
+        }));
+
+      const reviews = withPageInfo(
+        reviewed.filter(Boolean).sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt)),
+        pageInfoOf(items)
+      );
+
+      await this.cache.set(cacheKey, reviews);
+      return reviews;
+    } catch (error) {
+      console.error(`Error fetching GitLab reviews for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Get open merge requests waiting on the person's review
+   */
+  async getReviewRequests(username) {
+    const cacheKey = `reviewRequests:${username}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const items = await this.listAll('/merge_requests', {
+        reviewer_username: username,
+        state: 'opened',
+        scope: 'all',
+        order_by: 'created_at',
+        sort: 'asc'
+      });
+
+      const requests = withPageInfo(items.map(mr => ({
+        number: mr.iid,
+        title: mr.title,
+        url: mr.web_url,
+        repository: this.repositoryOf(mr),
+        author: mr.author?.username || 'unknown',
+        created: mr.created_at,
+        updated: mr.updated_at,
+        comments: mr.user_notes_count || 0
+      })), pageInfoOf(items));
+
+      await this.cache.set(cacheKey, requests);
+      return requests;
+    } catch (error) {
+      console.error(`Error fetching GitLab review requests for ${username}:`, error.message);
+      return failedFetch(error);
+    }
+  }
+
+  describeScope() {
+    return null;
+  }
+}
+
+/**
+ * Review state a system note records, if any
+ */
+function reviewStateOf(note) {
+  const body = (note.body || '').toLowerCase();
+  if (body.startsWith('approved this merge request')) return REVIEW_STATES.approved;
+  if (body.startsWith('requested changes')) return REVIEW_STATES.changesRequested;
+  return null;
+}
+
+export default GitLabClient;
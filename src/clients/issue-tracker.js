@@ -0,0 +1,154 @@
+import { lookUpEverywhere, fanOut } from '../utils/fan-out.js';
+import { namespacedCache } from '../cache/index.js';
+import LinearClient from './linear-client.js';
+import GitHubIssuesClient from './github-issues-client.js';
+
+/**
+ * Issue Trackers
+ *
+ * Every tracker client (JiraClient, LinearClient, GitHubIssuesClient)
+ * exposes the same interface, so ActivityFetcher and DataEnricher work
+ * the same whichever tracker a squad uses:
+ *
+ * - name: 'jira' | 'linear' | 'github'
+ * - hasCredentials(): whether the client is configured
+ * - findUserByName(name): a user with `accountId` and `displayName`, null,
+ *   or AmbiguousUserError
+ * - getAssignedIssues(accountId): open issues assigned to the person
+ * - getRecentActivity(accountId, range): their issues updated in the range
+ * - getIssueTransitions(accountId, range): optional; status changes they
+ *   made in the range, as { key, summary, type, project, from, to, at, url }
+ *
+ * Issues are { key, summary, status, priority, type, project, created,
+ * updated, url }. Keys are how commits refer to them: "PROJ-123" for JIRA,
+ * "ENG-123" for Linear and "owner/repo#123" for GitHub Issues.
+ *
+ * Creative solutions:
+ * - Queries every configured tracker in parallel and merges the results
+ * - Remembers each person's account on every tracker, sending pinned ids
+ *   (rosters, the identity registry) to the tracker they belong to
+ * - Tags merged issues with the tracker they came from
+ */
+
+const byRecentlyUpdated = (a, b) => new Date(b.updated) - new Date(a.updated);
+const byMostRecent = (a, b) => new Date(b.at) - new Date(a.at);
+
+/**
+ * Several issue trackers behind the single-tracker interface
+ */
+export class MultiIssueTrackerClient {
+  constructor(clients, config = {}) {
+    this.name = 'multi';
+    this.clients = clients;
+    // accounts:<accountId on the first tracker that knew the person> -> { jira: '...', linear: '...' }
+    this.cache = namespacedCache(config.cache, 'issue-trackers');
+    // Same mapping for pinned people, rebuilt from their pins on every resolve
+    this.pinned = new Map();
+  }
+
+  hasCredentials() {
+    return this.clients.some(client => client.hasCredentials());
+  }
+
+  /**
+   * Find the person on every tracker
+   * The first tracker that knows them supplies the primary accountId; a
+   * tracker that couldn't answer only means "not found" if another one did
+   */
+  async findUserByName(name) {
+    const { found, failed } = await lookUpEverywhere(this.clients, name, client => client.findUserByName(name));
+    if (found.length === 0) {
+      if (failed.length > 0) throw failed[0].error;
+      return null;
+    }
+
+    const accounts = Object.fromEntries(found.map(({ client, user }) => [client.name, user.accountId]));
+    const primary = { ...found[0].user, tracker: found[0].client.name };
+
+    if (failed.length === 0) {
+      await this.cache.set(`accounts:${primary.accountId}`, accounts);
+    }
+    return { ...primary, accounts };
+  }
+
+  /**
+   * A person pinned by id (team roster, identity registry)
+   * Each pin goes to the tracker it belongs to: jiraAccountId to JIRA and
+   * githubLogin to GitHub Issues; the other trackers are searched by display
+   * name, leaving out any where that fails or matches several people
+   */
+  async pinnedUser({ jiraAccountId = null, githubLogin = null, displayName }) {
+    const pins = {};
+    if (jiraAccountId && this.clients.some(client => client.name === 'jira')) pins.jira = jiraAccountId;
+    if (githubLogin && this.clients.some(client => client.name === 'github')) pins.github = githubLogin;
+    if (Object.keys(pins).length === 0) return this.findUserByName(displayName);
+
+    const unpinned = this.clients.filter(client => !pins[client.name]);
+    const { found } = await lookUpEverywhere(unpinned, displayName, client => client.findUserByName(displayName), { strict: false });
+
+    const accounts = { ...pins };
+    found.forEach(({ client, user }) => {
+      accounts[client.name] = user.accountId;
+    });
+
+    const first = this.clients.find(client => accounts[client.name]);
+    const searched = found.find(({ client }) => client === first);
+    const primary = searched
+      ? { ...searched.user, tracker: first.name }
+      : { accountId: accounts[first.name], displayName, tracker: first.name };
+
+    this.pinned.set(primary.accountId, accounts);
+    return { ...primary, accounts };
+  }
+
+  /**
+   * The person's account on each tracker
+   * An id nobody resolved is taken to be the first tracker's
+   */
+  async accountsFor(accountId) {
+    if (this.pinned.has(accountId)) return this.pinned.get(accountId);
+
+    const cached = await this.cache.get(`accounts:${accountId}`, { refreshable: false });
+    return cached || { [this.clients[0].name]: accountId };
+  }
+
+  /**
+   * Call a method on every tracker the person has an account on
+   * See fanOut in utils/fan-out.js
+   */
+  async fanOut(method, accountId, args, compare = byRecentlyUpdated) {
+    const accounts = await this.accountsFor(accountId);
+    return fanOut(this.clients, accounts, method, args, { compare, tag: 'tracker' });
+  }
+
+  getAssignedIssues(accountId) {
+    return this.fanOut('getAssignedIssues', accountId, []);
+  }
+
+  getRecentActivity(accountId, range) {
+    return this.fanOut('getRecentActivity', accountId, [range]);
+  }
+
+  getIssueTransitions(accountId, range) {
+    return this.fanOut('getIssueTransitions', accountId, [range], byMostRecent);
+  }
+}
+
+/**
+ * The issue tracker client the activity fetcher should use
+ *
+ * JIRA (already constructed by the server) plus config.linear and
+ * config.githubIssues when enabled. A single configured tracker is
+ * returned as-is; several are wrapped in a MultiIssueTrackerClient.
+ */
+export function createIssueTrackerClient(config = {}, { jiraClient, githubClient }) {
+  const clients = [
+    jiraClient,
+    config.linear && new LinearClient({ ...config.linear, cache: config.cache, pagination: config.pagination?.linear }),
+    config.githubIssues?.enabled && githubClient && new GitHubIssuesClient(githubClient)
+  ].filter(client => client && client.hasCredentials());
+
+  if (clients.length === 0) return jiraClient;
+  if (clients.length === 1) return clients[0];
+  return new MultiIssueTrackerClient(clients, config);
+}
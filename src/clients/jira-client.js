@@ -1,5 +1,8 @@
 import axios from 'axios';
-import NodeCache from 'node-cache';
+import { AmbiguousUserError, APIError } from '../utils/errors.js';
+import { toDateRange, dayAfter, isWithinRange } from '../utils/date-range.js';
+import { DEFAULT_PAGINATION, paginate, nextJiraPageToken, nextJiraStartAt, withPageInfo, pageInfoOf, failedFetch } from '../utils/pagination.js';
+import { namespacedCache } from '../cache/index.js';
 
 /**
  * JIRA Client with intelligent error handling and caching
@@ -9,27 +12,69 @@ import NodeCache from 'node-cache';
  * - Smart caching to reduce API calls
  * - Normalizes data structure for easier processing
  * - Handles partial failures gracefully
+ * - Pages through searches up to a configurable limit
+ * - Reports a retired search endpoint as an APIError instead of "no issues"
+ * - Speaks both Jira Cloud (REST v3, accountIds) and Server / Data Center
+ *   (REST v2, usernames, Personal Access Tokens) behind the same interface
+ * - Reads status transitions from the changelog that comes with a search,
+ *   instead of a changelog request per issue
  */
+
+// Deployment types: 'cloud' (default) or 'server' (Server and Data Center)
+const SERVER_DEPLOYMENTS = ['server', 'datacenter', 'data-center'];
+
 class JiraClient {
   constructor(config) {
+    this.name = 'jira';
     this.baseUrl = config.baseUrl;
     this.email = config.email;
     this.apiToken = config.apiToken;
-    this.cache = new NodeCache({ stdTTL: config.cache?.ttl || 300 });
+    this.personalAccessToken = config.personalAccessToken;
+    this.password = config.password;
+    this.deployment = SERVER_DEPLOYMENTS.includes(String(config.deployment || '').toLowerCase()) ? 'server' : 'cloud';
+    this.apiVersion = this.deployment === 'server' ? 2 : 3;
+    this.cache = namespacedCache(config.cache, 'jira');
+    this.pagination = { ...DEFAULT_PAGINATION, ...config.pagination };
     
     // Create authenticated axios instance
     this.client = axios.create({
       baseURL: this.baseUrl,
-      auth: {
-        username: this.email,
-        password: this.apiToken
-      },
+      ...this.authOptions(config),
       headers: {
-        'Accept': 'application/json'
+        'Accept': 'application/json',
+        ...(config.personalAccessToken ? { Authorization: `Bearer ${config.personalAccessToken}` } : {})
       }
     });
   }
 
+  /**
+   * Basic auth for Cloud (email + API token) and for Server without a
+   * Personal Access Token (username + password); a PAT is sent as a
+   * Bearer header instead
+   */
+  authOptions(config) {
+    if (config.personalAccessToken) return {};
+
+    return {
+      auth: {
+        username: config.username || this.email,
+        password: config.password || this.apiToken
+      }
+    };
+  }
+
+  /**
+   * Whether a JIRA site and real credentials are configured
+   */
+  hasCredentials() {
+    const token = this.personalAccessToken || this.password || this.apiToken;
+    return !!this.baseUrl && !!token && !/^your-/.test(token);
+  }
+
+  get isServer() {
+    return this.deployment === 'server';
+  }
+
   /**
    * Retry logic with exponential backoff
    * Handles rate limits and temporary failures
@@ -60,56 +105,179 @@ class JiraClient {
   /**
    * Search for users by name (fuzzy matching)
    * Handles cases where exact name doesn't match
+   * Throws AmbiguousUserError when several people match and none exactly
    */
   async findUserByName(name) {
-    const cacheKey = `user:${name.toLowerCase()}`;
-    const cached = this.cache.get(cacheKey);
+    const cacheKey = `users:${name.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
+    // App and deactivated accounts are never who the question is about
+    const users = (await this.searchUsers(name)).filter(user =>
+      user.active !== false && (!user.accountType || user.accountType === 'atlassian')
+    );
+    if (users.length === 0) return null;
+
+    const needle = name.toLowerCase();
+    const exact = users.filter(user =>
+      user.displayName?.toLowerCase() === needle || user.emailAddress?.toLowerCase() === needle
+    );
+
+    let user = null;
+    if (users.length === 1) user = users[0];
+    else if (exact.length === 1) user = exact[0];
+
+    if (!user) {
+      throw new AmbiguousUserError(name, users.slice(0, 10).map(candidate => ({
+        platform: 'jira',
+        displayName: candidate.displayName,
+        email: candidate.emailAddress || null,
+        avatarUrl: candidate.avatarUrls?.['48x48'] || null,
+        jiraAccountId: candidate.accountId,
+        githubLogin: null
+      })));
+    }
+
+    await this.cache.set(cacheKey, user);
+    return user;
+  }
+
+  /**
+   * Search users by name or email, returning every match
+   * Server users are identified by username, which is exposed as
+   * `accountId` so JQL and the rest of the app don't need to care
+   * Throws APIError when the search itself fails
+   */
+  async searchUsers(query) {
     try {
       const response = await this.retryRequest(() =>
-        this.client.get('/rest/api/3/user/search', {
-          params: { query: name }
+        this.client.get(`/rest/api/${this.apiVersion}/user/search`, {
+          params: this.isServer ? { username: query } : { query }
         })
       );
 
-      if (response.data && response.data.length > 0) {
-        // Return the first match (could be enhanced with fuzzy matching)
-        const user = response.data[0];
-        this.cache.set(cacheKey, user);
-        return user;
-      }
-      return null;
+      const users = response.data || [];
+      return this.isServer ? users.map(user => this.toServerUser(user)) : users;
     } catch (error) {
-      console.error(`Error finding JIRA user ${name}:`, error.message);
-      return null;
+      // Only an empty result means nobody matched; a failed search must not
+      // read as "user not found"
+      console.error(`Error finding JIRA user ${query}:`, error.message);
+      throw new APIError('JIRA', `could not search users for ${query}: ${error.message}`, {
+        status: error.response?.status || null
+      });
     }
   }
 
   /**
-   * Get assigned issues for a user
-   * Returns normalized, enriched data
+   * Give a Server / Data Center user the Cloud user fields we rely on
    */
-  async getAssignedIssues(accountId, maxResults = 50) {
-    const cacheKey = `issues:${accountId}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
+  toServerUser(user) {
+    return {
+      ...user,
+      accountId: user.name || user.key,
+      username: user.name,
+      userKey: user.key
+    };
+  }
+
+  /**
+   * Run a JQL search across as many pages as the pagination limit allows
+   * Cloud uses the enhanced search endpoint, which pages by nextPageToken
+   * and doesn't report a total; Server pages by startAt on REST v2
+   * The result carries pageInfo saying whether it was cut short
+   * `expand` is passed through (e.g. 'changelog')
+   */
+  async searchIssues(jql, fields, expand = null) {
+    if (this.isServer) return this.searchIssuesByOffset(jql, fields, expand);
 
     try {
-      // Use quotes around accountId for proper JQL syntax
-      const jql = `assignee = "${accountId}" AND status != Done ORDER BY updated DESC`;
-      
+      return await paginate(async nextPageToken => {
+        const response = await this.retryRequest(() =>
+          this.client.get('/rest/api/3/search/jql', {
+            params: {
+              jql,
+              maxResults: this.pagination.pageSize,
+              fields,
+              ...(expand ? { expand } : {}),
+              ...(nextPageToken ? { nextPageToken } : {})
+            }
+          })
+        );
+
+        return {
+          items: response.data.issues || [],
+          next: nextJiraPageToken(response.data)
+        };
+      }, { maxItems: this.pagination.maxItems });
+    } catch (error) {
+      throw this.toSearchError(error);
+    }
+  }
+
+  /**
+   * Quote a user identifier for JQL: an accountId on Cloud, a username on Server
+   */
+  jqlUser(id) {
+    return `"${String(id).replace(/(["\\])/g, '\\$1')}"`;
+  }
+
+  /**
+   * Offset-paged JQL search for Server / Data Center
+   */
+  async searchIssuesByOffset(jql, fields, expand = null) {
+    return paginate(async startAt => {
       const response = await this.retryRequest(() =>
-        this.client.get('/rest/api/3/search', {
+        this.client.get('/rest/api/2/search', {
           params: {
             jql,
-            maxResults,
-            fields: 'summary,status,priority,created,updated,issuetype,project'
+            startAt: startAt || 0,
+            maxResults: this.pagination.pageSize,
+            fields,
+            ...(expand ? { expand } : {})
           }
         })
       );
 
-      const issues = response.data.issues.map(issue => ({
+      return {
+        items: response.data.issues || [],
+        next: nextJiraStartAt(response.data),
+        total: response.data.total
+      };
+    }, { maxItems: this.pagination.maxItems });
+  }
+
+  /**
+   * Turn a retired-endpoint failure into an APIError
+   * Atlassian answers removed REST endpoints with 410 Gone; treating that
+   * as an empty result would make everyone look idle
+   */
+  toSearchError(error) {
+    if (error.response?.status !== 410) return error;
+
+    const detail = error.response.data?.errorMessages?.[0];
+    return new APIError(
+      'JIRA',
+      `the issue search endpoint is no longer available (410 Gone)${detail ? `: ${detail}` : ''}`,
+      { status: 410, retryable: false }
+    );
+  }
+
+  /**
+   * Get assigned issues for a user
+   * Returns normalized, enriched data
+   */
+  async getAssignedIssues(accountId) {
+    // A different result limit is a different answer
+    const cacheKey = `issues:${accountId}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const jql = `assignee = ${this.jqlUser(accountId)} AND status != Done ORDER BY updated DESC`;
+      
+      const results = await this.searchIssues(jql, 'summary,status,priority,created,updated,issuetype,project');
+
+      const issues = withPageInfo(results.map(issue => ({
         key: issue.key,
         summary: issue.fields.summary,
         status: issue.fields.status.name,
@@ -119,18 +287,12 @@ class JiraClient {
         created: issue.fields.created,
         updated: issue.fields.updated,
         url: `${this.baseUrl}/browse/${issue.key}`
-      }));
+      })), pageInfoOf(results));
 
-      this.cache.set(cacheKey, issues);
+      await this.cache.set(cacheKey, issues);
       return issues;
     } catch (error) {
       console.error(`Error fetching JIRA issues for ${accountId}:`, error.message);
-      if (error.response?.status === 404 || error.response?.status === 410) {
-        // 404 = not found, 410 = gone (deprecated endpoint or invalid query)
-        // Return empty array instead of throwing
-        return [];
-      }
-      // For other errors, still throw to let caller handle
       throw error;
     }
   }
@@ -138,40 +300,91 @@ class JiraClient {
   /**
    * Get recent activity/updates for a user
    * Shows what they've been working on recently
+   * Accepts a { start, end } date range or a number of days
    */
-  async getRecentActivity(accountId, days = 14) {
-    try {
-      const since = new Date();
-      since.setDate(since.getDate() - days);
-      const sinceStr = since.toISOString().split('T')[0];
+  async getRecentActivity(accountId, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `activity:${accountId}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
 
-      // Use quotes around accountId for proper JQL syntax
-      const jql = `assignee = "${accountId}" AND updated >= "${sinceStr}" ORDER BY updated DESC`;
+    try {
+      // The upper bound is exclusive so the whole end day is included
+      const jql = `assignee = ${this.jqlUser(accountId)} AND updated >= "${dateRange.start}" AND updated < "${dayAfter(dateRange)}" ORDER BY updated DESC`;
       
-      const response = await this.retryRequest(() =>
-        this.client.get('/rest/api/3/search', {
-          params: {
-            jql,
-            maxResults: 20,
-            fields: 'summary,status,priority,updated,issuetype'
-          }
-        })
-      );
+      const results = await this.searchIssues(jql, 'summary,status,priority,updated,issuetype,project');
 
-      return response.data.issues.map(issue => ({
+      const issues = withPageInfo(results.map(issue => ({
         key: issue.key,
         summary: issue.fields.summary,
         status: issue.fields.status.name,
         priority: issue.fields.priority?.name || 'None',
         type: issue.fields.issuetype.name,
+        project: issue.fields.project?.name,
         updated: issue.fields.updated,
         url: `${this.baseUrl}/browse/${issue.key}`
-      }));
+      })), pageInfoOf(results));
+
+      await this.cache.set(cacheKey, issues);
+      return issues;
     } catch (error) {
       console.error(`Error fetching recent JIRA activity:`, error.message);
-      return [];
+      // A broken integration must not read as "nothing happened"
+      if (error instanceof APIError) throw error;
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Get the status transitions a user made within a date range
+   * Accepts a { start, end } date range or a number of days
+   * Search results carry each issue's most recent changelog entries, so
+   * a transition buried under many later edits of a busy issue can be missed
+   */
+  async getIssueTransitions(accountId, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `transitions:${accountId}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const jql = `status CHANGED BY ${this.jqlUser(accountId)} DURING ("${dateRange.start}", "${dayAfter(dateRange)}") ORDER BY updated DESC`;
+
+      const results = await this.searchIssues(jql, 'summary,status,issuetype,project', 'changelog');
+
+      const transitions = withPageInfo(results.flatMap(issue =>
+        (issue.changelog?.histories || [])
+          .filter(history => this.authorId(history.author) === accountId && isWithinRange(history.created, dateRange))
+          .flatMap(history => history.items
+            .filter(item => item.field === 'status')
+            .map(item => ({
+              key: issue.key,
+              summary: issue.fields.summary,
+              type: issue.fields.issuetype?.name,
+              project: issue.fields.project?.name,
+              from: item.fromString,
+              to: item.toString,
+              at: history.created,
+              url: `${this.baseUrl}/browse/${issue.key}`
+            })))
+      ).sort((a, b) => new Date(b.at) - new Date(a.at)), pageInfoOf(results));
+
+      await this.cache.set(cacheKey, transitions);
+      return transitions;
+    } catch (error) {
+      console.error(`Error fetching JIRA transitions for ${accountId}:`, error.message);
+      if (error instanceof APIError) throw error;
+      return failedFetch(error);
     }
   }
+
+  /**
+   * The id a changelog author goes by: accountId on Cloud, username on Server
+   */
+  authorId(author) {
+    if (!author) return null;
+    return this.isServer ? author.name || author.key : author.accountId;
+  }
 }
 
 export default JiraClient;
@@ -0,0 +1,228 @@
+import axios from 'axios';
+import { AmbiguousUserError, APIError } from '../utils/errors.js';
+import { toDateRange, dayAfter } from '../utils/date-range.js';
+import { DEFAULT_PAGINATION, paginate, nextGraphQLCursor, withPageInfo, pageInfoOf, failedFetch } from '../utils/pagination.js';
+import { namespacedCache } from '../cache/index.js';
+
+// Linear's numeric priorities in JIRA's vocabulary, so priority counts work unchanged
+const PRIORITIES = {
+  0: 'None',
+  1: 'Highest',
+  2: 'High',
+  3: 'Medium',
+  4: 'Low'
+};
+
+const ISSUE_FIELDS = `
+  identifier
+  title
+  url
+  createdAt
+  updatedAt
+  priority
+  state { name type }
+  team { key name }
+  labels { nodes { name } }
+`;
+
+/**
+ * Linear Client (GraphQL API)
+ *
+ * Creative solutions:
+ * - Returns the same issue shape as JiraClient; team keys double as
+ *   project keys, so "ENG-123" style filters and commit links just work
+ * - Maps Linear's numeric priorities onto JIRA's names
+ * - Follows GraphQL cursors up to a configurable limit
+ * - Surfaces GraphQL errors (which arrive with HTTP 200) as APIErrors
+ */
+class LinearClient {
+  constructor(config) {
+    this.name = 'linear';
+    this.apiKey = config.apiKey;
+    this.cache = namespacedCache(config.cache, 'linear');
+    this.pagination = { ...DEFAULT_PAGINATION, ...config.pagination };
+
+    // Personal API keys are sent as-is; OAuth tokens need the Bearer prefix
+    this.client = axios.create({
+      baseURL: config.baseUrl || 'https://api.linear.app',
+      headers: {
+        'Authorization': config.oauthToken ? `Bearer ${config.oauthToken}` : this.apiKey,
+        'Content-Type': 'application/json'
+      }
+    });
+    this.configured = !!config.oauthToken || (!!this.apiKey && this.apiKey !== 'your-linear-api-key');
+  }
+
+  hasCredentials() {
+    return this.configured;
+  }
+
+  /**
+   * Run a GraphQL query, returning its data
+   */
+  async query(query, variables = {}) {
+    const response = await this.client.post('/graphql', { query, variables });
+
+    if (response.data.errors?.length) {
+      throw new APIError('Linear', response.data.errors.map(error => error.message).join('; '));
+    }
+    return response.data.data;
+  }
+
+  /**
+   * Find a user by name, display name or email
+   * Throws AmbiguousUserError when several people match and none exactly
+   */
+  async findUserByName(name) {
+    if (!this.hasCredentials()) return null;
+
+    const cacheKey = `users:${name.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const users = (await this.searchUsers(name)).filter(user => user.active !== false);
+    if (users.length === 0) return null;
+
+    const needle = name.toLowerCase();
+    const exact = users.filter(user =>
+      [user.name, user.displayName, user.email].some(value => value?.toLowerCase() === needle)
+    );
+
+    let user = null;
+    if (users.length === 1) user = users[0];
+    else if (exact.length === 1) user = exact[0];
+
+    if (!user) {
+      throw new AmbiguousUserError(name, users.slice(0, 10).map(candidate => ({
+        platform: 'linear',
+        displayName: candidate.name,
+        email: candidate.email || null,
+        avatarUrl: candidate.avatarUrl || null,
+        jiraAccountId: candidate.id,
+        githubLogin: null
+      })));
+    }
+
+    const normalized = { ...user, accountId: user.id, displayName: user.name };
+    await this.cache.set(cacheKey, normalized);
+    return normalized;
+  }
+
+  /**
+   * Users whose name, display name or email matches
+   * Throws APIError when the search itself fails
+   */
+  async searchUsers(term) {
+    try {
+      const data = await this.query(`
+        query Users($term: String!) {
+          users(first: 20, filter: { or: [
+            { name: { containsIgnoreCase: $term } },
+            { displayName: { containsIgnoreCase: $term } },
+            { email: { eqIgnoreCase: $term } }
+          ] }) {
+            nodes { id name displayName email avatarUrl active }
+          }
+        }
+      `, { term });
+
+      return data.users.nodes;
+    } catch (error) {
+      // Only an empty result means nobody matched
+      console.error(`Error finding Linear user ${term}:`, error.message);
+      if (error instanceof APIError) throw error;
+      throw new APIError('Linear', `could not search users for ${term}: ${error.message}`, {
+        status: error.response?.status || null
+      });
+    }
+  }
+
+  /**
+   * Run an issue query across as many pages as the pagination limit allows
+   */
+  async searchIssues(filter) {
+    return paginate(async after => {
+      const data = await this.query(`
+        query Issues($filter: IssueFilter, $first: Int, $after: String) {
+          issues(filter: $filter, first: $first, after: $after, orderBy: updatedAt) {
+            nodes { ${ISSUE_FIELDS} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      `, { filter, first: Math.min(this.pagination.pageSize, 250), after });
+
+      return {
+        items: data.issues.nodes,
+        next: nextGraphQLCursor(data.issues.pageInfo)
+      };
+    }, { maxItems: this.pagination.maxItems });
+  }
+
+  /**
+   * Get the person's open issues (not completed or canceled)
+   */
+  async getAssignedIssues(userId) {
+    const cacheKey = `issues:${userId}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const results = await this.searchIssues({
+        assignee: { id: { eq: userId } },
+        state: { type: { nin: ['completed', 'canceled'] } }
+      });
+
+      const issues = withPageInfo(results.map(issue => this.toIssue(issue)), pageInfoOf(results));
+      await this.cache.set(cacheKey, issues);
+      return issues;
+    } catch (error) {
+      console.error(`Error fetching Linear issues for ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the person's issues updated within the range
+   */
+  async getRecentActivity(userId, range = 14) {
+    const dateRange = toDateRange(range);
+    const cacheKey = `activity:${userId}:${dateRange.start}:${dateRange.end}:${this.pagination.maxItems}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const results = await this.searchIssues({
+        assignee: { id: { eq: userId } },
+        updatedAt: { gte: dateRange.start, lt: dayAfter(dateRange) }
+      });
+
+      const issues = withPageInfo(results.map(issue => this.toIssue(issue)), pageInfoOf(results));
+      await this.cache.set(cacheKey, issues);
+      return issues;
+    } catch (error) {
+      console.error(`Error fetching recent Linear activity:`, error.message);
+      if (error instanceof APIError) throw error;
+      return failedFetch(error);
+    }
+  }
+
+  /**
+   * Normalize to JiraClient's issue shape
+   * Linear has no issue types, so the first label stands in for one
+   */
+  toIssue(issue) {
+    return {
+      key: issue.identifier,
+      summary: issue.title,
+      status: issue.state?.name || 'Unknown',
+      priority: PRIORITIES[issue.priority] || 'None',
+      type: issue.labels?.nodes?.[0]?.name || 'Issue',
+      project: issue.team?.name,
+      created: issue.createdAt,
+      updated: issue.updatedAt,
+      url: issue.url
+    };
+  }
+}
+
+export default LinearClient;
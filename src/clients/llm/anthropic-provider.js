@@ -0,0 +1,112 @@
+import axios from 'axios';
+
+/**
+ * Anthropic Messages API provider
+ * Talks to the REST API directly; system prompts travel separately
+ */
+class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.model = config.model || 'claude-3-5-haiku-latest';
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 500;
+
+    this.client = axios.create({
+      baseURL: config.baseUrl || 'https://api.anthropic.com',
+      headers: {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Split OpenAI-style messages into Anthropic's system + messages
+   */
+  toRequest(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    return {
+      system: system || undefined,
+      messages: messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role, content: message.content }))
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.client.post('/v1/messages', {
+      model: this.model,
+      ...this.toRequest(messages),
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens
+    });
+
+    return response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  /**
+   * Same as chat, but yields text deltas from the server-sent event stream
+   */
+  async *stream(messages, options = {}) {
+    const response = await this.client.post('/v1/messages', {
+      model: this.model,
+      ...this.toRequest(messages),
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens,
+      stream: true
+    }, { responseType: 'stream' });
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+
+      // Events are separated by blank lines; keep any partial event for the next chunk
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+
+        const payload = JSON.parse(dataLine.slice(5));
+        if (payload.type === 'error') {
+          throw new Error(payload.error?.message || 'stream error');
+        }
+        if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          yield payload.delta.text;
+        }
+      }
+    }
+  }
+
+  /**
+   * Force a single tool call and return its input
+   */
+  async extract(messages, tool) {
+    const response = await this.client.post('/v1/messages', {
+      model: this.model,
+      ...this.toRequest(messages),
+      tools: [{ name: tool.name, description: tool.description, input_schema: tool.parameters }],
+      tool_choice: { type: 'tool', name: tool.name },
+      temperature: 0,
+      max_tokens: this.maxTokens
+    });
+
+    const call = response.data.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+    if (!call) {
+      throw new Error(`model did not return a ${tool.name} call`);
+    }
+
+    return call.input;
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,23 @@
+import { AzureOpenAI } from 'openai';
+import OpenAIProvider from './openai-provider.js';
+
+/**
+ * Azure OpenAI provider
+ * Requests go to a deployment, which stands in for the model name
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super(
+      { ...config, model: config.deployment },
+      new AzureOpenAI({
+        apiKey: config.apiKey,
+        endpoint: config.endpoint,
+        deployment: config.deployment,
+        apiVersion: config.apiVersion || '2024-10-21'
+      })
+    );
+    this.name = 'azure';
+  }
+}
+
+export default AzureOpenAIProvider;
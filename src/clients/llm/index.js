@@ -0,0 +1,38 @@
+import OpenAIProvider from './openai-provider.js';
+import AnthropicProvider from './anthropic-provider.js';
+import AzureOpenAIProvider from './azure-openai-provider.js';
+import LocalProvider from './local-provider.js';
+import StubProvider from './stub-provider.js';
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  azure: AzureOpenAIProvider,
+  local: LocalProvider,
+  stub: StubProvider
+};
+
+/**
+ * Build the configured LLM provider, or null to use templates only
+ *
+ * Reads config.llm ({ provider, openai: {...}, anthropic: {...}, ... });
+ * configs that predate it with just config.openai still work.
+ */
+export function createLLMProvider(config = {}) {
+  const llm = config.llm || (config.openai ? { provider: 'openai', openai: config.openai } : null);
+  if (!llm || !llm.provider || llm.provider === 'none') return null;
+
+  const Provider = PROVIDERS[llm.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${llm.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}, none`);
+  }
+
+  const settings = llm[llm.provider] || {};
+
+  // Hosted providers are pointless without a key
+  if (['openai', 'anthropic', 'azure'].includes(llm.provider) && !settings.apiKey) {
+    return null;
+  }
+
+  return new Provider(settings);
+}
@@ -0,0 +1,21 @@
+import OpenAI from 'openai';
+import OpenAIProvider from './openai-provider.js';
+
+/**
+ * Local OpenAI-compatible provider (Ollama, llama.cpp server, vLLM...)
+ * Keeps activity data on the network; no key is needed but the SDK wants one
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super(
+      { model: 'llama3.1', ...config },
+      new OpenAI({
+        apiKey: config.apiKey || 'local',
+        baseURL: config.baseUrl || 'http://localhost:11434/v1'
+      })
+    );
+    this.name = 'local';
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,71 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI chat completions provider
+ *
+ * Also the base for Azure OpenAI and OpenAI-compatible local servers,
+ * which only differ in how the SDK client is constructed.
+ */
+class OpenAIProvider {
+  constructor(config = {}, client = null) {
+    this.name = 'openai';
+    this.model = config.model || 'gpt-3.5-turbo';
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 500;
+    this.client = client || new OpenAI({ apiKey: config.apiKey });
+  }
+
+  /**
+   * Send chat messages and return the reply text
+   */
+  async chat(messages, options = {}) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens
+    });
+
+    return response.choices[0].message.content;
+  }
+
+  /**
+   * Same as chat, but yields the reply text as it is generated
+   */
+  async *stream(messages, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens,
+      stream: true
+    });
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  /**
+   * Force a single tool call and return its parsed arguments
+   */
+  async extract(messages, tool) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      tools: [{ type: 'function', function: tool }],
+      tool_choice: { type: 'function', function: { name: tool.name } },
+      temperature: 0
+    });
+
+    const call = response.choices[0]?.message?.tool_calls?.[0];
+    if (!call || call.function.name !== tool.name) {
+      throw new Error(`model did not return a ${tool.name} call`);
+    }
+
+    return JSON.parse(call.function.arguments);
+  }
+}
+
+export default OpenAIProvider;
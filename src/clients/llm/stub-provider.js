@@ -0,0 +1,46 @@
+/**
+ * Deterministic stub provider
+ *
+ * Never touches the network. Replies are derived from the prompt (or
+ * fixed via config) so the AI code paths can be exercised offline, and
+ * every call is recorded for inspection.
+ */
+class StubProvider {
+  constructor(config = {}) {
+    this.name = 'stub';
+    this.model = config.model || 'stub';
+    this.reply = config.reply || null;
+    this.extraction = config.extraction || null;
+    this.calls = [];
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ type: 'chat', messages, options });
+
+    if (this.reply) return this.reply;
+
+    // Echo the first line of the final prompt so output tracks the input
+    const prompt = messages[messages.length - 1]?.content || '';
+    const firstLine = prompt.split('\n').find(line => line.trim()) || '';
+    return `[stub] ${firstLine.trim()} (${messages.length} messages)`;
+  }
+
+  /**
+   * Yield the chat reply a word at a time
+   */
+  async *stream(messages, options = {}) {
+    const reply = await this.chat(messages, options);
+    for (const word of reply.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+
+  async extract(messages, tool) {
+    this.calls.push({ type: 'extract', messages, tool: tool.name });
+
+    if (this.extraction) return this.extraction;
+    throw new Error('stub provider has no extraction configured');
+  }
+}
+
+export default StubProvider;
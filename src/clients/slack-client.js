@@ -0,0 +1,53 @@
+import axios from 'axios';
+
+/**
+ * Slack Client
+ *
+ * The two ways the app answers in Slack: a slash command's response_url
+ * (no token needed, valid for 30 minutes) and chat.postMessage with the
+ * bot token, for replies to @mentions.
+ *
+ * Creative solutions:
+ * - Treats Slack's HTTP 200 `{ ok: false }` replies as the errors they are
+ * - Replies to mentions in a thread, so channels stay readable
+ */
+class SlackClient {
+  constructor(config = {}) {
+    this.botToken = config.botToken;
+    this.client = axios.create({
+      baseURL: config.apiUrl || 'https://slack.com/api',
+      timeout: 10000
+    });
+  }
+
+  hasBotToken() {
+    return !!this.botToken && !this.botToken.startsWith('xoxb-your');
+  }
+
+  /**
+   * Answer a slash command through its response_url
+   */
+  async respond(responseUrl, message) {
+    await axios.post(responseUrl, message, { timeout: 10000 });
+  }
+
+  /**
+   * Post a message as the bot, in a thread when threadTs is given
+   */
+  async postMessage(channel, message, threadTs = null) {
+    const response = await this.client.post('/chat.postMessage', {
+      channel,
+      ...(threadTs ? { thread_ts: threadTs } : {}),
+      ...message
+    }, {
+      headers: { Authorization: `Bearer ${this.botToken}` }
+    });
+
+    if (!response.data.ok) {
+      throw new Error(`Slack chat.postMessage failed: ${response.data.error}`);
+    }
+    return response.data;
+  }
+}
+
+export default SlackClient;
@@ -0,0 +1,156 @@
+import { withPageInfo, pageInfoOf } from '../utils/pagination.js';
+import { lookUpEverywhere, fanOut } from '../utils/fan-out.js';
+import { namespacedCache } from '../cache/index.js';
+import GitLabClient from './gitlab-client.js';
+import BitbucketClient from './bitbucket-client.js';
+
+/**
+ * Source Control
+ *
+ * Every code host client (GitHubClient, GitLabClient, BitbucketClient)
+ * exposes the same interface, so ActivityFetcher, DataEnricher and
+ * ResponseGenerator never need to know where the code lives:
+ *
+ * - name: 'github' | 'gitlab' | 'bitbucket'
+ * - hasCredentials(): whether the client is configured
+ * - findUser(name): a user with a `login`, null, or AmbiguousUserError
+ * - getRecentCommits(login, range): [{ sha, message, author, date, url, repository, jiraTickets, tickets }]
+ *   (tickets are every issue reference, see extractTicketReferences)
+ * - getRecentRepositories(login, range): [{ name, commitCount, lastCommit }]
+ * - getActivePullRequests(login) / getClosedPullRequests(login, range):
+ *   [{ number, title, state, created, updated, closedAt, mergedAt, leadTimeHours,
+ *      url, repository, baseRepository, baseBranch, headBranch, comments,
+ *      additions, deletions, changedFiles }] (open ones add reviewCount, firstReviewAt)
+ * - getReviewsGiven(login, range): [{ number, title, url, repository, author, state,
+ *   reviewStates, latestState, submittedAt, commentCount }]
+ * - getReviewRequests(login): [{ number, title, url, repository, author, created, updated, comments }]
+ * - describeScope(): organizations / repository lists searches are limited to, or null
+ *
+ * Creative solutions:
+ * - Queries every configured host in parallel and merges the results
+ * - Remembers each person's login on every host, so one resolved user
+ *   fans out to the right account everywhere
+ * - Tags merged items with the host they came from
+ */
+
+// How each merged list is ordered
+const byNewest = key => (a, b) => new Date(b[key]) - new Date(a[key]);
+const byOldest = key => (a, b) => new Date(a[key]) - new Date(b[key]);
+
+/**
+ * Several code hosts behind the single-host interface
+ */
+export class MultiSourceControlClient {
+  constructor(clients, config = {}) {
+    this.name = 'multi';
+    this.clients = clients;
+    // accounts:<login on the first host that knew the person> -> { github: 'x', gitlab: 'y' }
+    this.cache = namespacedCache(config.cache, 'source-control');
+  }
+
+  hasCredentials() {
+    return this.clients.some(client => client.hasCredentials());
+  }
+
+  /**
+   * Find the person on every host
+   * The first host that knows them supplies the primary login; a host
+   * that couldn't answer only means "not found" if another one did
+   */
+  async findUser(name) {
+    const { found, failed } = await lookUpEverywhere(this.clients, name, client => client.findUser(name));
+    if (found.length === 0) {
+      if (failed.length > 0) throw failed[0].error;
+      return null;
+    }
+
+    const accounts = Object.fromEntries(found.map(({ client, user }) => [client.name, user.login]));
+    const primary = { ...found[0].user, provider: found[0].client.name };
+
+    if (failed.length === 0) {
+      await this.cache.set(`accounts:${primary.login.toLowerCase()}`, accounts);
+    }
+    return { ...primary, accounts };
+  }
+
+  /**
+   * The person's login on each host
+   * A login we haven't resolved (e.g. pinned from the identity registry)
+   * is looked up on every host as an exact login
+   * The mapping is only cached when every lookup answered and found the
+   * person somewhere, so a failed lookup is retried next time
+   */
+  async accountsFor(login) {
+    const cacheKey = `accounts:${login.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey, { refreshable: false });
+    if (cached) return cached;
+
+    // Ambiguous or failed lookups leave that host out for this call
+    const { found, failed } = await lookUpEverywhere(this.clients, login, client => client.findUser(login), { strict: false });
+    const accounts = Object.fromEntries(found
+      .filter(({ user }) => user.login.toLowerCase() === login.toLowerCase())
+      .map(({ client, user }) => [client.name, user.login]));
+
+    if (failed.length === 0 && Object.keys(accounts).length > 0) {
+      await this.cache.set(cacheKey, accounts);
+    }
+    return accounts;
+  }
+
+  /**
+   * Call a method on every host the person has an account on
+   * See fanOut in utils/fan-out.js
+   */
+  async fanOut(method, login, args, compare) {
+    const accounts = await this.accountsFor(login);
+    return fanOut(this.clients, accounts, method, args, { compare, tag: 'provider' });
+  }
+
+  getRecentCommits(login, range) {
+    return this.fanOut('getRecentCommits', login, [range], byNewest('date'));
+  }
+
+  async getRecentRepositories(login, range) {
+    const repos = await this.fanOut('getRecentRepositories', login, [range], byNewest('lastCommit'));
+    return withPageInfo(repos.slice(0, 10), pageInfoOf(repos));
+  }
+
+  getActivePullRequests(login) {
+    return this.fanOut('getActivePullRequests', login, [], byOldest('created'));
+  }
+
+  getClosedPullRequests(login, range) {
+    return this.fanOut('getClosedPullRequests', login, [range], byNewest('closedAt'));
+  }
+
+  getReviewsGiven(login, range) {
+    return this.fanOut('getReviewsGiven', login, [range], byNewest('submittedAt'));
+  }
+
+  getReviewRequests(login) {
+    return this.fanOut('getReviewRequests', login, [], byOldest('created'));
+  }
+
+  describeScope() {
+    return this.clients.map(client => client.describeScope()).find(Boolean) || null;
+  }
+}
+
+/**
+ * The code host client the activity fetcher should use
+ *
+ * GitHub (already constructed by the server) plus config.gitlab and
+ * config.bitbucket when they have credentials. A single configured host
+ * is returned as-is; several are wrapped in a MultiSourceControlClient.
+ */
+export function createSourceControlClient(config = {}, githubClient) {
+  const clients = [
+    githubClient,
+    config.gitlab && new GitLabClient({ ...config.gitlab, cache: config.cache, pagination: config.pagination?.gitlab }),
+    config.bitbucket && new BitbucketClient({ ...config.bitbucket, cache: config.cache, pagination: config.pagination?.bitbucket })
+  ].filter(client => client && client.hasCredentials());
+
+  if (clients.length === 0) return githubClient;
+  if (clients.length === 1) return clients[0];
+  return new MultiSourceControlClient(clients, config);
+}
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { parseCron, cronMatches, nextRun } from '../utils/cron.js';
+import { createTransport, redactDelivery } from '../clients/delivery/index.js';
+
+// Timeframe of a person / team digest that doesn't set one
+const DEFAULT_TIMEFRAME = 'last 7 days';
+
+// Errors that still make a worthwhile digest ("no activity this week")
+const DELIVERABLE_ERRORS = ['NO_ACTIVITY'];
+
+// How many mock deliveries to keep in memory
+const OUTBOX_LIMIT = 100;
+
+/**
+ * Digest Scheduler
+ *
+ * Runs stored digests on their cron schedules through the same pipeline
+ * as /api/query (parser, fetcher, DataEnricher, ResponseGenerator) and
+ * delivers the answer with the digest's transport.
+ *
+ * Creative solutions:
+ * - Ticks on minute boundaries and catches up on minutes a busy event
+ *   loop skipped, so a slow run doesn't swallow another digest's slot
+ * - A digest never overlaps itself; a slot that arrives mid-run is skipped
+ * - Digests always fetch fresh data instead of whatever the cache holds
+ * - Every run (scheduled or manual) is recorded with its outcome
+ */
+class DigestScheduler {
+  /**
+   * `runQuery(body)` answers a question like POST /api/query and resolves
+   * to { status, body }
+   */
+  constructor({ digestStore, runQuery, config = {} }) {
+    this.digestStore = digestStore;
+    this.runQuery = runQuery;
+    this.config = config;
+    this.outbox = [];
+    this.running = new Set();
+    this.timer = null;
+    this.lastTick = null;
+  }
+
+  /**
+   * Start ticking; the timer doesn't keep the process alive on its own
+   */
+  start() {
+    if (this.timer) return;
+    this.lastTick = minuteOf(new Date());
+    this.scheduleTick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleTick() {
+    const now = Date.now();
+    const delay = 60000 - (now % 60000) + 50; // just past the next minute boundary
+
+    this.timer = setTimeout(() => {
+      this.tick(new Date())
+        .catch(error => console.error('Digest scheduler tick failed:', error))
+        .finally(() => {
+          if (this.timer) this.scheduleTick();
+        });
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Run every enabled digest due in a minute since the last tick
+   */
+  async tick(now = new Date()) {
+    const current = minuteOf(now);
+    const minutes = [];
+    // At most an hour of catch-up, e.g. after the machine slept
+    for (let minute = Math.max(this.lastTick + 60000, current - 3600000); minute <= current; minute += 60000) {
+      minutes.push(new Date(minute));
+    }
+    this.lastTick = current;
+
+    const digests = (await this.digestStore.list()).filter(digest => digest.enabled);
+    const due = digests.filter(digest => {
+      // One bad schedule (e.g. hand-edited into the store) mustn't stop the others
+      let cron;
+      try {
+        cron = parseCron(digest.schedule);
+      } catch (error) {
+        console.error(`Digest "${digest.name}" has an invalid schedule, skipping:`, error.message);
+        return false;
+      }
+      return minutes.some(minute => cronMatches(cron, minute));
+    });
+
+    await Promise.all(due.map(digest => {
+      if (this.running.has(digest.id)) {
+        console.warn(`Digest "${digest.name}" is still running; skipping this slot`);
+        return null;
+      }
+      return this.run(digest, 'schedule');
+    }));
+  }
+
+  /**
+   * Answer a digest's question, deliver it and record the run
+   * Never throws; failures are recorded on the run
+   */
+  async run(digest, trigger = 'manual') {
+    const run = {
+      id: crypto.randomUUID(),
+      digestId: digest.id,
+      trigger,
+      question: this.questionFor(digest),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      error: null,
+      delivery: null
+    };
+
+    this.running.add(digest.id);
+    try {
+      const { status, body } = await this.runQuery({ query: run.question, refresh: true });
+
+      const errorType = body.error?.type;
+      if (status !== 200 || (errorType && !DELIVERABLE_ERRORS.includes(errorType))) {
+        throw new Error(body.error?.message || body.message || body.error || `Query failed with status ${status}`);
+      }
+
+      const transport = createTransport(digest.delivery, this.config, this.outbox);
+      run.delivery = await transport.send({
+        digest: { id: digest.id, name: digest.name },
+        subject: this.subjectFor(digest, body),
+        question: run.question,
+        text: body.response,
+        data: body.data || null,
+        generatedAt: new Date().toISOString()
+      });
+      this.outbox.splice(0, Math.max(0, this.outbox.length - OUTBOX_LIMIT));
+
+      run.status = 'success';
+    } catch (error) {
+      console.error(`Digest "${digest.name}" failed:`, error.message);
+      run.status = 'failure';
+      run.error = error.message;
+    } finally {
+      this.running.delete(digest.id);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    return this.digestStore.recordRun(run);
+  }
+
+  /**
+   * The question a digest asks, in words the query parser understands
+   */
+  questionFor(digest) {
+    if (digest.question) return digest.question;
+
+    const timeframe = digest.timeframe || DEFAULT_TIMEFRAME;
+    const subject = digest.team ? `the ${digest.team} team` : digest.person;
+    return `What has ${subject} been working on ${timeframe}?`;
+  }
+
+  /**
+   * "Weekly Payments digest: last 7 days"
+   */
+  subjectFor(digest, body) {
+    const timeframe = body.data?.metrics?.timeframe;
+    return timeframe ? `${digest.name}: ${timeframe}` : digest.name;
+  }
+
+  /**
+   * A digest with when it will next run (null when disabled or the
+   * schedule can't be read), with delivery credentials redacted
+   */
+  describe(digest) {
+    let nextRunAt = null;
+    if (digest.enabled) {
+      try {
+        nextRunAt = nextRun(digest.schedule)?.toISOString() || null;
+      } catch (error) {
+        nextRunAt = null;
+      }
+    }
+
+    return {
+      ...digest,
+      delivery: redactDelivery(digest.delivery),
+      nextRunAt
+    };
+  }
+}
+
+// Start of the minute containing a date, in ms
+function minuteOf(date) {
+  return Math.floor(date.getTime() / 60000) * 60000;
+}
+
+export default DigestScheduler;
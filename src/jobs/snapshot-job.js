@@ -0,0 +1,268 @@
+import { parseCron, cronMatches } from '../utils/cron.js';
+import { addDays, createDateRange, eachDay, formatDate, parseDate, startOfDay } from '../utils/date-range.js';
+import { personKey } from '../utils/snapshot-store.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Daily, shortly after midnight, once yesterday is complete
+const DEFAULT_SCHEDULE = '15 0 * * *';
+
+// How far back a person's first run (and a backfill without `days`) goes
+const DEFAULT_BACKFILL_DAYS = 30;
+const MAX_BACKFILL_DAYS = 365;
+
+// Snapshots only cover activity with a date; current state (assigned
+// issues, review queue, repositories) says nothing about a past day
+const SNAPSHOT_SOURCES = ['recentActivity', 'commits', 'pullRequests', 'closedPullRequests', 'reviews'];
+
+/**
+ * Snapshot Job
+ *
+ * Records a snapshot per person per day in the SnapshotStore, for
+ * everyone in config.snapshots.people (or every configured team member),
+ * and serves the snapshots period comparisons are made from.
+ *
+ * Creative solutions:
+ * - Each run fills whatever days are missing, so a server that was down
+ *   overnight catches up on its next run instead of leaving a gap
+ * - A person's missing days are fetched in one go and split per day
+ * - Comparisons read stored days and fetch only the rest; finished days
+ *   they fetch are stored, today never is (it isn't over yet)
+ * - Days fetched while a source was failing are never stored, so they
+ *   stay missing and the next run retries them instead of recording zeros
+ * - Works without a store: comparisons then fetch every day live
+ */
+class SnapshotJob {
+  constructor({ snapshotStore, activityFetcher, trendAnalyzer, config = {}, teams = {} }) {
+    this.store = snapshotStore;
+    this.activityFetcher = activityFetcher;
+    this.trendAnalyzer = trendAnalyzer;
+    this.config = config;
+    this.teams = teams;
+    this.schedule = parseCron(config.schedule || DEFAULT_SCHEDULE);
+    this.backfillDays = config.backfillDays || DEFAULT_BACKFILL_DAYS;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Catch up once, then run on the schedule
+   * The timer doesn't keep the process alive on its own
+   */
+  start() {
+    if (this.timer || !this.store) return;
+
+    this.runOnce().catch(error => console.error('Snapshot catch-up failed:', error));
+    this.scheduleTick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleTick() {
+    const delay = 60000 - (Date.now() % 60000) + 50; // just past the next minute boundary
+
+    this.timer = setTimeout(() => {
+      const due = cronMatches(this.schedule, new Date());
+      (due ? this.runOnce() : Promise.resolve())
+        .catch(error => console.error('Snapshot run failed:', error))
+        .finally(() => {
+          if (this.timer) this.scheduleTick();
+        });
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * run(), unless a run is already going
+   */
+  runOnce() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Record every missing day up to yesterday, for everyone tracked
+   * Returns { name, person, recorded, error } per person
+   */
+  async run(now = new Date()) {
+    const range = this.lastDays(this.backfillDays, now);
+    const results = [];
+
+    // One person at a time, to stay well inside the platforms' rate limits
+    for (const member of this.people()) {
+      results.push(await this.snapshotMember(member, range, { overwrite: false }));
+    }
+
+    const recorded = results.reduce((sum, result) => sum + result.recorded, 0);
+    if (recorded > 0) {
+      console.log(`📸 Recorded ${recorded} activity snapshots for ${results.length} people`);
+    }
+    return results;
+  }
+
+  /**
+   * Re-record the last `days` days, replacing existing snapshots
+   * `names` limits it to some of the tracked people (or anyone else)
+   */
+  async backfill({ days = this.backfillDays, names = null } = {}, now = new Date()) {
+    if (!this.store) {
+      throw new ValidationError('Activity snapshots are off (install better-sqlite3, or check snapshots.enabled)');
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BACKFILL_DAYS) {
+      throw new ValidationError(`days must be a whole number from 1 to ${MAX_BACKFILL_DAYS}`);
+    }
+    if (names !== null && (!Array.isArray(names) || names.some(name => typeof name !== 'string' || !name.trim()))) {
+      throw new ValidationError('people must be a list of names');
+    }
+
+    const tracked = this.people();
+    const members = names
+      ? names.map(name => tracked.find(member => member.name.toLowerCase() === name.trim().toLowerCase()) || { name: name.trim() })
+      : tracked;
+
+    const range = this.lastDays(days, now);
+    const results = [];
+    for (const member of members) {
+      results.push(await this.snapshotMember(member, range, { overwrite: true }));
+    }
+    return results;
+  }
+
+  /**
+   * Resolve a person and record the range's days for them
+   * Never throws; the error is reported on the result
+   */
+  async snapshotMember(member, range, { overwrite }) {
+    const result = { name: member.name, person: null, recorded: 0, error: null };
+
+    try {
+      const users = await this.activityFetcher.resolveMember(member, this.plan());
+      result.person = personKey(users);
+      if (!result.person) {
+        result.error = 'not found in JIRA or GitHub';
+        return result;
+      }
+
+      const days = overwrite
+        ? eachDay(range)
+        : await this.missingDays(result.person, range);
+      if (days.length === 0) return result;
+
+      const snapshots = await this.capture(users, this.rangeOf(days[0], days[days.length - 1]));
+      if (snapshots.some(snapshot => snapshot.failed)) {
+        result.error = 'some sources could not be fetched; the next run retries these days';
+        console.warn(`Not recording snapshots for ${member.name}: ${result.error}`);
+        return result;
+      }
+
+      const wanted = new Set(days);
+      const fresh = snapshots.filter(snapshot => wanted.has(snapshot.date));
+
+      await this.store.record(result.person, member.name, fresh);
+      result.recorded = fresh.length;
+    } catch (error) {
+      console.error(`Could not snapshot ${member.name}:`, error.message);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Daily snapshots for a resolved person over a range, oldest first
+   * Stored days are reused; the rest are fetched (and stored once over)
+   */
+  async snapshotsFor(users, range, now = new Date()) {
+    const person = personKey(users);
+    const today = formatDate(startOfDay(now));
+
+    if (!this.store || !person) {
+      return this.capture(users, range);
+    }
+
+    const stored = await this.store.range(person, range.start, range.end);
+    const have = new Set(stored.map(snapshot => snapshot.date));
+    const missing = eachDay(range).filter(date => !have.has(date));
+    if (missing.length === 0) return stored;
+
+    const fetched = await this.capture(users, this.rangeOf(missing[0], missing[missing.length - 1], now));
+    const fresh = fetched.filter(snapshot => missing.includes(snapshot.date));
+
+    const finished = fresh.filter(snapshot => snapshot.date < today && !snapshot.failed);
+    if (finished.length > 0) {
+      const name = users.jiraUser?.displayName || users.githubUser?.name || users.githubUser?.login;
+      await this.store.record(person, name, finished);
+    }
+
+    return [...stored, ...fresh].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Fetch a range's activity and split it into daily snapshots
+   * Snapshots are flagged `failed` when a planned source failed to load
+   */
+  async capture(users, range) {
+    const { jiraData, githubData } = await this.activityFetcher.fetchActivity(users, this.plan(), range);
+    return this.trendAnalyzer.dailySnapshots(jiraData, githubData, range);
+  }
+
+  /**
+   * Days in the range (up to yesterday) without a snapshot yet
+   */
+  async missingDays(person, range) {
+    const recorded = await this.store.recordedDates(person, range.start, range.end);
+    return eachDay(range).filter(date => !recorded.has(date));
+  }
+
+  /**
+   * Everyone tracked: config.snapshots.people, or every configured team member
+   * Entries are names or { name, jiraAccountId, githubLogin }
+   */
+  people() {
+    const configured = this.config.people?.length > 0
+      ? this.config.people
+      : Object.values(this.teams || {}).flatMap(team => team.members || []);
+
+    const seen = new Set();
+    return configured
+      .map(entry => (typeof entry === 'string' ? { name: entry } : entry))
+      .filter(member => {
+        const key = member.name?.toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Fetch plan for snapshots: every dated source, on both platforms
+   */
+  plan() {
+    const plan = this.activityFetcher.planSources({});
+    const sources = {};
+    Object.keys(plan.sources).forEach(source => {
+      sources[source] = SNAPSHOT_SOURCES.includes(source);
+    });
+    return { ...plan, sources };
+  }
+
+  /**
+   * The `days` days before today
+   */
+  lastDays(days, now) {
+    const yesterday = addDays(startOfDay(now), -1);
+    return createDateRange(addDays(yesterday, -(days - 1)), yesterday, `the ${days} days before today`, now);
+  }
+
+  rangeOf(start, end, now = new Date()) {
+    return createDateRange(parseDate(start), parseDate(end), `${start} to ${end}`, now);
+  }
+}
+
+export default SnapshotJob;
@@ -0,0 +1,369 @@
+import { AmbiguousUserError, APIError } from '../utils/errors.js';
+import { pageInfoOf } from '../utils/pagination.js';
+
+/**
+ * Activity Fetcher
+ *
+ * Creative solutions:
+ * - Plans which platforms and endpoints a query actually needs
+ * - Skips user lookups on platforms the question doesn't touch
+ * - Prefers identity registry mappings over guessing from live search
+ * - Fetches only the planned sources, concurrently
+ * - Degrades to empty arrays when a single source fails, but lets an
+ *   APIError (a broken integration) through so it isn't read as "no activity"
+ * - Reports each source as it lands, for streaming progress
+ * - Notes which sources hit the pagination limit, and which failed
+ * - Keeps costly sources nobody asks questions about (JIRA changelogs)
+ *   out of plans unless a caller turns them on
+ */
+
+// Data sources each intent needs
+const INTENT_SOURCES = {
+  pull_requests: ['pullRequests', 'closedPullRequests'],
+  shipped: ['closedPullRequests'],
+  commits: ['commits'],
+  repositories: ['commits', 'repositories'],
+  jira_issues: ['issues', 'recentActivity'],
+  reviews: ['reviews', 'reviewRequests']
+};
+
+// Data sources each platform provides
+const PLATFORM_SOURCES = {
+  jira: ['issues', 'recentActivity'],
+  github: ['commits', 'pullRequests', 'closedPullRequests', 'repositories', 'reviews', 'reviewRequests']
+};
+
+// Sources planSources never turns on; callers that want them (the
+// timeline) switch them on in the plan themselves
+const ON_DEMAND_SOURCES = {
+  transitions: 'jira'
+};
+
+class ActivityFetcher {
+  /**
+   * `issueTrackerClient` serves the issue sources (JIRA, Linear, GitHub
+   * Issues or several at once) and `sourceControlClient` the code-hosting
+   * ones (GitHub, GitLab, Bitbucket); they default to JIRA and GitHub
+   */
+  constructor({ jiraClient, githubClient, issueTrackerClient = null, sourceControlClient = null, identityRegistry = null }) {
+    this.jiraClient = issueTrackerClient || jiraClient;
+    this.githubClient = sourceControlClient || githubClient;
+    this.identityRegistry = identityRegistry;
+  }
+
+  /**
+   * Work out which platforms and data sources a parsed query needs
+   * A specific intent wins over the platform, unless the query also
+   * names the other platform explicitly ("JIRA tickets and commits")
+   */
+  planSources(parsed = {}) {
+    const intent = parsed.intent || 'general';
+    const platform = parsed.platform || 'both';
+    const wanted = new Set();
+
+    if (INTENT_SOURCES[intent]) {
+      INTENT_SOURCES[intent].forEach(source => wanted.add(source));
+
+      const intentPlatform = this.platformOf(INTENT_SOURCES[intent][0]);
+      if (platform !== 'both' && platform !== intentPlatform) {
+        PLATFORM_SOURCES[platform].forEach(source => wanted.add(source));
+      }
+    } else if (platform === 'both') {
+      [...PLATFORM_SOURCES.jira, ...PLATFORM_SOURCES.github].forEach(source => wanted.add(source));
+    } else {
+      PLATFORM_SOURCES[platform].forEach(source => wanted.add(source));
+    }
+
+    const sources = {};
+    [...PLATFORM_SOURCES.jira, ...PLATFORM_SOURCES.github].forEach(source => {
+      sources[source] = wanted.has(source);
+    });
+    Object.keys(ON_DEMAND_SOURCES).forEach(source => {
+      sources[source] = false;
+    });
+
+    const github = PLATFORM_SOURCES.github.some(source => sources[source]);
+
+    return {
+      intent,
+      platform,
+      jira: PLATFORM_SOURCES.jira.some(source => sources[source]),
+      github,
+      sources,
+      filters: {
+        project: parsed.filters?.project || null,
+        repository: parsed.filters?.repository || null
+      },
+      // Organizations / repository lists GitHub searches are limited to
+      githubScope: github ? this.githubClient?.describeScope?.() || null : null
+    };
+  }
+
+  /**
+   * Which platform a data source belongs to
+   */
+  platformOf(source) {
+    if (ON_DEMAND_SOURCES[source]) return ON_DEMAND_SOURCES[source];
+    return PLATFORM_SOURCES.jira.includes(source) ? 'jira' : 'github';
+  }
+
+  /**
+   * Look the person up only on the platforms the plan needs
+   * Pins (a chosen jiraAccountId / githubLogin) skip the lookup entirely
+   */
+  async resolveUsers(userName, plan, pins = {}) {
+    return this.resolveMember({
+      name: userName,
+      jiraAccountId: pins.jiraAccountId,
+      githubLogin: pins.githubLogin
+    }, plan);
+  }
+
+  /**
+   * Resolve a person to their JIRA and GitHub users
+   * Pinned ids (from the team roster or the identity registry) are used
+   * as-is; live search is only the fallback for a platform with no mapping
+   */
+  async resolveMember(member, plan) {
+    const identity = this.identityRegistry
+      ? await this.identityRegistry.findByName(member.name)
+      : null;
+
+    const displayName = identity?.displayName || member.name;
+    const jiraAccountId = member.jiraAccountId || identity?.jiraAccountId;
+    const githubLogin = member.githubLogin || identity?.githubLogin;
+
+    // Several trackers route each pin to the tracker it belongs to
+    let jiraLookup = Promise.resolve(null);
+    if (plan.jira && this.jiraClient.pinnedUser && (jiraAccountId || githubLogin)) {
+      jiraLookup = this.jiraClient.pinnedUser({ jiraAccountId, githubLogin, displayName });
+    } else if (plan.jira) {
+      jiraLookup = jiraAccountId
+        ? Promise.resolve({ accountId: jiraAccountId, displayName })
+        : this.jiraClient.findUserByName(displayName);
+    }
+
+    let githubLookup = Promise.resolve(null);
+    if (plan.github) {
+      githubLookup = githubLogin
+        ? Promise.resolve({ login: githubLogin, name: displayName })
+        : this.githubClient.findUser(displayName);
+    }
+
+    const [jiraResult, githubResult] = await Promise.allSettled([jiraLookup, githubLookup]);
+
+    // Several people matched on one or both platforms: report every
+    // candidate together so the caller can ask which one was meant
+    const ambiguous = [jiraResult, githubResult]
+      .filter(result => result.status === 'rejected' && result.reason instanceof AmbiguousUserError)
+      .map(result => result.reason);
+    if (ambiguous.length > 0) {
+      const candidates = await this.annotateCandidates(ambiguous.flatMap(error => error.candidates));
+      throw new AmbiguousUserError(member.name, candidates);
+    }
+
+    const [jiraUser, githubUser] = [jiraResult, githubResult].map(result => {
+      if (result.status === 'rejected') throw result.reason;
+      return result.value;
+    });
+    return { jiraUser, githubUser, identity };
+  }
+
+  /**
+   * Fill in the other platform's id for candidates the registry knows
+   */
+  async annotateCandidates(candidates) {
+    if (!this.identityRegistry) return candidates;
+
+    return Promise.all(candidates.map(async candidate => {
+      const identity = await this.identityRegistry.findByName(candidate.jiraAccountId || candidate.githubLogin);
+      if (!identity) return candidate;
+
+      return {
+        ...candidate,
+        displayName: identity.displayName,
+        email: candidate.email || identity.emails?.[0] || null,
+        jiraAccountId: candidate.jiraAccountId || identity.jiraAccountId,
+        githubLogin: candidate.githubLogin || identity.githubLogin
+      };
+    }));
+  }
+
+  /**
+   * Fan out across every member of a team
+   * Members that can't be found on any platform are kept with null data
+   * so the team view can call them out; so are members whose lookup or
+   * fetch failed, with the failure as `error`, so one member can't sink
+   * the whole team answer
+   */
+  async fetchTeamActivity(team, plan, dateRange, onProgress = null) {
+    const members = team.members || [];
+    const results = await Promise.allSettled(members.map(async member => {
+      let users;
+      try {
+        users = await this.resolveMember(member, plan);
+      } catch (error) {
+        if (!(error instanceof AmbiguousUserError)) throw error;
+        // Rosters should pin ids; don't guess which namesake is on the team
+        return { member, jiraUser: null, githubUser: null, jiraData: null, githubData: null, ambiguous: true };
+      }
+
+      if (!users.jiraUser && !users.githubUser) {
+        return { member, ...users, jiraData: null, githubData: null };
+      }
+
+      const memberProgress = onProgress && (event => onProgress({ ...event, member: member.name }));
+      const { jiraData, githubData } = await this.fetchActivity(users, plan, dateRange, memberProgress);
+      return { member, ...users, jiraData, githubData };
+    }));
+
+    return results.map((result, index) => {
+      if (result.status === 'fulfilled') return result.value;
+
+      const member = members[index];
+      console.error(`Could not fetch activity for ${member.name}:`, result.reason.message);
+      return { member, jiraUser: null, githubUser: null, jiraData: null, githubData: null, error: result.reason.message };
+    });
+  }
+
+  /**
+   * Fetch the planned sources concurrently
+   * Uses Promise.allSettled so one failing source doesn't sink the answer;
+   * an APIError is rethrown since an empty result would be misleading
+   * `onProgress` is called as each source settles
+   * Each side lists its `failed` sources, whose (empty) data is not to be trusted
+   */
+  async fetchActivity({ jiraUser, githubUser }, plan, dateRange, onProgress = null) {
+    const { sources } = plan;
+    const track = (source, promise) => this.trackProgress(source, promise, onProgress);
+
+    const commitsPromise = githubUser && sources.commits
+      ? track('commits', this.githubClient.getRecentCommits(githubUser.login, dateRange))
+      : Promise.resolve([]);
+
+    // Repositories are derived from commits, so wait for the (cached)
+    // commit search instead of firing the same request twice
+    const reposPromise = githubUser && sources.repositories
+      ? track('repositories', commitsPromise
+        .catch(() => [])
+        .then(() => this.githubClient.getRecentRepositories(githubUser.login, dateRange)))
+      : Promise.resolve([]);
+
+    const results = await Promise.allSettled([
+      jiraUser && sources.issues ? track('issues', this.jiraClient.getAssignedIssues(jiraUser.accountId)) : Promise.resolve([]),
+      jiraUser && sources.recentActivity ? track('recentActivity', this.jiraClient.getRecentActivity(jiraUser.accountId, dateRange)) : Promise.resolve([]),
+      commitsPromise,
+      githubUser && sources.pullRequests ? track('pullRequests', this.githubClient.getActivePullRequests(githubUser.login)) : Promise.resolve([]),
+      reposPromise,
+      githubUser && sources.reviews ? track('reviews', this.githubClient.getReviewsGiven(githubUser.login, dateRange)) : Promise.resolve([]),
+      githubUser && sources.reviewRequests ? track('reviewRequests', this.githubClient.getReviewRequests(githubUser.login)) : Promise.resolve([]),
+      githubUser && sources.closedPullRequests ? track('closedPullRequests', this.githubClient.getClosedPullRequests(githubUser.login, dateRange)) : Promise.resolve([]),
+      // Not every issue tracker keeps a changelog we can read
+      jiraUser && sources.transitions && this.jiraClient.getIssueTransitions ? track('transitions', this.jiraClient.getIssueTransitions(jiraUser.accountId, dateRange)) : Promise.resolve([])
+    ]);
+
+    const broken = results.find(result => result.status === 'rejected' && result.reason instanceof APIError);
+    if (broken) throw broken.reason;
+
+    // Sources that stopped at the pagination limit, before filtering
+    const sourceNames = ['issues', 'recentActivity', 'commits', 'pullRequests', 'repositories', 'reviews', 'reviewRequests', 'closedPullRequests', 'transitions'];
+    const truncated = results
+      .map((result, index) => ({ source: sourceNames[index], pageInfo: result.status === 'fulfilled' ? pageInfoOf(result.value) : null }))
+      .filter(({ pageInfo }) => pageInfo?.truncated)
+      .map(({ source, pageInfo }) => ({
+        source,
+        platform: this.platformOf(source),
+        fetched: pageInfo.fetched,
+        total: pageInfo.total,
+        limit: pageInfo.limit
+      }));
+
+    // Sources that failed outright, or whose client fell back to an empty
+    // result; callers that store what they fetch must not trust those
+    const failed = results
+      .map((result, index) => ({ source: sourceNames[index], result }))
+      .filter(({ result }) => result.status === 'rejected' || pageInfoOf(result.value)?.failed)
+      .map(({ source, result }) => ({
+        source,
+        platform: this.platformOf(source),
+        error: result.status === 'rejected' ? result.reason.message : pageInfoOf(result.value).error
+      }));
+
+    // Extract results, defaulting to empty arrays on failure
+    const [jiraIssues, jiraActivity, githubCommits, githubPRs, githubRepos, githubReviews, githubReviewRequests, githubClosedPRs, jiraTransitions] = results.map(result =>
+      result.status === 'fulfilled' ? result.value : []
+    );
+
+    const filters = plan.filters || {};
+    const inProject = this.matchesProject(filters.project);
+    const inRepository = this.matchesRepository(filters.repository);
+
+    return {
+      jiraData: {
+        user: jiraUser,
+        issues: jiraIssues.filter(inProject),
+        recentActivity: jiraActivity.filter(inProject),
+        transitions: jiraTransitions.filter(inProject),
+        truncated: truncated.filter(entry => entry.platform === 'jira'),
+        failed: failed.filter(entry => entry.platform === 'jira')
+      },
+      githubData: {
+        user: githubUser,
+        commits: githubCommits.filter(commit => inRepository(commit.repository)),
+        pullRequests: githubPRs.filter(pr => inRepository(pr.repository)),
+        closedPullRequests: githubClosedPRs.filter(pr => inRepository(pr.repository)),
+        repositories: githubRepos.filter(repo => inRepository(repo.name)),
+        reviews: githubReviews.filter(review => inRepository(review.repository)),
+        reviewRequests: githubReviewRequests.filter(request => inRepository(request.repository)),
+        truncated: truncated.filter(entry => entry.platform === 'github'),
+        failed: failed.filter(entry => entry.platform === 'github')
+      }
+    };
+  }
+
+  /**
+   * Report a source's outcome without changing it
+   */
+  trackProgress(source, promise, onProgress) {
+    if (!onProgress) return promise;
+
+    const platform = this.platformOf(source);
+    return promise.then(
+      items => {
+        onProgress({ stage: 'fetched', platform, source, count: items.length });
+        return items;
+      },
+      error => {
+        onProgress({ stage: 'fetched', platform, source, error: error.message });
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Issue predicate for a project filter (key or name)
+   */
+  matchesProject(project) {
+    if (!project) return () => true;
+
+    const needle = project.toLowerCase();
+    return issue =>
+      issue.key?.toLowerCase().startsWith(`${needle}-`) ||
+      issue.project?.toLowerCase() === needle;
+  }
+
+  /**
+   * Repository predicate for a repo filter ("owner/name" or just "name")
+   */
+  matchesRepository(repository) {
+    if (!repository) return () => true;
+
+    const needle = repository.toLowerCase();
+    return name => {
+      const full = (name || '').toLowerCase();
+      return full === needle || full.endsWith(`/${needle}`);
+    };
+  }
+}
+
+export default ActivityFetcher;
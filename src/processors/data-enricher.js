@@ -1,18 +1,27 @@
+import { toDateRange } from '../utils/date-range.js';
+
 /**
  * Data Enricher
  * 
  * Creative solutions:
  * - Links GitHub commits to JIRA tickets automatically
  * - Groups related work by project/repository
- * - Calculates activity metrics
+ * - Calculates activity metrics, including code review load and latency
+ * - Separates work in flight (open PRs) from work shipped (merged PRs)
  * - Identifies work patterns
  */
 class DataEnricher {
   /**
    * Combine and enrich data from JIRA and GitHub
+   * The optional scope is the fetch plan, so consumers know which
+   * sections were actually queried rather than just empty
+   * The date range may also be given as a number of days
    */
-  enrich(jiraData, githubData, timeframe = null) {
+  enrich(jiraData, githubData, dateRange = null, scope = null) {
+    const range = dateRange === null ? null : toDateRange(dateRange);
+
     const enriched = {
+      scope: this.describeScope(scope),
       jira: {
         activeIssues: jiraData.issues || [],
         recentActivity: jiraData.recentActivity || [],
@@ -21,20 +30,300 @@ class DataEnricher {
       github: {
         commits: githubData.commits || [],
         pullRequests: githubData.pullRequests || [],
+        closedPullRequests: githubData.closedPullRequests || [],
         repositories: githubData.repositories || [],
+        reviews: githubData.reviews || [],
+        reviewRequests: githubData.reviewRequests || [],
         summary: this.summarizeGitHub(githubData)
       },
       linked: this.linkCommitsToTickets(
         githubData.commits || [],
         jiraData.issues || []
       ),
-      metrics: this.calculateMetrics(jiraData, githubData, timeframe),
-      workPatterns: this.identifyWorkPatterns(jiraData, githubData)
+      metrics: this.calculateMetrics(jiraData, githubData, range),
+      workPatterns: this.identifyWorkPatterns(jiraData, githubData),
+      // Sources that hit the pagination limit, so counts are lower bounds
+      truncated: [...(jiraData.truncated || []), ...(githubData.truncated || [])]
+    };
+
+    return enriched;
+  }
+
+  /**
+   * Aggregate per-member results into a single team view
+   * Each result is { member, jiraData, githubData, enriched }, where
+   * enriched is null for members not found on any platform
+   */
+  enrichTeam(team, memberResults, dateRange = null, scope = null) {
+    const range = dateRange === null ? null : toDateRange(dateRange);
+    const found = memberResults.filter(result => result.enriched);
+
+    // Combined open issues, tagged with the assignee and de-duplicated by key
+    const issuesByKey = new Map();
+    found.forEach(({ member, enriched }) => {
+      enriched.jira.activeIssues.forEach(issue => {
+        if (!issuesByKey.has(issue.key)) {
+          issuesByKey.set(issue.key, { ...issue, assignee: member.name });
+        }
+      });
+    });
+    const activeIssues = Array.from(issuesByKey.values())
+      .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+
+    // Open PRs across the team are the ones waiting on review
+    const pullRequests = found
+      .flatMap(({ member, enriched }) =>
+        enriched.github.pullRequests.map(pr => ({ ...pr, author: member.name }))
+      )
+      .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+    const closedPullRequests = found
+      .flatMap(({ member, enriched }) =>
+        enriched.github.closedPullRequests.map(pr => ({ ...pr, author: member.name }))
+      )
+      .sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+
+    const commits = found
+      .flatMap(({ member, enriched }) =>
+        enriched.github.commits.map(commit => ({ ...commit, member: member.name }))
+      )
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const repositories = this.mergeTeamRepositories(found);
+
+    const reviews = found
+      .flatMap(({ member, enriched }) =>
+        enriched.github.reviews.map(review => ({ ...review, reviewer: member.name }))
+      )
+      .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+
+    const reviewRequests = found
+      .flatMap(({ member, enriched }) =>
+        enriched.github.reviewRequests.map(request => ({ ...request, reviewer: member.name }))
+      )
+      .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+    const members = memberResults.map(result => this.highlightMember(result));
+
+    const enriched = {
+      scope: this.describeScope(scope),
+      team: {
+        key: team.key,
+        name: team.name || team.key,
+        memberCount: memberResults.length
+      },
+      jira: {
+        activeIssues,
+        recentActivity: found.flatMap(({ enriched }) => enriched.jira.recentActivity),
+        summary: this.summarizeJira(activeIssues)
+      },
+      github: {
+        commits,
+        pullRequests,
+        closedPullRequests,
+        repositories,
+        reviews,
+        reviewRequests,
+        summary: this.summarizeGitHub({ commits, pullRequests, closedPullRequests, repositories, reviews, reviewRequests })
+      },
+      linked: found.flatMap(({ enriched }) => enriched.linked),
+      truncated: found.flatMap(({ member, enriched }) =>
+        (enriched.truncated || []).map(entry => ({ ...entry, member: member.name }))
+      ),
+      // Members whose lookup or fetch failed, as { name, error }
+      failedMembers: memberResults
+        .filter(result => result.error)
+        .map(result => ({ name: result.member.name, error: result.error })),
+      members,
+      metrics: this.calculateTeamMetrics(found, members, range)
     };
 
+    enriched.workPatterns = this.identifyTeamPatterns(enriched);
+
     return enriched;
   }
 
+  /**
+   * Merge repositories across members, ranked by team commit count
+   */
+  mergeTeamRepositories(found) {
+    const repos = new Map();
+
+    found.forEach(({ member, enriched }) => {
+      enriched.github.repositories.forEach(repo => {
+        if (!repos.has(repo.name)) {
+          repos.set(repo.name, {
+            name: repo.name,
+            commitCount: 0,
+            lastCommit: repo.lastCommit,
+            contributors: []
+          });
+        }
+        const merged = repos.get(repo.name);
+        merged.commitCount += repo.commitCount || 0;
+        merged.contributors.push(member.name);
+        if (new Date(repo.lastCommit) > new Date(merged.lastCommit)) {
+          merged.lastCommit = repo.lastCommit;
+        }
+      });
+    });
+
+    return Array.from(repos.values())
+      .sort((a, b) => b.commitCount - a.commitCount)
+      .slice(0, 10);
+  }
+
+  /**
+   * Pick out the most telling items for one team member
+   */
+  highlightMember({ member, jiraUser, githubUser, enriched, ambiguous = false, error = null }) {
+    if (!enriched) {
+      return { name: member.name, found: false, ambiguous, error };
+    }
+
+    const priorityRank = ['Highest', 'Critical', 'High', 'Medium', 'Low', 'Lowest'];
+    const rank = priority => {
+      const index = priorityRank.indexOf(priority);
+      return index === -1 ? priorityRank.length : index;
+    };
+    const topIssue = [...enriched.jira.activeIssues]
+      .sort((a, b) => rank(a.priority) - rank(b.priority))[0] || null;
+
+    return {
+      name: member.name,
+      found: true,
+      platforms: {
+        jira: !!jiraUser,
+        github: !!githubUser
+      },
+      activityLevel: enriched.metrics.activityLevel,
+      totalItems: enriched.metrics.totalItems,
+      openIssues: enriched.jira.summary.count,
+      commits: enriched.github.summary.commitCount,
+      pullRequests: enriched.github.summary.prCount,
+      merged: enriched.github.summary.mergedCount,
+      reviews: enriched.github.summary.reviewCount,
+      reviewRequests: enriched.github.summary.reviewRequestCount,
+      topIssue: topIssue && { key: topIssue.key, summary: topIssue.summary, status: topIssue.status, url: topIssue.url },
+      latestCommit: enriched.github.commits[0] || null,
+      topRepository: enriched.github.repositories[0]?.name || null
+    };
+  }
+
+  /**
+   * Calculate team-wide activity metrics
+   */
+  calculateTeamMetrics(found, members, dateRange) {
+    const activityScore = found.reduce((sum, { enriched }) => sum + enriched.metrics.activityScore, 0);
+    const totalItems = found.reduce((sum, { enriched }) => sum + enriched.metrics.totalItems, 0);
+    const activeMembers = members.filter(member => member.found && member.totalItems > 0).length;
+
+    // Level is judged per active member so big teams don't always read "high"
+    const perMember = activeMembers > 0 ? activityScore / activeMembers : 0;
+    let activityLevel = 'low';
+    if (perMember > 20) activityLevel = 'high';
+    else if (perMember > 10) activityLevel = 'medium';
+
+    return {
+      activityScore,
+      activityLevel,
+      totalItems,
+      activeMembers,
+      review: this.calculateReviewMetrics(
+        found.flatMap(({ enriched }) => enriched.github.pullRequests),
+        found.flatMap(({ enriched }) => enriched.github.reviews),
+        found.flatMap(({ enriched }) => enriched.github.reviewRequests)
+      ),
+      delivery: this.calculateDeliveryMetrics(
+        found.flatMap(({ enriched }) => enriched.github.pullRequests),
+        found.flatMap(({ enriched }) => enriched.github.closedPullRequests)
+      ),
+      timeframe: dateRange?.label || 'recent',
+      dateRange: dateRange ? { start: dateRange.start, end: dateRange.end } : null
+    };
+  }
+
+  /**
+   * Identify team-level patterns
+   */
+  identifyTeamPatterns(teamData) {
+    const patterns = [];
+    const members = teamData.members;
+
+    // Pattern: Members we couldn't find or who have nothing going on
+    // (members whose fetch failed are reported separately, not as quiet)
+    const quiet = members.filter(member => !member.error && (!member.found || member.totalItems === 0));
+    if (quiet.length > 0) {
+      patterns.push({
+        type: 'quiet_members',
+        description: `No recent activity found for ${quiet.map(m => m.name).join(', ')}`,
+        impact: 'medium'
+      });
+    }
+
+    // Pattern: One person holding most of the open issues
+    const issueCount = teamData.jira.summary.count;
+    const busiest = members
+      .filter(member => member.found)
+      .sort((a, b) => b.openIssues - a.openIssues)[0];
+    if (busiest && issueCount >= 5 && busiest.openIssues / issueCount > 0.5) {
+      patterns.push({
+        type: 'concentrated_work',
+        description: `${busiest.name} holds ${busiest.openIssues} of the team's ${issueCount} open issues`,
+        impact: 'high'
+      });
+    }
+
+    // Pattern: Review backlog building up
+    const prCount = teamData.github.pullRequests.length;
+    if (prCount > Math.max(5, members.length * 2)) {
+      patterns.push({
+        type: 'review_backlog',
+        description: `${prCount} pull requests are waiting on review`,
+        impact: 'medium'
+      });
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Describe which platforms and sources were queried
+   * Defaults to everything when no fetch plan was given
+   */
+  describeScope(scope) {
+    if (!scope) {
+      return {
+        intent: 'general',
+        platform: 'both',
+        jira: true,
+        github: true,
+        sources: {
+          issues: true,
+          recentActivity: true,
+          commits: true,
+          pullRequests: true,
+          closedPullRequests: true,
+          repositories: true,
+          reviews: true,
+          reviewRequests: true
+        },
+        filters: { project: null, repository: null },
+        githubScope: null
+      };
+    }
+
+    return {
+      intent: scope.intent,
+      platform: scope.platform,
+      jira: scope.jira,
+      github: scope.github,
+      sources: { ...scope.sources },
+      filters: { project: null, repository: null, ...scope.filters },
+      githubScope: scope.githubScope || null
+    };
+  }
+
   /**
    * Summarize JIRA data
    */
@@ -70,28 +359,39 @@ class DataEnricher {
   summarizeGitHub(githubData) {
     const commits = githubData.commits || [];
     const prs = githubData.pullRequests || [];
+    const closedPrs = githubData.closedPullRequests || [];
     const repos = githubData.repositories || [];
+    const reviews = githubData.reviews || [];
+    const reviewRequests = githubData.reviewRequests || [];
 
     return {
       commitCount: commits.length,
       prCount: prs.length,
+      mergedCount: closedPrs.filter(pr => pr.mergedAt).length,
+      closedUnmergedCount: closedPrs.filter(pr => !pr.mergedAt).length,
       repositoryCount: repos.length,
-      activeRepositories: repos.slice(0, 5).map(r => r.name)
+      activeRepositories: repos.slice(0, 5).map(r => r.name),
+      reviewCount: reviews.length,
+      reviewRequestCount: reviewRequests.length,
+      reviewCommentCount: reviews.reduce((sum, review) => sum + (review.commentCount || 0), 0)
     };
   }
 
   /**
-   * Link GitHub commits to JIRA tickets
+   * Link commits to the tickets they reference
+   * Works for any tracker: JIRA / Linear keys and GitHub Issues references
    * This is a creative solution that provides valuable insights
    */
   linkCommitsToTickets(commits, issues) {
     const linked = [];
-    const issueKeys = new Set(issues.map(i => i.key));
+    const issuesByKey = new Map(issues.map(issue => [issue.key.toUpperCase(), issue]));
 
     commits.forEach(commit => {
-      commit.jiraTickets.forEach(ticketKey => {
-        if (issueKeys.has(ticketKey)) {
-          const issue = issues.find(i => i.key === ticketKey);
+      // `tickets` covers every tracker's reference format; older commit
+      // data only has the JIRA-style keys
+      (commit.tickets || commit.jiraTickets || []).forEach(reference => {
+        const issue = issuesByKey.get(reference.toUpperCase());
+        if (issue) {
           linked.push({
             commit: {
               sha: commit.sha,
@@ -117,16 +417,22 @@ class DataEnricher {
   /**
    * Calculate activity metrics
    */
-  calculateMetrics(jiraData, githubData, timeframe) {
+  calculateMetrics(jiraData, githubData, dateRange) {
     const commits = githubData.commits || [];
     const issues = jiraData.issues || [];
     const prs = githubData.pullRequests || [];
+    const closedPrs = githubData.closedPullRequests || [];
+    const reviews = githubData.reviews || [];
+    const reviewRequests = githubData.reviewRequests || [];
+    const merged = closedPrs.filter(pr => pr.mergedAt);
 
     // Calculate activity score (weighted)
     const activityScore = 
       (issues.length * 2) +      // Issues are worth more
       (commits.length * 1) +     // Commits
-      (prs.length * 3);          // PRs are most valuable
+      (prs.length * 3) +         // PRs are most valuable
+      (merged.length * 3) +      // Shipped PRs count as much as open ones
+      (reviews.length * 2);      // Reviewing is real work too
 
     // Determine activity level
     let activityLevel = 'low';
@@ -136,8 +442,70 @@ class DataEnricher {
     return {
       activityScore,
       activityLevel,
-      totalItems: issues.length + commits.length + prs.length,
-      timeframe: timeframe || 'recent'
+      totalItems: issues.length + commits.length + prs.length + closedPrs.length + reviews.length + reviewRequests.length,
+      review: this.calculateReviewMetrics(prs, reviews, reviewRequests),
+      delivery: this.calculateDeliveryMetrics(prs, closedPrs),
+      timeframe: dateRange?.label || 'recent',
+      dateRange: dateRange ? { start: dateRange.start, end: dateRange.end } : null
+    };
+  }
+
+  /**
+   * Code review metrics: reviews given, the queue waiting on the person,
+   * and how long their own PRs waited for a first review
+   */
+  calculateReviewMetrics(prs, reviews, reviewRequests) {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    const reviewed = prs.filter(pr => pr.firstReviewAt);
+    const waits = reviewed.map(pr => (new Date(pr.firstReviewAt) - new Date(pr.created)) / HOUR_MS);
+    const average = waits.length > 0
+      ? Math.round(waits.reduce((sum, hours) => sum + hours, 0) / waits.length * 10) / 10
+      : null;
+
+    const oldestRequest = reviewRequests.reduce(
+      (oldest, request) => (!oldest || new Date(request.created) < new Date(oldest) ? request.created : oldest),
+      null
+    );
+
+    return {
+      given: reviews.length,
+      approvals: reviews.filter(review => review.latestState === 'APPROVED').length,
+      changesRequested: reviews.filter(review => review.latestState === 'CHANGES_REQUESTED').length,
+      commentsWritten: reviews.reduce((sum, review) => sum + (review.commentCount || 0), 0),
+      requested: reviewRequests.length,
+      oldestRequestDays: oldestRequest ? Math.floor((Date.now() - new Date(oldestRequest)) / (24 * HOUR_MS)) : null,
+      ownPRsReviewed: reviewed.length,
+      awaitingFirstReview: prs.filter(pr => pr.firstReviewAt === null).length,
+      avgHoursToFirstReview: average
+    };
+  }
+
+  /**
+   * In flight vs shipped: open PRs against PRs merged in the period,
+   * with lead time (open to merge) and size of what shipped
+   */
+  calculateDeliveryMetrics(openPrs, closedPrs) {
+    const merged = closedPrs.filter(pr => pr.mergedAt);
+    const leadTimes = merged
+      .map(pr => pr.leadTimeHours)
+      .filter(hours => typeof hours === 'number')
+      .sort((a, b) => a - b);
+
+    const average = leadTimes.length > 0
+      ? Math.round(leadTimes.reduce((sum, hours) => sum + hours, 0) / leadTimes.length * 10) / 10
+      : null;
+    const median = leadTimes.length > 0 ? leadTimes[Math.floor(leadTimes.length / 2)] : null;
+
+    return {
+      inFlight: openPrs.length,
+      shipped: merged.length,
+      closedUnmerged: closedPrs.length - merged.length,
+      avgLeadTimeHours: average,
+      medianLeadTimeHours: median,
+      additions: merged.reduce((sum, pr) => sum + (pr.additions || 0), 0),
+      deletions: merged.reduce((sum, pr) => sum + (pr.deletions || 0), 0),
+      changedFiles: merged.reduce((sum, pr) => sum + (pr.changedFiles || 0), 0)
     };
   }
 
@@ -182,6 +550,36 @@ class DataEnricher {
       });
     }
 
+    // Pattern: Review requests piling up
+    const reviewRequests = githubData.reviewRequests || [];
+    if (reviewRequests.length > 3) {
+      patterns.push({
+        type: 'review_queue',
+        description: `${reviewRequests.length} pull requests are waiting on their review`,
+        impact: 'medium'
+      });
+    }
+
+    // Pattern: Their own PRs wait a long time for a first review
+    const { avgHoursToFirstReview } = this.calculateReviewMetrics(prs, [], []);
+    if (avgHoursToFirstReview !== null && avgHoursToFirstReview > 48) {
+      patterns.push({
+        type: 'slow_first_review',
+        description: `Their PRs wait ${Math.round(avgHoursToFirstReview / 24)} days on average for a first review`,
+        impact: 'medium'
+      });
+    }
+
+    // Pattern: Merged work takes a long time to land
+    const { avgLeadTimeHours } = this.calculateDeliveryMetrics(prs, githubData.closedPullRequests || []);
+    if (avgLeadTimeHours !== null && avgLeadTimeHours > 7 * 24) {
+      patterns.push({
+        type: 'long_lead_time',
+        description: `Merged PRs took ${Math.round(avgLeadTimeHours / 24)} days on average from open to merge`,
+        impact: 'medium'
+      });
+    }
+
     // Pattern: Good commit-to-ticket linking
     const linked = this.linkCommitsToTickets(commits, issues);
     if (linked.length > commits.length * 0.5) {
@@ -0,0 +1,205 @@
+import { createDateRange, formatDate, parseDate } from '../utils/date-range.js';
+
+const INTENTS = ['general', 'pull_requests', 'commits', 'jira_issues', 'repositories', 'reviews', 'shipped'];
+const PLATFORMS = ['jira', 'github'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * LLM Query Parser
+ *
+ * Asks the model to turn a question into a structured object via
+ * function calling, validates it, and falls back to the regex
+ * QueryParser when no model is configured or the call fails.
+ *
+ * Creative solutions:
+ * - Handles lowercase, non-English and O'Brien/McDonald style names
+ * - Understands several people in one question
+ * - Constrains team ids to the configured rosters
+ * - Fills anything the model left out from the regex parser
+ */
+class LLMQueryParser {
+  constructor({ provider, fallback, teams = {} }) {
+    this.provider = provider;
+    this.fallback = fallback;
+    this.teams = teams;
+  }
+
+  /**
+   * Parse with the model, or the regex parser if that isn't possible
+   */
+  async parse(query, now = new Date()) {
+    const regexParsed = this.fallback.parse(query, now);
+    if (!this.provider) return regexParsed;
+
+    try {
+      const extracted = await this.extract(query, now);
+      return this.toParsed(query, this.validate(extracted), regexParsed, now);
+    } catch (error) {
+      console.warn('LLM query parsing failed, falling back to regex parser:', error.message);
+      return regexParsed;
+    }
+  }
+
+  /**
+   * Call the model with a single forced tool
+   */
+  async extract(query, now) {
+    return this.provider.extract([
+      {
+        role: 'system',
+        content: `You extract structured data from questions about what people are working on in JIRA and GitHub. ` +
+          `Today is ${formatDate(now)} (${now.toLocaleDateString('en-US', { weekday: 'long' })}); weeks start on Monday. ` +
+          `Resolve relative dates to absolute YYYY-MM-DD ranges. Only report people, teams and filters the question actually mentions.`
+      },
+      { role: 'user', content: query }
+    ], this.toolDefinition());
+  }
+
+  /**
+   * JSON schema for the structured query
+   */
+  toolDefinition() {
+    const teamIds = Object.keys(this.teams);
+
+    return {
+      name: 'record_query',
+      description: 'Record the structured meaning of a question about team activity',
+      parameters: {
+        type: 'object',
+        properties: {
+          people: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Names or usernames of the people asked about, exactly as written'
+          },
+          team: {
+            type: ['string', 'null'],
+            enum: [...teamIds, null],
+            description: teamIds.length > 0
+              ? `Team id if the question is about a team. Known teams: ${teamIds.map(id => `${id} (${this.teams[id].name || id})`).join(', ')}`
+              : 'No teams are configured; always null'
+          },
+          dateRange: {
+            type: ['object', 'null'],
+            properties: {
+              start: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+              end: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+              label: { type: 'string', description: 'Short phrase for the period, e.g. "last week"' }
+            },
+            required: ['start', 'end']
+          },
+          platforms: {
+            type: 'array',
+            items: { type: 'string', enum: PLATFORMS },
+            description: 'Platforms the question is limited to; empty for both'
+          },
+          intent: {
+            type: 'string',
+            enum: INTENTS,
+            description: 'What kind of activity is asked about'
+          },
+          filters: {
+            type: 'object',
+            properties: {
+              project: { type: ['string', 'null'], description: 'JIRA project key or name' },
+              repository: { type: ['string', 'null'], description: 'GitHub repository, owner/name if given' }
+            }
+          }
+        },
+        required: ['people', 'intent', 'platforms']
+      }
+    };
+  }
+
+  /**
+   * Check the model output against the schema before trusting it
+   * Throws on anything malformed so the caller falls back
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('structured output is not an object');
+    }
+
+    if (!Array.isArray(data.people) || data.people.some(person => typeof person !== 'string')) {
+      throw new Error('people must be an array of strings');
+    }
+
+    if (!INTENTS.includes(data.intent)) {
+      throw new Error(`unknown intent "${data.intent}"`);
+    }
+
+    if (!Array.isArray(data.platforms) || data.platforms.some(platform => !PLATFORMS.includes(platform))) {
+      throw new Error('platforms must only contain jira and github');
+    }
+
+    if (data.team !== undefined && data.team !== null && !this.teams[data.team]) {
+      throw new Error(`unknown team "${data.team}"`);
+    }
+
+    if (data.dateRange) {
+      const { start, end } = data.dateRange;
+      if (!ISO_DATE.test(start) || !ISO_DATE.test(end) || isNaN(parseDate(start)) || isNaN(parseDate(end))) {
+        throw new Error('dateRange must use YYYY-MM-DD dates');
+      }
+      if (start > end) {
+        throw new Error('dateRange starts after it ends');
+      }
+    }
+
+    const filters = data.filters || {};
+    ['project', 'repository'].forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== null && typeof filters[key] !== 'string') {
+        throw new Error(`filters.${key} must be a string`);
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Map validated output onto the QueryParser result shape
+   */
+  toParsed(query, data, regexParsed, now) {
+    // A name the model missed but the regex parser found is still a name
+    const extracted = data.people.map(person => person.trim()).filter(Boolean);
+    const people = extracted.length > 0 ? extracted : regexParsed.people;
+
+    // A comparison's periods come from the regex parser; the model only sees one range
+    // The model doesn't know the sprint calendar, so a sprint the regex parser
+    // couldn't place stays unplaced
+    let dateRange = regexParsed.dateRange;
+    if (data.dateRange && !regexParsed.comparison && !regexParsed.dateError) {
+      dateRange = createDateRange(
+        parseDate(data.dateRange.start),
+        parseDate(data.dateRange.end),
+        data.dateRange.label || `${data.dateRange.start} to ${data.dateRange.end}`,
+        now
+      );
+    }
+
+    let platform = 'both';
+    if (data.platforms.length === 1) platform = data.platforms[0];
+
+    return {
+      originalQuery: query,
+      name: people[0] || regexParsed.name || null,
+      people,
+      // Keep the regex parser's unknown "the X team" mention so it's reported
+      team: data.team || (regexParsed.team && !this.teams[regexParsed.team] ? regexParsed.team : null),
+      dateRange,
+      dateError: regexParsed.dateError,
+      timeframe: dateRange ? dateRange.days : null,
+      intent: data.intent,
+      platform,
+      filters: {
+        project: data.filters?.project || regexParsed.filters.project,
+        repository: data.filters?.repository || regexParsed.filters.repository
+      },
+      comparison: regexParsed.comparison || null,
+      pins: regexParsed.pins,
+      parsedBy: 'llm'
+    };
+  }
+}
+
+export default LLMQueryParser;
@@ -1,3 +1,32 @@
+import {
+  addDays,
+  createDateRange,
+  formatDate,
+  lastNDays,
+  parseDate,
+  startOfDay,
+  startOfWeek
+} from '../utils/date-range.js';
+import { ValidationError } from '../utils/errors.js';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH = /jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?/;
+const WEEKDAY = /mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs(?:day)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?/;
+const DATE_TOKEN = new RegExp(
+  `\\d{4}-\\d{2}-\\d{2}|(?:${MONTH.source})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH.source})(?:,?\\s+\\d{4})?`
+);
+
+// Words that fill "the ___ team" without naming a team
+const TEAM_QUANTIFIERS = ['whole', 'entire', 'full', 'same', 'other', 'new', 'current'];
+
+// Questions about direction rather than a period's contents
+const TREND = /\b(?:trend(?:s|ing)?|dropping|dropped|declining|slowing(?:\s+down)?|picking\s+up|increasing|decreasing|improving|going\s+(?:up|down))\b/i;
+
 /**
  * Intelligent Query Parser
  * 
@@ -8,48 +37,185 @@
  * - Handles variations and typos
  */
 class QueryParser {
-  constructor() {
-    // Common time expressions
-    this.timePatterns = [
-      { pattern: /this\s+week/gi, days: 7 },
-      { pattern: /last\s+week/gi, days: 14 },
-      { pattern: /this\s+month/gi, days: 30 },
-      { pattern: /last\s+month/gi, days: 60 },
-      { pattern: /recently|lately|these\s+days/gi, days: 14 },
-      { pattern: /today/gi, days: 1 },
-      { pattern: /yesterday/gi, days: 2 }
+  constructor(options = {}) {
+    // Configured team rosters, keyed by team id
+    this.teams = options.teams || {};
+
+    // Sprint calendar, e.g. { length: 14, anchor: { number: 1, start: '2024-01-01' } }
+    this.sprints = options.sprints || null;
+
+    // Relative calendar phrases, resolved against "now" at parse time
+    // "last week" is the previous Monday-Sunday, not a rolling 14 days
+    this.relativePhrases = [
+      {
+        pattern: /\btoday\b/i,
+        resolve: now => createDateRange(now, now, 'today', now)
+      },
+      {
+        pattern: /\byesterday\b/i,
+        resolve: now => createDateRange(addDays(now, -1), addDays(now, -1), 'yesterday', now)
+      },
+      {
+        pattern: /\bthis\s+week\b/i,
+        resolve: now => createDateRange(startOfWeek(now), now, 'this week', now)
+      },
+      {
+        pattern: /\b(?:last|previous)\s+week\b/i,
+        resolve: now => {
+          const monday = addDays(startOfWeek(now), -7);
+          return createDateRange(monday, addDays(monday, 6), 'last week', now);
+        }
+      },
+      {
+        pattern: /\bthis\s+month\b/i,
+        resolve: now => createDateRange(new Date(now.getFullYear(), now.getMonth(), 1), now, 'this month', now)
+      },
+      {
+        pattern: /\b(?:last|previous)\s+month\b/i,
+        resolve: now => createDateRange(
+          new Date(now.getFullYear(), now.getMonth() - 1, 1),
+          new Date(now.getFullYear(), now.getMonth(), 0),
+          'last month',
+          now
+        )
+      },
+      {
+        pattern: /\bthis\s+year\b/i,
+        resolve: now => createDateRange(new Date(now.getFullYear(), 0, 1), now, 'this year', now)
+      },
+      {
+        pattern: /\b(?:last|previous)\s+year\b/i,
+        resolve: now => createDateRange(
+          new Date(now.getFullYear() - 1, 0, 1),
+          new Date(now.getFullYear() - 1, 11, 31),
+          'last year',
+          now
+        )
+      },
+      {
+        pattern: /\b(?:recently|lately|these\s+days)\b/i,
+        resolve: now => lastNDays(14, now, 'recently')
+      }
     ];
 
     // Platform-specific keywords
     this.platformKeywords = {
       jira: ['jira', 'ticket', 'issue', 'task', 'bug', 'story'],
-      github: ['github', 'commit', 'pull request', 'pr', 'code', 'repository', 'repo']
+      github: ['github', 'commit', 'committed', 'pull request', 'pr', 'code', 'repository', 'repositories', 'repo', 'review', 'reviewing', 'reviewed', 'merge', 'merged']
     };
   }
 
   /**
    * Parse query to extract key information
+   * A period we can't answer for (e.g. a sprint that hasn't started) leaves
+   * dateRange null and explains why in dateError
    */
-  parse(query) {
-    const normalized = query.toLowerCase().trim();
-    
+  parse(query, now = new Date()) {
+    let comparison = null;
+    let dateRange = null;
+    let dateError = null;
+    try {
+      comparison = this.extractComparison(query, now);
+      dateRange = comparison ? comparison.current : this.extractDateRange(query, now);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      dateError = error.message;
+    }
+    const name = this.extractName(query);
+
     return {
       originalQuery: query,
-      name: this.extractName(query),
-      timeframe: this.extractTimeframe(query),
+      name,
+      people: name ? [name] : [],
+      team: this.extractTeam(query),
+      dateRange,
+      dateError,
+      timeframe: dateRange ? dateRange.days : null,
       intent: this.extractIntent(query),
-      platform: this.extractPlatform(query)
+      platform: this.extractPlatform(query),
+      filters: this.extractFilters(query),
+      comparison,
+      // Accounts picked for this person earlier in the conversation, set by applyContext
+      pins: null,
+      parsedBy: 'regex'
+    };
+  }
+
+  /**
+   * Extract project / repository filters
+   * Only unambiguous forms: "project PAY", "in acme/api"
+   */
+  extractFilters(query) {
+    const repository = query.match(/\b(?:repo(?:sitory)?|in|on)\s+([\w.-]+\/[\w.-]+)/i);
+    const project = query.match(/\bproject\s+([A-Z][A-Z0-9_]+)\b/) ||
+      query.match(/\bin\s+(?:the\s+)?([A-Z][A-Z0-9_]+)\s+project\b/);
+
+    return {
+      project: project ? project[1] : null,
+      repository: repository ? repository[1].replace(/[?.!,]+$/, '') : null
     };
   }
 
+  /**
+   * Resolve a follow-up question against the previous turn's context
+   * Pronouns ("her PRs") reuse the last person or team; elliptical
+   * questions ("And Mike?") reuse the last intent, platform and timeframe
+   */
+  applyContext(parsed, context) {
+    if (!context) return parsed;
+
+    const query = parsed.originalQuery;
+    const usesPronoun = /\b(he|she|they|him|her|his|hers|them|their|theirs)\b/i.test(query);
+    const isElliptical = /^\s*(and|what about|how about)\b/i.test(query);
+
+    if (!usesPronoun && !isElliptical) return parsed;
+
+    const resolved = { ...parsed, followUp: true, inherited: [] };
+
+    if (!resolved.name && !resolved.team) {
+      if (context.team) {
+        resolved.team = context.team;
+        resolved.inherited.push('team');
+      } else if (context.people?.length > 1) {
+        resolved.people = context.people;
+        resolved.inherited.push('people');
+      } else if (context.name) {
+        resolved.name = context.name;
+        resolved.people = [context.name];
+        resolved.pins = context.pins;
+        resolved.inherited.push('name');
+      }
+    }
+
+    if (!resolved.dateRange && !resolved.dateError && context.dateRange) {
+      resolved.dateRange = context.dateRange;
+      resolved.timeframe = context.timeframe;
+      resolved.inherited.push('timeframe');
+    }
+
+    // A bare "And Mike?" asks the same question about someone else
+    if (isElliptical && resolved.intent === 'general' && resolved.platform === 'both') {
+      resolved.intent = context.intent || resolved.intent;
+      resolved.platform = context.platform || resolved.platform;
+      resolved.inherited.push('intent', 'platform');
+    }
+
+    return resolved;
+  }
+
   /**
    * Extract person's name from query
    * Uses heuristics: names are usually capitalized, appear after question words
    */
   extractName(query) {
-    // Remove common question words and phrases
+    // Remove common question words and phrases, and dates so that
+    // "since March 3" or "on Monday" aren't mistaken for names
     const cleaned = query
-      .replace(/^(what|show|tell|give|list|find)\s+(me|us)?/gi, '')
+      .replace(new RegExp(DATE_TOKEN.source, 'gi'), ' ')
+      .replace(new RegExp(`\\b(?:in|since|on|until)\\s+(?:${MONTH.source}|${WEEKDAY.source})\\b`, 'gi'), ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^(what|show|tell|give|list|find|compare)\s+(me|us)?/gi, '')
       .replace(/^(is|has|have|was|were|does|did)\s+/gi, '')
       .replace(/\s+(working|been|doing|up|on|committed|created)/gi, '')
       .trim();
@@ -59,9 +225,11 @@ class QueryParser {
     const nameCandidates = [];
     
     for (let i = 0; i < words.length; i++) {
-      const word = words[i];
+      // Drop trailing punctuation and possessives ("Mike?", "Sarah's")
+      const word = words[i].replace(/[?!.,;:]+$/, '').replace(/['’]s$/, '');
       // Check if word looks like a name (starts with capital, not a common word)
-      if (/^[A-Z][a-z]+$/.test(word) && !this.isCommonWord(word)) {
+      // Allows O'Brien and McDonald style capitalization
+      if (/^(?:[A-Z][a-z]*['’])?[A-Z][a-z]+(?:[A-Z][a-z]+)?$/.test(word) && !this.isCommonWord(word)) {
         nameCandidates.push(word);
         // Names are usually 1-3 words
         if (nameCandidates.length >= 3) break;
@@ -77,48 +245,359 @@ class QueryParser {
     return nameMatch ? nameMatch[0] : null;
   }
 
+  /**
+   * Extract a team reference ("the Payments team", "team Platform")
+   * Returns the configured team id when the name or an alias matches,
+   * otherwise the mentioned name so the caller can report it as unknown
+   */
+  extractTeam(query) {
+    const normalized = query.toLowerCase();
+
+    for (const [key, team] of Object.entries(this.teams)) {
+      const names = [key, team.name, ...(team.aliases || [])]
+        .filter(Boolean)
+        .map(name => name.toLowerCase());
+
+      if (names.some(name => this.mentionsTeam(normalized, name))) {
+        return key;
+      }
+    }
+
+    // "the whole team", "my team" describe a team rather than name one
+    const mention = normalized.match(/\bthe\s+([a-z0-9-]+)\s+(?:team|squad)\b/);
+    return mention && !TEAM_QUANTIFIERS.includes(mention[1]) ? mention[1] : null;
+  }
+
+  /**
+   * Whether the query refers to a team by this name
+   */
+  mentionsTeam(normalized, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\s+(?:team|squad)\\b|\\b(?:team|squad)\\s+${escaped}\\b`).test(normalized);
+  }
+
   /**
    * Check if word is a common word (not a name)
    */
   isCommonWord(word) {
     const commonWords = [
-      'what', 'show', 'tell', 'give', 'list', 'find', 'is', 'has', 'have',
+      'what', 'which', 'show', 'tell', 'give', 'list', 'find', 'is', 'has', 'have',
       'was', 'were', 'does', 'did', 'working', 'been', 'doing', 'up', 'on',
       'committed', 'created', 'recent', 'recently', 'lately', 'these', 'days',
       'week', 'month', 'jira', 'github', 'ticket', 'issue', 'commit', 'pull',
-      'request', 'pr', 'code', 'repository', 'repo'
+      'request', 'pr', 'code', 'repository', 'repo', 'and', 'about', 'how',
+      'review', 'reviews', 'reviewing', 'reviewed',
+      'ship', 'shipped', 'merge', 'merged', 'landed', 'released', 'delivered',
+      'he', 'she', 'they', 'him', 'her', 'his', 'their', 'them',
+      'compare', 'compared', 'versus', 'vs', 'than', 'this', 'last', 'previous'
     ];
     return commonWords.includes(word.toLowerCase());
   }
 
   /**
-   * Extract timeframe from query
+   * Extract a date range from the query
+   * Handles explicit ranges ("between March 3 and March 10", ISO dates),
+   * "since Monday", quarters, sprints, "last 45 days" and calendar phrases
    */
-  extractTimeframe(query) {
-    for (const { pattern, days } of this.timePatterns) {
+  extractDateRange(query, now = new Date()) {
+    const dateToken = DATE_TOKEN.source;
+
+    // "between March 3 and March 10", "from 2024-03-01 to 2024-03-10"
+    const between = query.match(new RegExp(
+      `\\b(?:between|from)\\s+(${dateToken})\\s+(?:and|to|until|-)\\s+(${dateToken})`, 'i'
+    )) || query.match(new RegExp(`(\\d{4}-\\d{2}-\\d{2})\\s*(?:\\.\\.|to)\\s*(\\d{4}-\\d{2}-\\d{2})`, 'i'));
+    if (between) {
+      let start = this.parseDateToken(between[1], now);
+      const end = this.parseDateToken(between[2], now);
+      if (start && end) {
+        // "Dec 20 to Jan 5" without years spans the new year
+        if (start > end && !/\d{4}/.test(between[1])) {
+          start.setFullYear(start.getFullYear() - 1);
+        }
+        return createDateRange(start, end, `${formatDate(start)} to ${formatDate(end)}`, now);
+      }
+    }
+
+    // "since Monday", "since March 3", "since 2024-03-01"
+    const since = query.match(new RegExp(`\\bsince\\s+(${dateToken}|${WEEKDAY.source})\\b`, 'i'));
+    if (since) {
+      const start = this.parseWeekday(since[1], now) || this.parseDateToken(since[1], now);
+      if (start) {
+        return createDateRange(start, now, `since ${since[1]}`, now);
+      }
+    }
+
+    // "in Q2", "Q3 2024"
+    const quarter = query.match(/\bq([1-4])(?:\s+(\d{4}))?\b/i);
+    if (quarter) {
+      const q = Number(quarter[1]);
+      let year = quarter[2] ? Number(quarter[2]) : now.getFullYear();
+      // A quarter that hasn't started yet means last year's
+      if (!quarter[2] && new Date(year, (q - 1) * 3, 1) > now) year -= 1;
+      return createDateRange(
+        new Date(year, (q - 1) * 3, 1),
+        new Date(year, q * 3, 0),
+        `Q${q} ${year}`,
+        now
+      );
+    }
+
+    // "sprint 23", "this sprint", "last sprint"
+    const sprint = this.extractSprint(query, now);
+    if (sprint) return sprint;
+
+    // "last 45 days", "past 3 weeks", "previous 2 months"
+    const lastN = query.match(/\b(?:last|past|previous)\s+(\d+)\s+(day|week|month)s?\b/i);
+    if (lastN) {
+      const count = Number(lastN[1]);
+      const unit = lastN[2].toLowerCase();
+      const label = `the last ${count} ${unit}${count === 1 ? '' : 's'}`;
+      if (unit === 'month') {
+        const start = new Date(now.getFullYear(), now.getMonth() - count, now.getDate() + 1);
+        return createDateRange(start, now, label, now);
+      }
+      return lastNDays(count * (unit === 'week' ? 7 : 1), now, label);
+    }
+
+    // "this week", "last month", "recently"...
+    for (const { pattern, resolve } of this.relativePhrases) {
       if (pattern.test(query)) {
-        return days;
+        return resolve(now);
       }
     }
+
+    // "in March", "in March 2024"
+    const month = query.match(new RegExp(`\\bin\\s+(${MONTH.source})(?:\\s+(\\d{4}))?\\b`, 'i'));
+    if (month) {
+      const monthIndex = this.monthIndex(month[1]);
+      let year = month[2] ? Number(month[2]) : now.getFullYear();
+      if (!month[2] && new Date(year, monthIndex, 1) > now) year -= 1;
+      const start = new Date(year, monthIndex, 1);
+      return createDateRange(start, new Date(year, monthIndex + 1, 0), `${MONTH_NAMES[monthIndex]} ${year}`, now);
+    }
+
+    // A single date: "on 2024-03-05", "on March 5"
+    const single = query.match(new RegExp(`\\bon\\s+(${dateToken})`, 'i')) ||
+      query.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (single) {
+      const day = this.parseDateToken(single[1], now);
+      if (day) {
+        return createDateRange(day, day, `on ${formatDate(day)}`, now);
+      }
+    }
+
     return null; // Default will be handled by caller
   }
 
+  /**
+   * Two periods to compare, as { current, previous } date ranges, or null
+   * "this sprint vs last sprint" and "... than last week" name both;
+   * "compared to last month" names the earlier one, and the current one is
+   * "this month" (or everything since); a trend question ("is Mike's
+   * throughput dropping this month?") compares a period with the one before
+   */
+  extractComparison(query, now = new Date()) {
+    const split = query.match(/^(.*?)\b(?:vs\.?|versus|compared\s+(?:to|with)|compare[sd]?\s+(?:to|with)|relative\s+to|than)\s+(.+)$/i);
+    if (split) {
+      const previous = this.extractDateRange(split[2], now);
+      if (!previous) return null;
+
+      const current = this.extractDateRange(split[1], now) || this.periodAfter(split[2], previous, now);
+
+      // "the last 30 days compared to the previous 30 days" reads both as the same period
+      if (previous.start === current.start && previous.end === current.end) {
+        return { current, previous: this.periodBefore('', current, now) };
+      }
+      return { current, previous: this.matchElapsed(query, current, previous, now) };
+    }
+
+    if (TREND.test(query)) {
+      const current = this.extractDateRange(query, now) || lastNDays(14, now, 'the last 14 days');
+      const previous = this.periodBefore(query, current, now);
+      return { current, previous: this.matchElapsed(query, current, previous, now) };
+    }
+
+    return null;
+  }
+
+  /**
+   * A week, month or sprint still in progress is compared with the same
+   * stretch of the one before: two days into a sprint, "this sprint vs last
+   * sprint" means those two days against the first two days of last sprint
+   */
+  matchElapsed(query, current, previous, now) {
+    const unit = query.match(/\b(?:this|current)\s+(week|month|year|sprint)\b/i);
+    if (!unit || current.days >= previous.days) return previous;
+
+    const counterpart = this.extractDateRange(`last ${unit[1]}`, now);
+    if (previous.start !== counterpart.start || previous.end !== counterpart.end) return previous;
+
+    const start = parseDate(previous.start);
+    const stretch = current.days === 1 ? 'the first day' : `the first ${current.days} days`;
+    return createDateRange(start, addDays(start, current.days - 1), `${stretch} of ${previous.label}`, now);
+  }
+
+  /**
+   * The period after an earlier one: "this month" for "last month",
+   * otherwise everything since it ended
+   */
+  periodAfter(text, previous, now) {
+    const unit = text.match(/\b(?:last|previous)\s+(week|month|year|sprint)\b/i);
+    const counterpart = unit && this.extractDateRange(`this ${unit[1]}`, now);
+    if (counterpart) return counterpart;
+
+    const start = addDays(parseDate(previous.end), 1);
+    if (start > startOfDay(now)) {
+      return lastNDays(previous.days, now);
+    }
+    return createDateRange(start, now, `since ${formatDate(start)}`, now);
+  }
+
+  /**
+   * The period before a later one: "last month" for "this month",
+   * otherwise the same number of days just before it
+   */
+  periodBefore(text, current, now) {
+    const unit = text.match(/\b(?:this|current)\s+(week|month|year|sprint)\b/i);
+    const counterpart = unit && this.extractDateRange(`last ${unit[1]}`, now);
+    if (counterpart) return counterpart;
+
+    const end = addDays(parseDate(current.start), -1);
+    return createDateRange(addDays(end, -(current.days - 1)), end, `the ${current.days} days before`, now);
+  }
+
+  /**
+   * Resolve sprint references using the configured sprint calendar
+   * Throws ValidationError for sprints we can't place: no calendar is
+   * configured, or the sprint hasn't started yet
+   */
+  extractSprint(query, now) {
+    const numbered = query.match(/\bsprint\s+(\d+)\b/i);
+    const relative = query.match(/\b(this|current|last|previous)\s+sprint\b/i);
+    if (!numbered && !relative) return null;
+
+    if (!this.sprints?.anchor) {
+      throw new ValidationError('Sprints aren\'t configured, so I can\'t tell which dates a sprint covers. Try a date range instead, e.g. "last 2 weeks".');
+    }
+
+    if (numbered) {
+      const number = Number(numbered[1]);
+      const start = this.sprintStart(number);
+      if (start > now) {
+        throw new ValidationError(`Sprint ${number} hasn't started yet (it starts ${formatDate(start)}).`);
+      }
+      return this.sprintRange(number, now);
+    }
+
+    if (relative) {
+      const current = this.sprintNumberFor(now);
+      const offset = /this|current/i.test(relative[1]) ? 0 : -1;
+      return this.sprintRange(current + offset, now);
+    }
+
+    return null;
+  }
+
+  /**
+   * Number of the sprint that contains the given date
+   */
+  sprintNumberFor(date) {
+    const { length = 14, anchor } = this.sprints;
+    const anchorStart = parseDate(anchor.start);
+    const elapsed = Math.floor((startOfDay(date) - anchorStart) / (length * 24 * 60 * 60 * 1000));
+    return anchor.number + elapsed;
+  }
+
+  /**
+   * First day of a sprint number
+   */
+  sprintStart(number) {
+    const { length = 14, anchor } = this.sprints;
+    return addDays(parseDate(anchor.start), (number - anchor.number) * length);
+  }
+
+  /**
+   * Date range covered by a sprint number
+   */
+  sprintRange(number, now = new Date()) {
+    const { length = 14 } = this.sprints;
+    const start = this.sprintStart(number);
+    return createDateRange(start, addDays(start, length - 1), `sprint ${number}`, now);
+  }
+
+  /**
+   * Parse "2024-03-05", "March 5", "5 March", "Mar 5th, 2024"
+   * Dates without a year that would be in the future mean last year
+   */
+  parseDateToken(token, now = new Date()) {
+    const trimmed = token.trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+      const date = parseDate(trimmed);
+      return isNaN(date) ? null : date;
+    }
+
+    const monthFirst = trimmed.match(new RegExp(`^(${MONTH.source})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`, 'i'));
+    const dayFirst = trimmed.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH.source})(?:,?\\s+(\\d{4}))?$`, 'i'));
+
+    let monthName, day, year;
+    if (monthFirst) [, monthName, day, year] = monthFirst;
+    else if (dayFirst) [, day, monthName, year] = dayFirst;
+    else return null;
+
+    const date = new Date(year ? Number(year) : now.getFullYear(), this.monthIndex(monthName), Number(day));
+    if (!year && date > now) {
+      date.setFullYear(date.getFullYear() - 1);
+    }
+    return date;
+  }
+
+  /**
+   * Most recent occurrence of a weekday, today included
+   */
+  parseWeekday(token, now = new Date()) {
+    if (!new RegExp(`^(?:${WEEKDAY.source})$`, 'i').test(token)) return null;
+    const index = WEEKDAY_NAMES.findIndex(name => name.startsWith(token.toLowerCase().slice(0, 3)));
+
+    const today = startOfDay(now);
+    const back = (today.getDay() - index + 7) % 7;
+    return addDays(today, -back);
+  }
+
+  monthIndex(name) {
+    return MONTH_NAMES.findIndex(month => month.toLowerCase().startsWith(name.toLowerCase().slice(0, 3)));
+  }
+
   /**
    * Determine user intent
+   * Keywords are matched as whole words so "project" or "priority"
+   * don't read as a PR question now that intent limits what we fetch
    */
   extractIntent(query) {
     const normalized = query.toLowerCase();
     
-    if (normalized.includes('pull request') || normalized.includes('pr')) {
+    // Checked before PRs: "What PRs is Mike reviewing?" is about review work,
+    // but "tickets in review" is a JIRA status
+    const mentionsTickets = this.containsKeyword(normalized, 'ticket') || this.containsKeyword(normalized, 'issue');
+    const reviewStatus = mentionsTickets && /\bin review\b/.test(normalized);
+    if (!reviewStatus && ['review', 'reviewing', 'reviewed', 'reviewer'].some(keyword => this.containsKeyword(normalized, keyword))) {
+      return 'reviews';
+    }
+    // "What did Sarah ship?", "merged PRs" - finished work, not open PRs
+    if (['ship', 'shipped', 'shipping', 'merge', 'merged', 'landed', 'released', 'delivered'].some(keyword => this.containsKeyword(normalized, keyword))) {
+      return 'shipped';
+    }
+    if (this.containsKeyword(normalized, 'pull request') || this.containsKeyword(normalized, 'pr')) {
       return 'pull_requests';
     }
-    if (normalized.includes('commit')) {
+    if (this.containsKeyword(normalized, 'commit') || this.containsKeyword(normalized, 'committed')) {
       return 'commits';
     }
-    if (normalized.includes('ticket') || normalized.includes('issue')) {
+    if (this.containsKeyword(normalized, 'ticket') || this.containsKeyword(normalized, 'issue')) {
       return 'jira_issues';
     }
-    if (normalized.includes('repository') || normalized.includes('repo')) {
+    if (this.containsKeyword(normalized, 'repository') || this.containsKeyword(normalized, 'repositories') ||
+        this.containsKeyword(normalized, 'repo')) {
       return 'repositories';
     }
     
@@ -132,17 +611,25 @@ class QueryParser {
     const normalized = query.toLowerCase();
     
     const jiraScore = this.platformKeywords.jira.filter(kw => 
-      normalized.includes(kw)
+      this.containsKeyword(normalized, kw)
     ).length;
     
     const githubScore = this.platformKeywords.github.filter(kw => 
-      normalized.includes(kw)
+      this.containsKeyword(normalized, kw)
     ).length;
 
     if (jiraScore > githubScore) return 'jira';
     if (githubScore > jiraScore) return 'github';
     return 'both'; // Default to both platforms
   }
+
+  /**
+   * Whole-word keyword match, allowing a plural "s"
+   */
+  containsKeyword(normalized, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}s?\\b`).test(normalized);
+  }
 }
 
 export default QueryParser;
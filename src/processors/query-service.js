@@ -0,0 +1,390 @@
+import { lastNDays } from '../utils/date-range.js';
+import { UserNotFoundError, AmbiguousUserError, TeamNotFoundError, NoActivityError, handleError } from '../utils/errors.js';
+
+/**
+ * Query Service
+ *
+ * Answers a question end to end: parse it, resolve the person or team,
+ * fetch their activity, enrich it and write the reply. The HTTP server,
+ * the Slack app, scheduled digests and the CLI all go through here.
+ *
+ * Creative solutions:
+ * - Returns { status, body } so every caller shares one response shape
+ * - Answers several named people like an ad-hoc team
+ * - Remembers who was asked about, so follow-ups can say "And Mike?"
+ * - Compares two periods from daily snapshots ("this sprint vs last sprint")
+ * - Lets callers override what the parser understood (the CLI's flags)
+ */
+class QueryService {
+  /**
+   * `snapshotJob` / `trendAnalyzer` answer period comparisons; without
+   * them a comparison is answered for its current period only
+   */
+  constructor({ teams = {}, cache, sessionStore, queryParser, llmQueryParser, activityFetcher, dataEnricher, responseGenerator, snapshotJob = null, trendAnalyzer = null }) {
+    this.teams = teams;
+    this.cache = cache;
+    this.sessionStore = sessionStore;
+    this.queryParser = queryParser;
+    this.llmQueryParser = llmQueryParser;
+    this.activityFetcher = activityFetcher;
+    this.dataEnricher = dataEnricher;
+    this.responseGenerator = responseGenerator;
+    this.snapshotJob = snapshotJob;
+    this.trendAnalyzer = trendAnalyzer;
+  }
+
+  /**
+   * Answer a question, bypassing cached reads when the request sets `refresh`
+   * Whatever gets fetched is cached again for the next question
+   */
+  answer(requestBody = {}, options = {}) {
+    const answer = () => this.answerQuery(requestBody, options);
+    return requestBody.refresh === true ? this.cache.withRefresh(answer) : answer();
+  }
+
+  /**
+   * Answer a question end to end
+   * Returns { status, body } so the JSON and streaming endpoints share it
+   * `options.onProgress` / `options.onToken` are only set when streaming;
+   * `options.overrides` ({ name, dateRange, platform }) replace what the
+   * parser read from the question
+   */
+  async answerQuery(requestBody = {}, options = {}) {
+    const { onProgress = () => {}, onToken = null, overrides = {} } = options;
+
+    try {
+      const { query } = requestBody;
+
+      if (!query || typeof query !== 'string') {
+        return reply(400, {
+          error: 'Invalid query. Please provide a question as a string.'
+        });
+      }
+
+      // Conversation session, so follow-ups can refer back to earlier turns
+      const session = this.sessionStore.getOrCreate(requestBody.sessionId);
+
+      // Parse query, filling gaps from the previous turn
+      const parsed = this.applyOverrides(
+        this.queryParser.applyContext(await this.llmQueryParser.parse(query), session.context),
+        overrides
+      );
+      onProgress({ stage: 'parsed', parsedBy: parsed.parsedBy, intent: parsed.intent, platform: parsed.platform });
+
+      if (parsed.dateError) {
+        return reply(400, {
+          error: parsed.dateError,
+          sessionId: session.id
+        });
+      }
+
+      // Team queries fan out across the configured roster
+      if (parsed.team) {
+        return await this.answerTeamQuery(query, parsed, session, options);
+      }
+
+      // Several people in one question are answered like an ad-hoc team
+      if (parsed.people?.length > 1) {
+        return await this.answerTeamQuery(query, parsed, session, options, {
+          key: null,
+          name: parsed.people.join(' & '),
+          members: parsed.people.map(name => ({ name }))
+        });
+      }
+
+      if (!parsed.name) {
+        return reply(400, {
+          error: 'Could not extract a name from your query. Please try: "What is [name] working on?"',
+          sessionId: session.id
+        });
+      }
+
+      const userName = parsed.name;
+      const dateRange = parsed.dateRange || lastNDays(14, new Date(), 'recently'); // Default to 2 weeks
+
+      const comparing = !!(parsed.comparison && this.snapshotJob);
+
+      // Only hit the platforms and endpoints the question is about
+      // Comparisons always look at everything, like the snapshots they're built from
+      const plan = comparing ? this.snapshotJob.plan() : this.activityFetcher.planSources(parsed);
+
+      // Pinned ids come from the user picking a candidate after an ambiguous match
+      // Follow-ups about the same person reuse the ids resolved last turn
+      const pins = {
+        jiraAccountId: typeof requestBody.jiraAccountId === 'string' ? requestBody.jiraAccountId : parsed.pins?.jiraAccountId,
+        githubLogin: typeof requestBody.githubLogin === 'string' ? requestBody.githubLogin : parsed.pins?.githubLogin
+      };
+
+      onProgress({ stage: 'resolving', name: userName });
+
+      let users;
+      try {
+        users = await this.activityFetcher.resolveUsers(userName, plan, pins);
+      } catch (error) {
+        if (!(error instanceof AmbiguousUserError)) throw error;
+
+        const errorResponse = handleError(error);
+        return reply(200, {
+          query: query,
+          parsed: parsed,
+          response: this.responseGenerator.generateErrorResponse(errorResponse, userName),
+          error: errorResponse,
+          pins: pins,
+          sessionId: session.id
+        });
+      }
+      const { jiraUser, githubUser, identity } = users;
+
+      // Check if user exists in at least one of the queried platforms
+      if (!jiraUser && !githubUser) {
+        const error = new UserNotFoundError(userName);
+        const errorResponse = handleError(error);
+        const errorMessage = this.responseGenerator.generateErrorResponse(errorResponse, userName);
+
+        return reply(200, {
+          query: query,
+          parsed: parsed,
+          response: errorMessage,
+          error: errorResponse,
+          sessionId: session.id
+        });
+      }
+
+      if (comparing) {
+        return await this.answerComparison(query, parsed, session, users, options);
+      }
+
+      // Fetch activity data concurrently, limited to the planned sources
+      const { jiraData, githubData } = await this.activityFetcher.fetchActivity(
+        { jiraUser, githubUser },
+        plan,
+        dateRange,
+        onProgress
+      );
+
+      // Enrich and combine data
+      const enrichedData = this.dataEnricher.enrich(jiraData, githubData, dateRange, plan);
+
+      // Remember who we resolved so follow-ups don't have to name them again
+      this.sessionStore.setContext(session, {
+        name: userName,
+        team: null,
+        timeframe: parsed.timeframe,
+        dateRange: parsed.dateRange,
+        intent: parsed.intent,
+        platform: parsed.platform,
+        pins: {
+          jiraAccountId: jiraUser?.accountId,
+          githubLogin: githubUser?.login
+        }
+      });
+
+      // Check if there's any activity
+      if (enrichedData.metrics.totalItems === 0) {
+        const error = new NoActivityError(userName);
+        const errorResponse = handleError(error);
+        const errorMessage = this.responseGenerator.generateErrorResponse(errorResponse, userName);
+        this.sessionStore.addTurn(session, query, errorMessage);
+
+        return reply(200, {
+          query: query,
+          parsed: parsed,
+          response: errorMessage,
+          data: enrichedData,
+          error: errorResponse,
+          sessionId: session.id
+        });
+      }
+
+      // Generate response, with earlier turns as context for the AI
+      onProgress({ stage: 'generating' });
+      const response = await this.responseGenerator.generateResponse(
+        query,
+        enrichedData,
+        userName,
+        session.history,
+        onToken
+      );
+      this.sessionStore.addTurn(session, query, response);
+
+      // Return response
+      return reply(200, {
+        query: query,
+        parsed: parsed,
+        response: response,
+        data: enrichedData,
+        users: {
+          jira: jiraUser ? { name: jiraUser.displayName, accountId: jiraUser.accountId } : null,
+          github: githubUser ? { name: githubUser.name || githubUser.login, login: githubUser.login } : null,
+          identity: identity ? { id: identity.id, displayName: identity.displayName } : null
+        },
+        sessionId: session.id
+      });
+
+    } catch (error) {
+      console.error('Error processing query:', error);
+
+      const errorResponse = handleError(error);
+      const errorMessage = this.responseGenerator.generateErrorResponse(errorResponse, 'user');
+
+      return reply(500, {
+        error: errorResponse,
+        message: errorMessage
+      });
+    }
+  }
+
+  /**
+   * Answer a team-level query
+   * Runs the per-person pipeline for every member and aggregates the result
+   * An explicit team (several people named in one question) skips the roster lookup
+   */
+  async answerTeamQuery(query, parsed, session, options = {}, adHocTeam = null) {
+    const { onProgress = () => {}, onToken = null } = options;
+    const teamConfig = adHocTeam || this.teams?.[parsed.team];
+
+    if (!teamConfig) {
+      const errorResponse = handleError(new TeamNotFoundError(parsed.team));
+      return reply(200, {
+        query: query,
+        parsed: parsed,
+        response: this.responseGenerator.generateErrorResponse(errorResponse, parsed.team),
+        error: errorResponse,
+        sessionId: session.id
+      });
+    }
+
+    const team = adHocTeam || { key: parsed.team, ...teamConfig };
+    const dateRange = parsed.dateRange || lastNDays(14, new Date(), 'recently');
+    const plan = this.activityFetcher.planSources(parsed);
+
+    onProgress({ stage: 'resolving', team: team.name, members: (team.members || []).length });
+    const memberActivity = await this.activityFetcher.fetchTeamActivity(team, plan, dateRange, onProgress);
+
+    const memberResults = memberActivity.map(result => ({
+      ...result,
+      enriched: result.jiraData || result.githubData
+        ? this.dataEnricher.enrich(result.jiraData, result.githubData, dateRange, plan)
+        : null
+    }));
+
+    const teamData = this.dataEnricher.enrichTeam(team, memberResults, dateRange, plan);
+    onProgress({ stage: 'generating' });
+    const response = await this.responseGenerator.generateTeamResponse(query, teamData, session.history, onToken);
+
+    this.sessionStore.setContext(session, {
+      name: null,
+      team: team.key,
+      people: adHocTeam ? parsed.people : null,
+      timeframe: parsed.timeframe,
+      dateRange: parsed.dateRange,
+      intent: parsed.intent,
+      platform: parsed.platform
+    });
+    this.sessionStore.addTurn(session, query, response);
+
+    return reply(200, {
+      query: query,
+      parsed: parsed,
+      response: response,
+      data: teamData,
+      team: {
+        key: team.key,
+        name: teamData.team.name,
+        members: teamData.members.map(member => member.name)
+      },
+      sessionId: session.id
+    });
+  }
+
+  /**
+   * Answer "this period vs that one" for a resolved person
+   * Both periods are built from daily snapshots, stored or fetched
+   */
+  async answerComparison(query, parsed, session, users, options = {}) {
+    const { onProgress = () => {}, onToken = null } = options;
+    const { jiraUser, githubUser, identity } = users;
+    const { current, previous } = parsed.comparison;
+
+    onProgress({ stage: 'comparing', current: current.label, previous: previous.label });
+    const [currentSnapshots, previousSnapshots] = await Promise.all([
+      this.snapshotJob.snapshotsFor(users, current),
+      this.snapshotJob.snapshotsFor(users, previous)
+    ]);
+
+    const comparison = this.trendAnalyzer.compare(
+      this.trendAnalyzer.summarize(currentSnapshots, current),
+      this.trendAnalyzer.summarize(previousSnapshots, previous)
+    );
+
+    this.sessionStore.setContext(session, {
+      name: parsed.name,
+      team: null,
+      timeframe: parsed.timeframe,
+      dateRange: parsed.dateRange,
+      intent: parsed.intent,
+      platform: parsed.platform,
+      pins: {
+        jiraAccountId: jiraUser?.accountId,
+        githubLogin: githubUser?.login
+      }
+    });
+
+    onProgress({ stage: 'generating' });
+    const response = await this.responseGenerator.generateComparisonResponse(
+      query,
+      comparison,
+      parsed.name,
+      session.history,
+      onToken
+    );
+    this.sessionStore.addTurn(session, query, response);
+
+    return reply(200, {
+      query: query,
+      parsed: parsed,
+      response: response,
+      comparison: comparison,
+      users: {
+        jira: jiraUser ? { name: jiraUser.displayName, accountId: jiraUser.accountId } : null,
+        github: githubUser ? { name: githubUser.name || githubUser.login, login: githubUser.login } : null,
+        identity: identity ? { id: identity.id, displayName: identity.displayName } : null
+      },
+      sessionId: session.id
+    });
+  }
+
+  /**
+   * Replace parsed fields with explicit ones
+   * Naming a person drops any team or other people the question mentioned
+   */
+  applyOverrides(parsed, overrides = {}) {
+    const resolved = { ...parsed };
+
+    if (overrides.name) {
+      resolved.name = overrides.name;
+      resolved.people = [overrides.name];
+      resolved.team = null;
+      resolved.pins = null;
+    }
+    if (overrides.dateRange) {
+      resolved.dateRange = overrides.dateRange;
+      resolved.dateError = null;
+      resolved.timeframe = overrides.dateRange.days;
+      if (resolved.comparison) {
+        resolved.comparison = { ...resolved.comparison, current: overrides.dateRange };
+      }
+    }
+    if (overrides.platform) {
+      resolved.platform = overrides.platform;
+    }
+
+    return resolved;
+  }
+}
+
+function reply(status, body) {
+  return { status, body };
+}
+
+export default QueryService;
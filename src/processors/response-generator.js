@@ -1,122 +1,259 @@
-import OpenAI from 'openai';
+import { createLLMProvider } from '../clients/llm/index.js';
+
+// What the AI should concentrate on for each parsed intent
+const INTENT_FOCUS = {
+  general: 'overall recent activity across the queried platforms',
+  pull_requests: 'their pull requests: open ones in flight and ones merged in the period',
+  shipped: 'work they shipped: pull requests merged in the period',
+  commits: 'recent commits only',
+  repositories: 'which repositories they have been contributing to',
+  jira_issues: 'their JIRA tickets only',
+  reviews: 'code review work: reviews they gave and PRs waiting on their review'
+};
+
+// How a metric moved between two periods
+const TREND_ICONS = { up: '📈', down: '📉', flat: '➡️' };
 
 /**
  * Response Generator with AI Integration
  * 
  * Creative solutions:
- * - Uses OpenAI API for natural, conversational responses
+ * - Uses a pluggable LLM provider (OpenAI, Anthropic, Azure, local) for natural responses
  * - Falls back to template-based responses if AI is unavailable
  * - Formats data in a human-readable way
  * - Handles edge cases gracefully
  */
 class ResponseGenerator {
   constructor(config) {
-    this.openai = config?.openai?.apiKey 
-      ? new OpenAI({ apiKey: config.openai.apiKey })
-      : null;
-    this.model = config?.openai?.model || 'gpt-3.5-turbo';
-    this.useAI = !!this.openai;
+    this.llm = createLLMProvider(config || {});
+    this.useAI = !!this.llm;
   }
 
   /**
    * Generate response using AI or templates
+   * `history` holds prior conversation turns for follow-up questions
+   * `onToken` receives the reply as it is produced; templates arrive as one chunk
    */
-  async generateResponse(query, enrichedData, userName) {
+  async generateResponse(query, enrichedData, userName, history = [], onToken = null) {
     if (this.useAI) {
       try {
-        return await this.generateAIResponse(query, enrichedData, userName);
+        return await this.generateAIResponse(query, enrichedData, userName, history, onToken);
       } catch (error) {
         console.warn('AI generation failed, falling back to template:', error.message);
-        return this.generateTemplateResponse(query, enrichedData, userName);
+        return this.emitWhole(this.generateTemplateResponse(query, enrichedData, userName), onToken, true);
       }
     } else {
-      return this.generateTemplateResponse(query, enrichedData, userName);
+      return this.emitWhole(this.generateTemplateResponse(query, enrichedData, userName), onToken);
     }
   }
 
   /**
-   * Generate response using OpenAI API
+   * Generate response using the configured LLM provider
    */
-  async generateAIResponse(query, enrichedData, userName) {
+  async generateAIResponse(query, enrichedData, userName, history = [], onToken = null) {
     const prompt = this.buildPrompt(query, enrichedData, userName);
-    
-    const response = await this.openai.chat.completions.create({
-      model: this.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful assistant that provides clear, concise summaries of team member activities. Be conversational and highlight the most important information.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 500
-    });
+    return this.completePrompt(prompt, history, onToken);
+  }
 
-    return response.choices[0].message.content;
+  /**
+   * Generate a team summary using AI or templates
+   */
+  async generateTeamResponse(query, teamData, history = [], onToken = null) {
+    if (this.useAI) {
+      try {
+        return await this.completePrompt(this.buildTeamPrompt(query, teamData), history, onToken);
+      } catch (error) {
+        console.warn('AI generation failed, falling back to template:', error.message);
+        return this.emitWhole(this.generateTeamTemplateResponse(query, teamData), onToken, true);
+      }
+    } else {
+      return this.emitWhole(this.generateTeamTemplateResponse(query, teamData), onToken);
+    }
+  }
+
+  /**
+   * Describe how a person's activity changed between two periods
+   * `comparison` comes from TrendAnalyzer.compare
+   */
+  async generateComparisonResponse(query, comparison, userName, history = [], onToken = null) {
+    if (this.useAI) {
+      try {
+        return await this.completePrompt(this.buildComparisonPrompt(query, comparison, userName), history, onToken);
+      } catch (error) {
+        console.warn('AI generation failed, falling back to template:', error.message);
+        return this.emitWhole(this.generateComparisonTemplateResponse(comparison, userName), onToken, true);
+      }
+    } else {
+      return this.emitWhole(this.generateComparisonTemplateResponse(comparison, userName), onToken);
+    }
+  }
+
+  /**
+   * Send a prompt to the LLM provider and return the reply text
+   * Prior turns go in as chat history so the model can follow the conversation
+   * With `onToken`, the reply is streamed chunk by chunk as well
+   */
+  async completePrompt(prompt, history = [], onToken = null) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are a helpful assistant that provides clear, concise summaries of team member activities. Be conversational and highlight the most important information.'
+      },
+      ...history.map(turn => ({ role: turn.role, content: turn.content })),
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+
+    if (!onToken || !this.llm.stream) {
+      return this.emitWhole(await this.llm.chat(messages), onToken);
+    }
+
+    let text = '';
+    for await (const chunk of this.llm.stream(messages)) {
+      text += chunk;
+      onToken(chunk);
+    }
+    return text;
+  }
+
+  /**
+   * Hand a complete reply to a streaming caller as a single chunk
+   * `replace` tells the client to discard anything a failed stream already sent
+   */
+  emitWhole(text, onToken, replace = false) {
+    if (onToken) onToken(text, replace ? { replace: true } : undefined);
+    return text;
+  }
+
+  /**
+   * Scope of the data that was fetched
+   * Older payloads without a scope covered everything
+   */
+  getScope(enrichedData) {
+    return enrichedData.scope || {
+      intent: 'general',
+      platform: 'both',
+      jira: true,
+      github: true,
+      sources: {
+        issues: true,
+        recentActivity: true,
+        commits: true,
+        pullRequests: true,
+        closedPullRequests: true,
+        repositories: true,
+        reviews: true,
+        reviewRequests: true
+      }
+    };
   }
 
   /**
    * Build prompt for AI
    */
   buildPrompt(query, enrichedData, userName) {
+    const scope = this.getScope(enrichedData);
     const jiraSummary = enrichedData.jira.summary;
     const githubSummary = enrichedData.github.summary;
     const linked = enrichedData.linked;
-    const metrics = enrichedData.metrics;
     const patterns = enrichedData.workPatterns;
 
     let prompt = `Based on the following data, provide a natural, conversational answer to: "${query}"\n\n`;
-    prompt += `Person: ${userName}\n\n`;
+    prompt += `Person: ${userName}\n`;
+    if (enrichedData.metrics.dateRange) {
+      const { start, end } = enrichedData.metrics.dateRange;
+      prompt += `Period: ${enrichedData.metrics.timeframe} (${start} to ${end})\n`;
+    }
+    prompt += `Question focus: ${INTENT_FOCUS[scope.intent] || INTENT_FOCUS.general}\n`;
+    const filterNote = this.describeFilters(scope);
+    if (filterNote) {
+      prompt += `Filtered to: ${filterNote}\n`;
+    }
+    const githubScope = this.describeGitHubScope(scope);
+    if (githubScope) {
+      prompt += `GitHub searched within: ${githubScope}\n`;
+    }
+    prompt += `\n`;
 
     // JIRA data
-    if (jiraSummary.count > 0) {
-      prompt += `JIRA Activity:\n`;
-      prompt += `- ${jiraSummary.count} active issues\n`;
-      if (jiraSummary.highPriority > 0) {
-        prompt += `- ${jiraSummary.highPriority} high-priority items\n`;
-      }
-      prompt += `- Status breakdown: ${JSON.stringify(jiraSummary.byStatus)}\n`;
-      
-      if (enrichedData.jira.activeIssues.length > 0) {
-        prompt += `\nKey issues:\n`;
-        enrichedData.jira.activeIssues.slice(0, 5).forEach(issue => {
-          prompt += `- ${issue.key}: ${issue.summary} (${issue.status}, ${issue.priority} priority)\n`;
+    if (scope.jira) {
+      if (jiraSummary.count > 0) {
+        prompt += `JIRA Activity:\n`;
+        prompt += `- ${jiraSummary.count} active issues\n`;
+        if (jiraSummary.highPriority > 0) {
+          prompt += `- ${jiraSummary.highPriority} high-priority items\n`;
+        }
+        prompt += `- Status breakdown: ${JSON.stringify(jiraSummary.byStatus)}\n`;
+        
+        if (enrichedData.jira.activeIssues.length > 0) {
+          prompt += `\nKey issues:\n`;
+          enrichedData.jira.activeIssues.slice(0, 5).forEach(issue => {
+            prompt += `- ${issue.key}: ${issue.summary} (${issue.status}, ${issue.priority} priority)\n`;
+          });
+        }
+      } else {
+        prompt += `JIRA: No active issues found\n`;
+      }
+
+      if (scope.intent === 'jira_issues' && enrichedData.jira.recentActivity.length > 0) {
+        prompt += `\nRecently updated issues:\n`;
+        enrichedData.jira.recentActivity.slice(0, 5).forEach(issue => {
+          prompt += `- ${issue.key}: ${issue.summary} (${issue.status})\n`;
         });
       }
-    } else {
-      prompt += `JIRA: No active issues found\n`;
     }
 
     // GitHub data
-    prompt += `\nGitHub Activity:\n`;
-    prompt += `- ${githubSummary.commitCount} recent commits\n`;
-    prompt += `- ${githubSummary.prCount} open pull requests\n`;
-    prompt += `- Active in ${githubSummary.repositoryCount} repositories\n`;
-    
-    if (githubSummary.activeRepositories.length > 0) {
-      prompt += `- Repositories: ${githubSummary.activeRepositories.join(', ')}\n`;
-    }
+    if (scope.github) {
+      if (this.hasActivitySources(scope)) {
+        prompt += `${scope.jira ? '\n' : ''}GitHub Activity:\n`;
+      }
+      if (scope.sources.commits) {
+        prompt += `- ${githubSummary.commitCount} recent commits\n`;
+      }
+      if (scope.sources.pullRequests) {
+        prompt += `- ${githubSummary.prCount} open pull requests (in flight)\n`;
+      }
+      if (scope.sources.closedPullRequests) {
+        prompt += `- ${this.describeShipped(enrichedData.metrics.delivery, githubSummary)}\n`;
+      }
+      if (scope.sources.repositories) {
+        prompt += `- Active in ${githubSummary.repositoryCount} repositories\n`;
+        
+        if (githubSummary.activeRepositories.length > 0) {
+          prompt += `- Repositories: ${githubSummary.activeRepositories.join(', ')}\n`;
+        }
+      }
 
-    if (enrichedData.github.commits.length > 0) {
-      prompt += `\nRecent commits:\n`;
-      enrichedData.github.commits.slice(0, 5).forEach(commit => {
-        prompt += `- ${commit.message} (${commit.repository})\n`;
-      });
-    }
+      if (enrichedData.github.commits.length > 0) {
+        prompt += `\nRecent commits:\n`;
+        enrichedData.github.commits.slice(0, this.listLimit(scope, 'commits')).forEach(commit => {
+          prompt += `- ${commit.message} (${commit.repository})\n`;
+        });
+      }
 
-    if (enrichedData.github.pullRequests.length > 0) {
-      prompt += `\nOpen PRs:\n`;
-      enrichedData.github.pullRequests.slice(0, 5).forEach(pr => {
-        prompt += `- ${pr.title} (${pr.repository})\n`;
-      });
+      if (enrichedData.github.pullRequests.length > 0) {
+        prompt += `\nOpen PRs:\n`;
+        enrichedData.github.pullRequests.slice(0, this.listLimit(scope, 'pull_requests')).forEach(pr => {
+          prompt += `- ${pr.title} (${pr.repository}, ${this.describeReviewWait(pr)})\n`;
+        });
+      }
+
+      const merged = enrichedData.github.closedPullRequests.filter(pr => pr.mergedAt);
+      if (merged.length > 0) {
+        prompt += `\nMerged PRs (shipped):\n`;
+        merged.slice(0, this.listLimit(scope, 'shipped')).forEach(pr => {
+          prompt += `- ${pr.title} (${pr.repository}, ${this.describeMergedPullRequest(pr)})\n`;
+        });
+      }
+
+      prompt += this.buildReviewPrompt(enrichedData, scope);
     }
 
-    // Linked work
-    if (linked.length > 0) {
+    // Linked work only makes sense when both platforms were queried
+    if (scope.jira && scope.github && linked.length > 0) {
       prompt += `\nLinked work (commits connected to JIRA tickets): ${linked.length} items\n`;
     }
 
@@ -128,81 +265,275 @@ class ResponseGenerator {
       });
     }
 
+    const truncation = this.describeTruncation(enrichedData.truncated);
+    if (truncation) {
+      prompt += `\nIncomplete data: ${truncation}. Treat those counts as minimums and say so.\n`;
+    }
+
     prompt += `\nProvide a friendly, conversational summary that answers the question naturally.`;
+    if (scope.intent !== 'general') {
+      prompt += ` Stick to the question focus rather than giving a full activity report.`;
+    }
 
     return prompt;
   }
 
+  /**
+   * Review work for the AI prompt, when reviews were fetched
+   */
+  buildReviewPrompt(enrichedData, scope) {
+    if (!scope.sources.reviews && !scope.sources.reviewRequests) return '';
+
+    const review = enrichedData.metrics.review;
+    const limit = this.listLimit(scope, 'reviews');
+    let prompt = `${scope.jira || this.hasActivitySources(scope) ? '\n' : ''}Code review:\n`;
+
+    if (scope.sources.reviews) {
+      prompt += `- ${review.given} reviews given (${review.approvals} approvals, ${review.changesRequested} change requests, ${review.commentsWritten} review comments)\n`;
+      enrichedData.github.reviews.slice(0, limit).forEach(item => {
+        prompt += `  - ${this.formatReviewState(item.latestState)} "${item.title}" by ${item.author} (${item.repository})\n`;
+      });
+    }
+
+    if (scope.sources.reviewRequests) {
+      prompt += `- ${review.requested} PRs waiting on their review`;
+      prompt += review.oldestRequestDays !== null ? ` (oldest opened ${review.oldestRequestDays} days ago)\n` : `\n`;
+      enrichedData.github.reviewRequests.slice(0, limit).forEach(item => {
+        prompt += `  - "${item.title}" by ${item.author} (${item.repository})\n`;
+      });
+    }
+
+    if (review.avgHoursToFirstReview !== null) {
+      prompt += `- Their own PRs waited ${this.formatHours(review.avgHoursToFirstReview)} on average for a first review\n`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Review work for the template response, when reviews were fetched
+   */
+  buildReviewSection(enrichedData, scope) {
+    if (!scope.sources.reviews && !scope.sources.reviewRequests) return '';
+
+    const review = enrichedData.metrics.review;
+    const limit = this.listLimit(scope, 'reviews');
+    let section = `${this.hasActivitySources(scope) ? '\n' : ''}👀 **Code Review**:\n`;
+
+    if (scope.sources.reviews) {
+      section += `  • ${review.given} reviews given (${review.approvals} approved, ${review.changesRequested} changes requested, ${review.commentsWritten} comments)\n`;
+    }
+    if (scope.sources.reviewRequests) {
+      section += `  • ${review.requested} PRs waiting on their review\n`;
+    }
+    if (review.avgHoursToFirstReview !== null) {
+      section += `  • Their PRs get a first review in ${this.formatHours(review.avgHoursToFirstReview)} on average\n`;
+    }
+
+    if (enrichedData.github.reviewRequests.length > 0) {
+      section += `\nWaiting on their review:\n`;
+      enrichedData.github.reviewRequests.slice(0, limit).forEach(item => {
+        section += `  • ${item.title} (${item.repository}, by ${item.author})\n`;
+      });
+    }
+
+    if (enrichedData.github.reviews.length > 0) {
+      section += `\nRecent reviews:\n`;
+      enrichedData.github.reviews.slice(0, limit).forEach(item => {
+        section += `  • ${this.formatReviewState(item.latestState)} ${item.title} (${item.repository}, by ${item.author})\n`;
+      });
+    }
+
+    return section;
+  }
+
+  /**
+   * Whether any GitHub source besides code review was fetched
+   */
+  hasActivitySources(scope) {
+    return scope.sources.commits || scope.sources.pullRequests ||
+      scope.sources.closedPullRequests || scope.sources.repositories;
+  }
+
+  /**
+   * "3 PRs merged (+120/-40 lines, 12 files), 1.5 days from open to merge on average"
+   */
+  describeShipped(delivery, githubSummary) {
+    let line = `${delivery.shipped} PRs merged`;
+    if (delivery.shipped > 0) {
+      line += ` (+${delivery.additions}/-${delivery.deletions} lines, ${delivery.changedFiles} files)`;
+    }
+    if (delivery.avgLeadTimeHours !== null) {
+      line += `, ${this.formatHours(delivery.avgLeadTimeHours)} from open to merge on average`;
+    }
+    if (githubSummary.closedUnmergedCount > 0) {
+      line += `; ${githubSummary.closedUnmergedCount} closed without merging`;
+    }
+    return line;
+  }
+
+  /**
+   * "merged Oct 3 after 2 days, +40/-12 in 3 files"
+   */
+  describeMergedPullRequest(pr) {
+    const mergedOn = new Date(pr.mergedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `merged ${mergedOn} after ${this.formatHours(pr.leadTimeHours)}, +${pr.additions}/-${pr.deletions} in ${pr.changedFiles} files`;
+  }
+
+  /**
+   * "first review after 5h" / "no review yet" for an open PR
+   */
+  describeReviewWait(pr) {
+    if (pr.firstReviewAt === undefined) return 'review status unknown';
+    if (pr.firstReviewAt === null) return 'no review yet';
+
+    const hours = (new Date(pr.firstReviewAt) - new Date(pr.created)) / (60 * 60 * 1000);
+    return `first review after ${this.formatHours(hours)}`;
+  }
+
+  formatReviewState(state) {
+    const labels = {
+      APPROVED: '✅ Approved',
+      CHANGES_REQUESTED: '✋ Requested changes on',
+      COMMENTED: '💬 Commented on',
+      DISMISSED: 'Dismissed review of'
+    };
+    return labels[state] || 'Reviewed';
+  }
+
+  /**
+   * Hours as "45m", "5h" or "2.5 days"
+   */
+  formatHours(hours) {
+    if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24 * 10) / 10} days`;
+  }
+
+  /**
+   * How many items to list for a section
+   * The section the question is about gets a longer list
+   */
+  listLimit(scope, intent) {
+    return scope.intent === intent ? 10 : 5;
+  }
+
   /**
    * Generate template-based response (fallback)
    */
   generateTemplateResponse(query, enrichedData, userName) {
+    const scope = this.getScope(enrichedData);
     const jiraSummary = enrichedData.jira.summary;
     const githubSummary = enrichedData.github.summary;
     const linked = enrichedData.linked;
     const metrics = enrichedData.metrics;
 
-    let response = `Here's what ${userName} has been working on:\n\n`;
+    // Handle no activity case
+    if (metrics.totalItems === 0) {
+      let response = `${userName} doesn't appear to have any recent activity on ${this.describePlatforms(scope)}. `;
+      response += `This could mean they're on vacation, working on a different project, or the data might not be synced yet.`;
+      return response;
+    }
+
+    let response = `${this.templateHeading(scope.intent, userName, metrics.timeframe)}\n\n`;
+
+    const filterNote = this.describeFilters(scope);
+    if (filterNote) {
+      response += `🔎 Filtered to ${filterNote}\n\n`;
+    }
+
+    const githubScope = this.describeGitHubScope(scope);
+    if (githubScope) {
+      response += `🏢 GitHub searched within ${githubScope}\n\n`;
+    }
 
     // JIRA section
-    if (jiraSummary.count > 0) {
-      response += `📋 **JIRA Activity** (${jiraSummary.count} active issues):\n`;
-      
-      if (jiraSummary.highPriority > 0) {
-        response += `⚠️ ${jiraSummary.highPriority} high-priority items\n`;
-      }
+    if (scope.jira) {
+      if (jiraSummary.count > 0) {
+        response += `📋 **JIRA Activity** (${jiraSummary.count} active issues):\n`;
+        
+        if (jiraSummary.highPriority > 0) {
+          response += `⚠️ ${jiraSummary.highPriority} high-priority items\n`;
+        }
 
-      // Show status breakdown
-      const statusEntries = Object.entries(jiraSummary.byStatus);
-      if (statusEntries.length > 0) {
-        response += `Status: ${statusEntries.map(([status, count]) => `${status} (${count})`).join(', ')}\n`;
-      }
+        // Show status breakdown
+        const statusEntries = Object.entries(jiraSummary.byStatus);
+        if (statusEntries.length > 0) {
+          response += `Status: ${statusEntries.map(([status, count]) => `${status} (${count})`).join(', ')}\n`;
+        }
 
-      // List key issues
-      if (enrichedData.jira.activeIssues.length > 0) {
-        response += `\nKey issues:\n`;
-        enrichedData.jira.activeIssues.slice(0, 5).forEach(issue => {
-          response += `  • ${issue.key}: ${issue.summary} - ${issue.status} (${issue.priority})\n`;
-        });
+        // List key issues
+        if (enrichedData.jira.activeIssues.length > 0) {
+          response += `\nKey issues:\n`;
+          enrichedData.jira.activeIssues.slice(0, this.listLimit(scope, 'jira_issues')).forEach(issue => {
+            response += `  • ${issue.key}: ${issue.summary} - ${issue.status} (${issue.priority})\n`;
+          });
+        }
+        response += `\n`;
+      } else {
+        response += `📋 **JIRA**: No active issues found\n\n`;
       }
-      response += `\n`;
-    } else {
-      response += `📋 **JIRA**: No active issues found\n\n`;
     }
 
     // GitHub section
-    response += `💻 **GitHub Activity**:\n`;
-    response += `  • ${githubSummary.commitCount} recent commits\n`;
-    response += `  • ${githubSummary.prCount} open pull requests\n`;
-    response += `  • Active in ${githubSummary.repositoryCount} repositories\n`;
+    if (scope.github) {
+      if (this.hasActivitySources(scope)) {
+        response += `💻 **GitHub Activity**:\n`;
+      }
+      if (scope.sources.commits) {
+        response += `  • ${githubSummary.commitCount} recent commits\n`;
+      }
+      if (scope.sources.pullRequests) {
+        response += `  • ${githubSummary.prCount} open pull requests\n`;
+      }
+      if (scope.sources.closedPullRequests) {
+        response += `  • ${this.describeShipped(metrics.delivery, githubSummary)}\n`;
+      }
+      if (scope.sources.repositories) {
+        response += `  • Active in ${githubSummary.repositoryCount} repositories\n`;
 
-    if (githubSummary.activeRepositories.length > 0) {
-      response += `  • Repositories: ${githubSummary.activeRepositories.join(', ')}\n`;
-    }
+        if (githubSummary.activeRepositories.length > 0) {
+          response += `  • Repositories: ${githubSummary.activeRepositories.join(', ')}\n`;
+        }
+      }
 
-    // Recent commits
-    if (enrichedData.github.commits.length > 0) {
-      response += `\nRecent commits:\n`;
-      enrichedData.github.commits.slice(0, 5).forEach(commit => {
-        response += `  • ${commit.message} (${commit.repository})\n`;
-      });
-    }
+      // Recent commits
+      if (enrichedData.github.commits.length > 0) {
+        response += `\nRecent commits:\n`;
+        enrichedData.github.commits.slice(0, this.listLimit(scope, 'commits')).forEach(commit => {
+          response += `  • ${commit.message} (${commit.repository})\n`;
+        });
+      }
 
-    // Open PRs
-    if (enrichedData.github.pullRequests.length > 0) {
-      response += `\nOpen pull requests:\n`;
-      enrichedData.github.pullRequests.slice(0, 5).forEach(pr => {
-        response += `  • ${pr.title} (${pr.repository})\n`;
-      });
+      // Open PRs
+      if (enrichedData.github.pullRequests.length > 0) {
+        response += `\n🚧 In flight (open pull requests):\n`;
+        enrichedData.github.pullRequests.slice(0, this.listLimit(scope, 'pull_requests')).forEach(pr => {
+          response += `  • ${pr.title} (${pr.repository}, ${pr.headBranch} → ${pr.baseBranch}) - ${this.describeReviewWait(pr)}\n`;
+        });
+      }
+
+      // Merged PRs
+      const merged = enrichedData.github.closedPullRequests.filter(pr => pr.mergedAt);
+      if (merged.length > 0) {
+        response += `\n🚀 Shipped (merged pull requests):\n`;
+        merged.slice(0, this.listLimit(scope, 'shipped')).forEach(pr => {
+          response += `  • ${pr.title} (${pr.repository}) - ${this.describeMergedPullRequest(pr)}\n`;
+        });
+      }
+
+      response += this.buildReviewSection(enrichedData, scope);
     }
 
     // Linked work
-    if (linked.length > 0) {
+    if (scope.jira && scope.github && linked.length > 0) {
       response += `\n🔗 **Linked Work**: ${linked.length} commits are connected to JIRA tickets, showing good tracking!\n`;
     }
 
-    // Activity level
-    response += `\n📊 **Activity Level**: ${metrics.activityLevel} (${metrics.totalItems} total items)`;
+    // Activity level only means something for a full overview
+    if (scope.intent === 'general') {
+      response += `\n📊 **Activity Level**: ${metrics.activityLevel} (${metrics.totalItems} total items)`;
+    }
 
     // Work patterns
     if (enrichedData.workPatterns.length > 0) {
@@ -212,13 +543,439 @@ class ResponseGenerator {
       });
     }
 
-    // Handle no activity case
+    const truncation = this.describeTruncation(enrichedData.truncated);
+    if (truncation) {
+      response = `${response.trimEnd()}\n\n⚠️ **Partial results**: ${truncation}, so counts above are lower bounds.`;
+    }
+
+    return response.trimEnd();
+  }
+
+  /**
+   * Build prompt for a team-level AI summary
+   */
+  buildTeamPrompt(query, teamData) {
+    const scope = this.getScope(teamData);
+    const { team, metrics } = teamData;
+
+    let prompt = `Based on the following data, answer this question about a team: "${query}"\n\n`;
+    prompt += `Team: ${team.name} (${team.memberCount} members, ${metrics.activeMembers} with recent activity)\n`;
+    if (metrics.dateRange) {
+      prompt += `Period: ${metrics.timeframe} (${metrics.dateRange.start} to ${metrics.dateRange.end})\n`;
+    }
+    prompt += `Question focus: ${INTENT_FOCUS[scope.intent] || INTENT_FOCUS.general}\n`;
+    const githubScope = this.describeGitHubScope(scope);
+    if (githubScope) {
+      prompt += `GitHub searched within: ${githubScope}\n`;
+    }
+
+    if (scope.jira) {
+      prompt += `\nOpen JIRA issues across the team: ${teamData.jira.summary.count}\n`;
+      teamData.jira.activeIssues.slice(0, 8).forEach(issue => {
+        prompt += `- ${issue.key}: ${issue.summary} (${issue.status}, ${issue.priority}, ${issue.assignee})\n`;
+      });
+    }
+
+    if (scope.github) {
+      if (scope.sources.pullRequests) {
+        prompt += `\nPull requests awaiting review: ${teamData.github.pullRequests.length}\n`;
+        teamData.github.pullRequests.slice(0, 8).forEach(pr => {
+          prompt += `- ${pr.title} (${pr.repository}, by ${pr.author})\n`;
+        });
+      }
+      if (scope.sources.closedPullRequests) {
+        prompt += `\nShipped: ${this.describeShipped(teamData.metrics.delivery, teamData.github.summary)}\n`;
+        teamData.github.closedPullRequests.filter(pr => pr.mergedAt).slice(0, 8).forEach(pr => {
+          prompt += `- ${pr.title} (${pr.repository}, by ${pr.author})\n`;
+        });
+      }
+      if (scope.sources.reviewRequests && teamData.github.reviewRequests.length > 0) {
+        prompt += `\nReview requests waiting on team members: ${teamData.github.reviewRequests.length}\n`;
+        teamData.github.reviewRequests.slice(0, 8).forEach(request => {
+          prompt += `- ${request.title} (${request.repository}, waiting on ${request.reviewer})\n`;
+        });
+      }
+      if (scope.sources.reviews) {
+        const review = teamData.metrics.review;
+        prompt += `\nReviews given: ${review.given} (${review.commentsWritten} review comments)`;
+        prompt += review.avgHoursToFirstReview !== null
+          ? `; team PRs get a first review in ${this.formatHours(review.avgHoursToFirstReview)} on average\n`
+          : `\n`;
+      }
+      if (teamData.github.repositories.length > 0) {
+        prompt += `\nTop repositories:\n`;
+        teamData.github.repositories.slice(0, 5).forEach(repo => {
+          prompt += `- ${repo.name}: ${repo.commitCount} commits by ${repo.contributors.join(', ')}\n`;
+        });
+      }
+    }
+
+    prompt += `\nPer-member highlights:\n`;
+    teamData.members.forEach(member => {
+      prompt += `- ${this.describeMember(member)}\n`;
+    });
+
+    if (teamData.workPatterns.length > 0) {
+      prompt += `\nNotable patterns:\n`;
+      teamData.workPatterns.forEach(pattern => {
+        prompt += `- ${pattern.description}\n`;
+      });
+    }
+
+    const truncation = this.describeTruncation(teamData.truncated);
+    if (truncation) {
+      prompt += `\nIncomplete data: ${truncation}. Treat those counts as minimums and say so.\n`;
+    }
+    const failedMembers = this.describeFailedMembers(teamData.failedMembers);
+    if (failedMembers) {
+      prompt += `\nMissing data: ${failedMembers}. Say their activity is missing rather than that they were idle.\n`;
+    }
+
+    prompt += `\nWrite one cohesive team summary: what the team is focused on, what needs attention, `;
+    prompt += `and a short line per member. Do not write a separate full report for each person.`;
+
+    return prompt;
+  }
+
+  /**
+   * Generate template-based team summary (fallback)
+   */
+  generateTeamTemplateResponse(query, teamData) {
+    const scope = this.getScope(teamData);
+    const { team, metrics } = teamData;
+
+    const failedMembers = this.describeFailedMembers(teamData.failedMembers);
+
     if (metrics.totalItems === 0) {
-      response = `${userName} doesn't appear to have any recent activity on JIRA or GitHub. `;
-      response += `This could mean they're on vacation, working on a different project, or the data might not be synced yet.`;
+      if (failedMembers) {
+        return `I couldn't get a complete picture of the ${team.name} team: ${failedMembers}. Please try again shortly.`;
+      }
+      return `The ${team.name} team doesn't appear to have any recent activity on ${this.describePlatforms(scope)}. ` +
+        `Check that the roster in config.teams matches people's JIRA and GitHub identities.`;
+    }
+
+    let response = `Here's what the ${team.name} team has been working on${this.periodSuffix(metrics.timeframe)}. `;
+    response += `${metrics.activeMembers} of ${team.memberCount} members were active.\n\n`;
+
+    const githubScope = this.describeGitHubScope(scope);
+    if (githubScope) {
+      response += `🏢 GitHub searched within ${githubScope}\n\n`;
+    }
+
+    if (scope.jira) {
+      const jiraSummary = teamData.jira.summary;
+      response += `📋 **Open Issues** (${jiraSummary.count}`;
+      response += jiraSummary.highPriority > 0 ? `, ${jiraSummary.highPriority} high-priority):\n` : `):\n`;
+      teamData.jira.activeIssues.slice(0, 5).forEach(issue => {
+        response += `  • ${issue.key}: ${issue.summary} - ${issue.status} (${issue.assignee})\n`;
+      });
+      response += `\n`;
+    }
+
+    if (scope.github) {
+      if (scope.sources.pullRequests) {
+        response += `👀 **PRs Awaiting Review** (${teamData.github.pullRequests.length}):\n`;
+        teamData.github.pullRequests.slice(0, 5).forEach(pr => {
+          response += `  • ${pr.title} (${pr.repository}, by ${pr.author})\n`;
+        });
+        response += `\n`;
+      }
+
+      if (scope.sources.closedPullRequests) {
+        response += `🚀 **Shipped**: ${this.describeShipped(teamData.metrics.delivery, teamData.github.summary)}\n`;
+        teamData.github.closedPullRequests.filter(pr => pr.mergedAt).slice(0, 5).forEach(pr => {
+          response += `  • ${pr.title} (${pr.repository}, by ${pr.author})\n`;
+        });
+        response += `\n`;
+      }
+
+      if (scope.sources.reviews || scope.sources.reviewRequests) {
+        const review = teamData.metrics.review;
+        response += `🔍 **Code Review**: ${review.given} reviews given, ${review.requested} requests waiting`;
+        response += review.avgHoursToFirstReview !== null
+          ? `, first review after ${this.formatHours(review.avgHoursToFirstReview)} on average\n\n`
+          : `\n\n`;
+      }
+
+      if (teamData.github.repositories.length > 0) {
+        response += `💻 **Top Repositories**:\n`;
+        teamData.github.repositories.slice(0, 5).forEach(repo => {
+          response += `  • ${repo.name} - ${repo.commitCount} commits (${repo.contributors.join(', ')})\n`;
+        });
+        response += `\n`;
+      }
+    }
+
+    response += `👥 **Member Highlights**:\n`;
+    teamData.members.forEach(member => {
+      response += `  • ${this.describeMember(member)}\n`;
+    });
+
+    if (teamData.workPatterns.length > 0) {
+      response += `\n💡 **Notable Patterns**:\n`;
+      teamData.workPatterns.forEach(pattern => {
+        response += `  • ${pattern.description}\n`;
+      });
+    }
+
+    const truncation = this.describeTruncation(teamData.truncated);
+    if (truncation) {
+      response = `${response.trimEnd()}\n\n⚠️ **Partial results**: ${truncation}, so counts above are lower bounds.`;
+    }
+    if (failedMembers) {
+      response = `${response.trimEnd()}\n\n⚠️ **Missing members**: ${failedMembers}, so team totals leave them out.`;
+    }
+
+    return response.trimEnd();
+  }
+
+  /**
+   * Build the AI prompt for a period comparison
+   */
+  buildComparisonPrompt(query, comparison, userName) {
+    const { current, previous } = comparison;
+
+    let prompt = `Based on the following data, answer this question about ${userName}: "${query}"\n\n`;
+    prompt += `Current period: ${current.label} (${current.start} to ${current.end}, ${current.days} days)\n`;
+    prompt += `Earlier period: ${previous.label} (${previous.start} to ${previous.end}, ${previous.days} days)\n`;
+    if (!comparison.sameLength) {
+      prompt += `The periods differ in length, so percentages compare per-day rates.\n`;
+    }
+
+    prompt += `\nMetric: current vs earlier (change)\n`;
+    comparison.changes.forEach(change => {
+      prompt += `- ${change.label}: ${change.current} vs ${change.previous} (${this.describeChange(change)})\n`;
+    });
+
+    const { leadTime } = comparison;
+    if (leadTime.current !== null || leadTime.previous !== null) {
+      prompt += `- Average PR lead time (lower is better): ${this.formatLeadTime(leadTime.current)} vs ${this.formatLeadTime(leadTime.previous)}\n`;
     }
 
-    return response;
+    const statuses = this.describeStatuses(current.issuesByStatus);
+    if (statuses) {
+      prompt += `\nIssues worked on in the current period, by status: ${statuses}\n`;
+    }
+
+    if (current.truncated || previous.truncated) {
+      prompt += `\nIncomplete data: some days hit the pagination limit. Treat those counts as minimums and say so.\n`;
+    }
+    if (current.failed || previous.failed) {
+      prompt += `\nIncomplete data: some sources could not be fetched, so some counts are missing. Say so, and don't read a drop as a trend.\n`;
+    }
+
+    prompt += `\nSay whether their activity and throughput (merged PRs, resolved issues) are rising, falling or steady, `;
+    prompt += `point out the biggest changes, and avoid judging the person: fewer items can mean bigger work.`;
+
+    return prompt;
+  }
+
+  /**
+   * Template comparison (fallback)
+   */
+  generateComparisonTemplateResponse(comparison, userName) {
+    const { current, previous, changes, leadTime } = comparison;
+    const total = change => change.current + change.previous;
+
+    if (changes.every(change => total(change) === 0)) {
+      if (current.failed || previous.failed) {
+        return `⚠️ I couldn't load all of ${userName}'s JIRA and GitHub activity for ${current.label} and ${previous.label}, so I can't compare them right now. Try again later.`;
+      }
+      return `I couldn't find any activity for ${userName} in ${current.label} or ${previous.label}, so there's nothing to compare.`;
+    }
+
+    const trendLine = {
+      up: `${userName}'s activity is up`,
+      down: `${userName}'s activity is down`,
+      flat: `${userName}'s activity is holding steady`
+    }[comparison.trend];
+
+    let response = `📈 **${current.label} vs ${previous.label}**: ${trendLine}`;
+    const activity = changes.find(change => change.key === 'activityScore');
+    response += activity.percent !== null && activity.direction !== 'flat' ? ` (${this.describeChange(activity)}).\n\n` : `.\n\n`;
+
+    changes
+      .filter(change => change.key !== 'activityScore' && total(change) > 0)
+      .forEach(change => {
+        response += `  • ${change.label}: ${change.current} vs ${change.previous} ${TREND_ICONS[change.direction]} ${this.describeChange(change)}\n`;
+      });
+
+    if (leadTime.current !== null && leadTime.previous !== null) {
+      const faster = { up: 'slower', down: 'faster', flat: 'about the same' }[leadTime.direction];
+      response += `  • PR lead time: ${this.formatLeadTime(leadTime.current)} vs ${this.formatLeadTime(leadTime.previous)} (${faster})\n`;
+    }
+
+    const statuses = this.describeStatuses(current.issuesByStatus);
+    if (statuses) {
+      response += `\n📋 **Issues worked on ${current.label}**: ${statuses}\n`;
+    }
+
+    if (!comparison.sameLength) {
+      response += `\n_Changes compare per-day rates, since ${current.label} covers ${current.days} days and ${previous.label} ${previous.days}._`;
+    }
+
+    if (current.truncated || previous.truncated) {
+      response = `${response.trimEnd()}\n\n⚠️ **Partial results**: some days hit the pagination limit, so those counts are lower bounds.`;
+    }
+    if (current.failed || previous.failed) {
+      response = `${response.trimEnd()}\n\n⚠️ **Partial results**: some JIRA or GitHub data couldn't be loaded, so part of this change may not be real. Try again later.`;
+    }
+
+    return response.trimEnd();
+  }
+
+  /**
+   * "up 35%", "down 20%", "about the same", or "new" when there was none before
+   */
+  describeChange(change) {
+    if (change.percent === null) return change.current > 0 ? 'new this period' : 'none in either period';
+    if (change.direction === 'flat') return 'about the same';
+    return change.percent > 0 ? `up ${change.percent}%` : `down ${Math.abs(change.percent)}%`;
+  }
+
+  formatLeadTime(hours) {
+    return hours === null ? 'n/a' : this.formatHours(hours);
+  }
+
+  /**
+   * "In Progress 4, Done 3", most common first
+   */
+  describeStatuses(byStatus = {}) {
+    return Object.entries(byStatus)
+      .sort((a, b) => b[1] - a[1])
+      .map(([status, count]) => `${status} ${count}`)
+      .join(', ');
+  }
+
+  /**
+   * One-line summary of a team member's highlights
+   */
+  describeMember(member) {
+    if (member.error) {
+      return `${member.name}: couldn't be loaded (${member.error})`;
+    }
+    if (member.ambiguous) {
+      return `${member.name}: matches several people - pin jiraAccountId / githubLogin in the team roster`;
+    }
+    if (!member.found) {
+      return `${member.name}: not found in JIRA or GitHub`;
+    }
+
+    const counts = [];
+    if (member.openIssues > 0) counts.push(`${member.openIssues} open issues`);
+    if (member.pullRequests > 0) counts.push(`${member.pullRequests} open PRs`);
+    if (member.merged > 0) counts.push(`${member.merged} merged`);
+    if (member.commits > 0) counts.push(`${member.commits} commits`);
+    if (member.reviews > 0) counts.push(`${member.reviews} reviews`);
+    if (member.reviewRequests > 0) counts.push(`${member.reviewRequests} reviews pending`);
+
+    let line = `${member.name}: ${counts.length > 0 ? counts.join(', ') : 'no recent activity'}`;
+    if (member.topIssue) {
+      line += ` - focused on ${member.topIssue.key} (${member.topIssue.summary})`;
+    } else if (member.topRepository) {
+      line += ` - mostly in ${member.topRepository}`;
+    }
+    return line;
+  }
+
+  /**
+   * Opening line of a template response for the given intent
+   */
+  templateHeading(intent, userName, period = 'recent') {
+    const when = this.periodSuffix(period);
+
+    switch (intent) {
+      case 'pull_requests':
+        return `Here are ${userName}'s pull requests${when}:`;
+      case 'shipped':
+        return `Here's what ${userName} shipped${when}:`;
+      case 'commits':
+        return `Here are ${userName}'s commits${when}:`;
+      case 'repositories':
+        return `Here's where ${userName} has been committing${when}:`;
+      case 'jira_issues':
+        return `Here are ${userName}'s JIRA tickets:`;
+      case 'reviews':
+        return `Here's ${userName}'s code review work${when}:`;
+      default:
+        return `Here's what ${userName} has been working on${when}:`;
+    }
+  }
+
+  /**
+   * "only the first 300 of 1240 commits were fetched", or null when nothing was cut off
+   */
+  describeTruncation(truncated = []) {
+    if (!truncated || truncated.length === 0) return null;
+
+    const labels = {
+      issues: 'assigned JIRA issues',
+      recentActivity: 'recently updated JIRA issues',
+      commits: 'commits',
+      pullRequests: 'open pull requests',
+      closedPullRequests: 'merged/closed pull requests',
+      reviews: 'reviewed pull requests',
+      reviewRequests: 'review requests'
+    };
+
+    const parts = truncated.map(entry => {
+      const of = entry.total ? ` of ${entry.total}` : '';
+      const who = entry.member ? ` for ${entry.member}` : '';
+      return `${entry.fetched}${of} ${labels[entry.source] || entry.source}${who}`;
+    });
+
+    return `only the first ${parts.join(', ')} were fetched`;
+  }
+
+  /**
+   * "couldn't load data for Sarah, Mike", or null when every member loaded
+   */
+  describeFailedMembers(failedMembers = []) {
+    if (!failedMembers || failedMembers.length === 0) return null;
+    return `couldn't load data for ${failedMembers.map(member => member.name).join(', ')}`;
+  }
+
+  /**
+   * Human-readable project / repository filters, or null when unfiltered
+   */
+  describeFilters(scope) {
+    const parts = [];
+    if (scope.filters?.project) parts.push(`project ${scope.filters.project}`);
+    if (scope.filters?.repository) parts.push(`repository ${scope.filters.repository}`);
+    return parts.length > 0 ? parts.join(' and ') : null;
+  }
+
+  /**
+   * "the acme organization, excluding acme/sandbox", or null when GitHub
+   * wasn't queried or isn't scoped
+   */
+  describeGitHubScope(scope) {
+    const githubScope = scope.github ? scope.githubScope : null;
+    if (!githubScope) return null;
+
+    const { organizations = [], include = [], exclude = [] } = githubScope;
+    const parts = [];
+    if (organizations.length === 1) parts.push(`the ${organizations[0]} organization`);
+    if (organizations.length > 1) parts.push(`the ${organizations.join(', ')} organizations`);
+    if (include.length > 0) parts.push(`${parts.length > 0 ? 'only ' : ''}repositories ${include.join(', ')}`);
+    if (exclude.length > 0) parts.push(`${parts.length > 0 ? 'excluding' : 'all repositories except'} ${exclude.join(', ')}`);
+
+    return parts.join(', ');
+  }
+
+  /**
+   * " (last week)" style suffix; vague defaults read better left out
+   */
+  periodSuffix(period) {
+    return period && period !== 'recent' && period !== 'recently' ? ` (${period})` : '';
+  }
+
+  /**
+   * Human-readable list of the platforms that were queried
+   */
+  describePlatforms(scope) {
+    if (scope.jira && scope.github) return 'JIRA or GitHub';
+    return scope.jira ? 'JIRA' : 'GitHub';
   }
 
   /**
@@ -229,10 +986,22 @@ class ResponseGenerator {
       return `I couldn't find "${userName}" in JIRA or GitHub. Please check the spelling or try a different name.`;
     }
     
+    if (error.type === 'AMBIGUOUS_USER') {
+      return `I found several people matching "${userName}". Which one did you mean?`;
+    }
+
+    if (error.type === 'TEAM_NOT_FOUND') {
+      return `I don't know a team called "${error.teamName}". Add it to the teams section of your config to ask about it.`;
+    }
+
     if (error.type === 'NO_ACTIVITY') {
       return `${userName} doesn't have any recent activity to show. They might be on vacation or working on something else.`;
     }
 
+    if (error.type === 'API_ERROR' && error.retryable === false) {
+      return `I couldn't fetch ${error.platform} data: ${error.message.replace(/\.$/, '')}. The integration needs fixing, so retrying won't help yet.`;
+    }
+
     if (error.type === 'API_ERROR') {
       return `I encountered an issue fetching data: ${error.message}. Please try again in a moment.`;
     }
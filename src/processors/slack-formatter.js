@@ -0,0 +1,144 @@
+import { toSlackMarkdown, escapeSlack } from '../utils/slack.js';
+
+// Items listed per section before "…and N more"
+const MAX_ITEMS = 8;
+
+// Slack rejects section text longer than this
+const MAX_SECTION_LENGTH = 3000;
+
+/**
+ * Slack Formatter
+ *
+ * Turns an /api/query answer into a Block Kit message: a header, then one
+ * section each for issues, pull requests, commits and linked work, built
+ * from the structured data rather than the Markdown reply.
+ *
+ * Creative solutions:
+ * - Keeps the AI's narrative as a summary section when there is one
+ * - Links every issue, PR and commit, and says who owns it in team answers
+ * - Caps long lists and section lengths to stay inside Slack's limits
+ * - Falls back to the plain reply for errors and questions to pick a person
+ */
+class SlackFormatter {
+  constructor(responseGenerator) {
+    this.responseGenerator = responseGenerator;
+  }
+
+  /**
+   * { text, blocks } for chat.postMessage or a response_url
+   * `text` is the notification / accessibility fallback
+   */
+  format(body) {
+    const reply = body.response || body.message || 'Something went wrong answering that.';
+    const text = toSlackMarkdown(reply);
+
+    if (!body.data || body.error) {
+      return { text, blocks: [this.section(text)] };
+    }
+
+    const data = body.data;
+    const team = !!data.team;
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: this.title(body).slice(0, 150), emoji: true }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: this.describeMetrics(data) }]
+      }
+    ];
+
+    // Template replies repeat what the sections below show; AI ones don't
+    if (this.responseGenerator.useAI) {
+      blocks.push(this.section(text));
+    }
+
+    const sections = [
+      this.listSection('📋 Issues', data.jira.activeIssues, issue =>
+        `${this.link(issue.url, issue.key)} ${escapeSlack(issue.summary)} · ${escapeSlack(issue.status)} (${escapeSlack(issue.priority)})${this.owner(issue.assignee, team)}`
+      ),
+      this.listSection('🔀 Open pull requests', data.github.pullRequests, pr =>
+        `${this.link(pr.url, pr.title)} · ${escapeSlack(pr.repository)} · ${escapeSlack(this.responseGenerator.describeReviewWait(pr))}${this.owner(pr.author, team)}`
+      ),
+      this.listSection('✅ Merged pull requests', data.github.closedPullRequests.filter(pr => pr.mergedAt), pr =>
+        `${this.link(pr.url, pr.title)} · ${escapeSlack(pr.repository)} · ${escapeSlack(this.responseGenerator.describeMergedPullRequest(pr))}${this.owner(pr.author, team)}`
+      ),
+      this.listSection('💻 Commits', data.github.commits, commit =>
+        `${this.link(commit.url, commit.sha)} ${escapeSlack(commit.message)} · ${escapeSlack(commit.repository)}${this.owner(commit.member, team)}`
+      ),
+      this.listSection('🔗 Linked work', data.linked, ({ commit, ticket }) =>
+        `${this.link(commit.url, commit.sha)} → ${this.link(ticket.url, ticket.key)} ${escapeSlack(ticket.summary || '')} · ${escapeSlack(ticket.status || '')}`
+      )
+    ].filter(Boolean);
+
+    sections.forEach(section => blocks.push({ type: 'divider' }, section));
+
+    const truncation = this.responseGenerator.describeTruncation(data.truncated);
+    const failedMembers = this.responseGenerator.describeFailedMembers(data.failedMembers);
+    const githubScope = data.scope ? this.responseGenerator.describeGitHubScope(data.scope) : null;
+    const notes = [
+      truncation && `⚠️ Partial results: ${truncation}, so counts are lower bounds`,
+      failedMembers && `⚠️ Missing members: ${failedMembers}`,
+      githubScope && `🏢 GitHub searched within ${githubScope}`
+    ].filter(Boolean);
+    if (notes.length > 0) {
+      blocks.push({
+        type: 'context',
+        elements: notes.map(note => ({ type: 'mrkdwn', text: escapeSlack(note) }))
+      });
+    }
+
+    return { text, blocks };
+  }
+
+  /**
+   * "Sarah Chen · this week" or "Payments team · last 7 days"
+   */
+  title(body) {
+    const who = body.team?.name
+      ? `${body.team.name} team`
+      : body.users?.jira?.name || body.users?.github?.name || body.parsed?.name || 'Activity';
+    return `${who} · ${body.data.metrics?.timeframe || 'recent'}`;
+  }
+
+  describeMetrics(data) {
+    const metrics = data.metrics || {};
+    const parts = [`Activity: *${metrics.activityLevel || 'unknown'}*`, `${metrics.totalItems || 0} items`];
+    if (metrics.activeMembers !== undefined) {
+      parts.push(`${metrics.activeMembers}/${data.team.memberCount} members active`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * A titled bullet list, or null when there's nothing to list
+   */
+  listSection(title, items = [], describe) {
+    if (!items || items.length === 0) return null;
+
+    const lines = items.slice(0, MAX_ITEMS).map(item => `• ${describe(item)}`);
+    if (items.length > MAX_ITEMS) {
+      lines.push(`_…and ${items.length - MAX_ITEMS} more_`);
+    }
+
+    return this.section(`*${title}* (${items.length})\n${lines.join('\n')}`);
+  }
+
+  section(text) {
+    const clipped = text.length > MAX_SECTION_LENGTH ? `${text.slice(0, MAX_SECTION_LENGTH - 1)}…` : text;
+    return { type: 'section', text: { type: 'mrkdwn', text: clipped } };
+  }
+
+  link(url, label) {
+    const text = escapeSlack(String(label)).replace(/\|/g, '∣');
+    return url ? `<${url}|${text}>` : text;
+  }
+
+  // Team answers say whose item it is
+  owner(name, team) {
+    return team && name ? ` · _${escapeSlack(name)}_` : '';
+  }
+}
+
+export default SlackFormatter;
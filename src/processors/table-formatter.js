@@ -0,0 +1,121 @@
+// Longest a cell gets before it's cut with "…"
+const MAX_CELL_WIDTH = 60;
+
+/**
+ * Table Formatter
+ *
+ * Turns an /api/query answer into plain-text tables for a terminal: a
+ * title and metrics line, then one table each for issues, pull requests
+ * and commits (and members, for team answers).
+ *
+ * Creative solutions:
+ * - Sizes every column to its widest cell, capped so long titles don't wrap
+ * - Adds an owner column to team answers instead of a table per member
+ * - Falls back to the plain reply for errors and questions to pick a person
+ */
+class TableFormatter {
+  constructor(responseGenerator) {
+    this.responseGenerator = responseGenerator;
+  }
+
+  format(body) {
+    const reply = body.response || body.message || (typeof body.error === 'string' ? body.error : 'Something went wrong answering that.');
+
+    if (!body.data || body.error) {
+      return reply;
+    }
+
+    const data = body.data;
+    const team = !!data.team;
+    const owner = name => (team ? [name || ''] : []);
+    const ownerHeader = label => (team ? [label] : []);
+
+    const parts = [this.title(body), this.describeMetrics(data)];
+
+    if (team) {
+      parts.push(this.table('Members', ['NAME', 'ACTIVITY', 'ITEMS', 'ISSUES', 'PRS', 'MERGED', 'COMMITS', 'REVIEWS'],
+        data.members.map(member => member.found
+          ? [member.name, member.activityLevel, member.totalItems, member.openIssues, member.pullRequests, member.merged, member.commits, member.reviews]
+          : [member.name, this.missingReason(member), '', '', '', '', '', ''])
+      ));
+    }
+
+    parts.push(
+      this.table('Issues', ['KEY', 'STATUS', 'PRIORITY', 'SUMMARY', ...ownerHeader('ASSIGNEE')],
+        data.jira.activeIssues.map(issue => [issue.key, issue.status, issue.priority, issue.summary, ...owner(issue.assignee)])
+      ),
+      this.table('Open pull requests', ['REPOSITORY', 'TITLE', 'REVIEW', ...ownerHeader('AUTHOR')],
+        data.github.pullRequests.map(pr => [pr.repository, pr.title, this.responseGenerator.describeReviewWait(pr), ...owner(pr.author)])
+      ),
+      this.table('Merged pull requests', ['REPOSITORY', 'TITLE', 'MERGED', ...ownerHeader('AUTHOR')],
+        data.github.closedPullRequests.filter(pr => pr.mergedAt).map(pr =>
+          [pr.repository, pr.title, this.responseGenerator.describeMergedPullRequest(pr), ...owner(pr.author)]
+        )
+      ),
+      this.table('Commits', ['SHA', 'DATE', 'REPOSITORY', 'MESSAGE', ...ownerHeader('AUTHOR')],
+        data.github.commits.map(commit => [commit.sha, (commit.date || '').slice(0, 10), commit.repository, (commit.message || '').split('\n')[0], ...owner(commit.member)])
+      )
+    );
+
+    const truncation = this.responseGenerator.describeTruncation(data.truncated);
+    if (truncation) {
+      parts.push(`Partial results: ${truncation}, so counts are lower bounds`);
+    }
+    const failedMembers = this.responseGenerator.describeFailedMembers(data.failedMembers);
+    if (failedMembers) {
+      parts.push(`Missing members: ${failedMembers}`);
+    }
+
+    return parts.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * "Sarah Chen · this week" or "Payments team · last 7 days"
+   */
+  title(body) {
+    const who = body.team?.name
+      ? `${body.team.name} team`
+      : body.users?.jira?.name || body.users?.github?.name || body.parsed?.name || 'Activity';
+    return `${who} · ${body.data.metrics?.timeframe || 'recent'}`;
+  }
+
+  describeMetrics(data) {
+    const metrics = data.metrics || {};
+    const parts = [`Activity: ${metrics.activityLevel || 'unknown'}`, `${metrics.totalItems || 0} items`];
+    if (metrics.activeMembers !== undefined) {
+      parts.push(`${metrics.activeMembers}/${data.team.memberCount} members active`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Why a team member has no row of numbers
+   */
+  missingReason(member) {
+    if (member.error) return 'failed';
+    if (member.ambiguous) return 'ambiguous';
+    return 'not found';
+  }
+
+  /**
+   * A titled, column-aligned table, or null when there are no rows
+   */
+  table(title, headers, rows = []) {
+    if (rows.length === 0) return null;
+
+    const cells = [headers, ...rows].map(row => row.map(cell => this.cell(cell)));
+    const widths = headers.map((header, column) => Math.max(...cells.map(row => row[column].length)));
+    const lines = cells.map(row =>
+      row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join('  ')
+    );
+
+    return `${title} (${rows.length})\n${lines.join('\n')}`;
+  }
+
+  cell(value) {
+    const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+  }
+}
+
+export default TableFormatter;
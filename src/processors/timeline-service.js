@@ -0,0 +1,215 @@
+import { formatDate, isWithinRange, lastNDays } from '../utils/date-range.js';
+import { UserNotFoundError, TeamNotFoundError } from '../utils/errors.js';
+
+// Event types, in the order filters and counts list them
+export const TIMELINE_TYPES = ['transition', 'commit', 'pr_opened', 'pr_merged', 'review'];
+
+// Data sources each event type is built from
+const TYPE_SOURCES = {
+  transition: ['transitions'],
+  commit: ['commits'],
+  pr_opened: ['pullRequests', 'closedPullRequests'],
+  pr_merged: ['closedPullRequests'],
+  review: ['reviews']
+};
+
+/**
+ * Timeline Service
+ *
+ * Merges a person's (or a team's) issue transitions, commits, PR opens and
+ * merges and reviews into one chronological event stream, grouped by day.
+ *
+ * Creative solutions:
+ * - Fetches only the sources the requested event types need, so a
+ *   commits-only timeline never looks the person up in JIRA
+ * - PRs opened in the range come from both open and closed PRs, so a PR
+ *   opened and merged the same week shows up twice: opened, then merged
+ * - Days are local calendar days, like every other date range in the app
+ * - Team timelines tag each event with the member it belongs to
+ */
+class TimelineService {
+  constructor({ teams = {}, cache, activityFetcher }) {
+    this.teams = teams;
+    this.cache = cache;
+    this.activityFetcher = activityFetcher;
+  }
+
+  /**
+   * The timeline for `person` or `team`, bypassing cached reads when `refresh` is set
+   * Options: { person, team, dateRange, types, project, repository, platform, refresh }
+   * Throws UserNotFoundError / AmbiguousUserError / TeamNotFoundError
+   */
+  timeline(options = {}) {
+    const build = () => this.build(options);
+    return options.refresh === true ? this.cache.withRefresh(build) : build();
+  }
+
+  async build({ person = null, team = null, dateRange = null, types = TIMELINE_TYPES, project = null, repository = null, platform = 'both' }) {
+    const range = dateRange || lastNDays(7);
+    const plan = this.plan({ types, project, repository, platform });
+
+    const members = team
+      ? await this.fetchTeam(team, plan, range)
+      : [await this.fetchPerson(person, plan, range)];
+
+    const wanted = new Set(types);
+    const events = members
+      .flatMap(member => this.eventsOf(member.jiraData, member.githubData, team ? member.name : null))
+      .filter(event => wanted.has(event.type) && isWithinRange(event.at, range))
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    const counts = {};
+    TIMELINE_TYPES.forEach(type => {
+      counts[type] = events.filter(event => event.type === type).length;
+    });
+
+    return {
+      person: team ? null : members[0].name,
+      team: team ? { key: team, name: this.teams[team].name || team } : null,
+      dateRange: range,
+      filters: { types: TIMELINE_TYPES.filter(type => wanted.has(type)), project, repository, platform },
+      counts,
+      total: events.length,
+      days: this.groupByDay(events),
+      // Members the roster names but no platform knows (or several people match)
+      unresolved: members.filter(member => member.unresolved).map(member => member.name),
+      // Members whose lookup or fetch failed, as { name, error }
+      failedMembers: members.filter(member => member.error).map(member => ({ name: member.name, error: member.error })),
+      truncated: members.flatMap(member => [
+        ...(member.jiraData?.truncated || []),
+        ...(member.githubData?.truncated || [])
+      ].map(entry => (team ? { ...entry, member: member.name } : entry)))
+    };
+  }
+
+  async fetchPerson(name, plan, range) {
+    const users = await this.activityFetcher.resolveUsers(name, plan);
+    if (!users.jiraUser && !users.githubUser) {
+      throw new UserNotFoundError(name);
+    }
+
+    const { jiraData, githubData } = await this.activityFetcher.fetchActivity(users, plan, range);
+    return {
+      name: users.identity?.displayName || users.jiraUser?.displayName || users.githubUser?.name || name,
+      jiraData,
+      githubData
+    };
+  }
+
+  async fetchTeam(key, plan, range) {
+    const teamConfig = this.teams?.[key];
+    if (!teamConfig) {
+      throw new TeamNotFoundError(key);
+    }
+
+    const results = await this.activityFetcher.fetchTeamActivity({ key, ...teamConfig }, plan, range);
+    return results.map(result => ({
+      name: result.member.name,
+      jiraData: result.jiraData,
+      githubData: result.githubData,
+      error: result.error || null,
+      unresolved: !result.error && !result.jiraData && !result.githubData
+    }));
+  }
+
+  /**
+   * Fetch plan covering just the sources the event types need, on the
+   * platforms the caller allows
+   */
+  plan({ types, project, repository, platform }) {
+    const plan = this.activityFetcher.planSources({ platform, filters: { project, repository } });
+    const wanted = new Set(types.flatMap(type => TYPE_SOURCES[type]));
+
+    const sources = {};
+    Object.keys(plan.sources).forEach(source => {
+      const platformWanted = this.activityFetcher.platformOf(source) === 'jira' ? plan.jira : plan.github;
+      sources[source] = wanted.has(source) && platformWanted;
+    });
+
+    const onPlatform = name => Object.keys(sources).some(source => sources[source] && this.activityFetcher.platformOf(source) === name);
+    return { ...plan, sources, jira: onPlatform('jira'), github: onPlatform('github') };
+  }
+
+  /**
+   * One event per transition, commit, PR opened, PR merged and review
+   * Events are { type, at, title, ref, url, detail, project, repository, member }
+   */
+  eventsOf(jiraData, githubData, member = null) {
+    if (!jiraData && !githubData) return [];
+
+    const event = fields => ({ project: null, repository: null, detail: null, member, ...fields });
+    const events = [];
+
+    (jiraData?.transitions || []).forEach(transition => events.push(event({
+      type: 'transition',
+      at: transition.at,
+      ref: transition.key,
+      title: transition.summary,
+      url: transition.url,
+      detail: `${transition.from || 'Created'} → ${transition.to}`,
+      project: transition.project || null
+    })));
+
+    (githubData?.commits || []).forEach(commit => events.push(event({
+      type: 'commit',
+      at: commit.date,
+      ref: commit.sha,
+      title: commit.message,
+      url: commit.url,
+      repository: commit.repository
+    })));
+
+    // Open PRs aren't limited to the range; the range filter drops the older ones
+    const opened = new Map();
+    [...(githubData?.pullRequests || []), ...(githubData?.closedPullRequests || [])]
+      .forEach(pr => opened.set(pr.url, pr));
+    opened.forEach(pr => events.push(event({
+      type: 'pr_opened',
+      at: pr.created,
+      ref: `${pr.repository}#${pr.number}`,
+      title: pr.title,
+      url: pr.url,
+      repository: pr.repository
+    })));
+
+    (githubData?.closedPullRequests || [])
+      .filter(pr => pr.mergedAt)
+      .forEach(pr => events.push(event({
+        type: 'pr_merged',
+        at: pr.mergedAt,
+        ref: `${pr.repository}#${pr.number}`,
+        title: pr.title,
+        url: pr.url,
+        detail: pr.baseBranch ? `into ${pr.baseBranch}` : null,
+        repository: pr.repository
+      })));
+
+    (githubData?.reviews || []).forEach(review => events.push(event({
+      type: 'review',
+      at: review.submittedAt,
+      ref: `${review.repository}#${review.number}`,
+      title: review.title,
+      url: review.url,
+      detail: `${(review.latestState || 'reviewed').toLowerCase().replace(/_/g, ' ')} · by ${review.author}`,
+      repository: review.repository
+    })));
+
+    return events.filter(item => item.at);
+  }
+
+  /**
+   * [{ date, events }] for days with at least one event, oldest first
+   */
+  groupByDay(events) {
+    const days = new Map();
+    events.forEach(event => {
+      const date = formatDate(new Date(event.at));
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(event);
+    });
+
+    return [...days].map(([date, dayEvents]) => ({ date, events: dayEvents }));
+  }
+}
+
+export default TimelineService;
@@ -0,0 +1,184 @@
+import { createDateRange, eachDay, formatDate, parseDate } from '../utils/date-range.js';
+
+// Counts compared between periods, in the order they're reported
+export const TREND_METRICS = [
+  { key: 'activityScore', label: 'Activity score' },
+  { key: 'merged', label: 'Merged PRs' },
+  { key: 'pullRequestsOpened', label: 'PRs opened' },
+  { key: 'commits', label: 'Commits' },
+  { key: 'reviews', label: 'Reviews given' },
+  { key: 'issuesUpdated', label: 'Issues worked on' },
+  { key: 'issuesResolved', label: 'Issues resolved' }
+];
+
+// Issue statuses that mean the work is finished
+const RESOLVED_STATUSES = ['done', 'closed', 'resolved', 'released', 'complete', 'completed'];
+
+// Per-day changes smaller than this (10%) read as holding steady
+const FLAT_THRESHOLD = 0.1;
+
+/**
+ * Trend Analyzer
+ *
+ * Turns fetched activity into daily snapshots, adds snapshots up over a
+ * period and compares two periods metric by metric.
+ *
+ * Creative solutions:
+ * - Each day goes through the DataEnricher, so snapshots count things
+ *   the same way live answers do
+ * - Compares per-day rates, so "this month so far" vs "last month" is fair
+ * - Keeps lead time separate, since there a drop is the good direction
+ */
+class TrendAnalyzer {
+  constructor(dataEnricher) {
+    this.dataEnricher = dataEnricher;
+  }
+
+  /**
+   * One snapshot per day of the range from activity fetched for all of it
+   * Issues count on the day they were last updated, PRs on the day they
+   * were opened / merged, commits and reviews on the day they happened
+   */
+  dailySnapshots(jiraData, githubData, range) {
+    const days = new Map(eachDay(range).map(date => [date, {
+      issues: [], commits: [], pullRequests: [], closedPullRequests: [], reviews: [], opened: []
+    }]));
+
+    const put = (bucket, item, timestamp) => {
+      const day = timestamp ? days.get(formatDate(new Date(timestamp))) : null;
+      if (day) day[bucket].push(item);
+    };
+
+    (jiraData.recentActivity || []).forEach(issue => put('issues', issue, issue.updated));
+    (githubData.commits || []).forEach(commit => put('commits', commit, commit.date));
+    (githubData.pullRequests || []).forEach(pr => put('pullRequests', pr, pr.created));
+    (githubData.closedPullRequests || []).forEach(pr => put('closedPullRequests', pr, pr.mergedAt || pr.closedAt));
+    (githubData.reviews || []).forEach(review => put('reviews', review, review.submittedAt));
+    [...(githubData.pullRequests || []), ...(githubData.closedPullRequests || [])]
+      .forEach(pr => put('opened', pr, pr.created));
+
+    // A source cut off by pagination makes every day a lower bound; one
+    // that failed makes them unreliable, and they must not be stored
+    const truncated = (jiraData.truncated || []).length + (githubData.truncated || []).length > 0;
+    const failed = (jiraData.failed || []).length + (githubData.failed || []).length > 0;
+
+    return [...days].map(([date, day]) => {
+      const enriched = this.dataEnricher.enrich(
+        { issues: day.issues, recentActivity: day.issues },
+        { commits: day.commits, pullRequests: day.pullRequests, closedPullRequests: day.closedPullRequests, reviews: day.reviews },
+        createDateRange(parseDate(date), parseDate(date), date)
+      );
+      return { date, ...this.snapshotOf(enriched, day), truncated, failed };
+    });
+  }
+
+  /**
+   * The parts of a day's enriched data worth keeping
+   */
+  snapshotOf(enriched, day) {
+    const { metrics, jira, github } = enriched;
+    const leadTimes = github.closedPullRequests
+      .filter(pr => pr.mergedAt && typeof pr.leadTimeHours === 'number')
+      .map(pr => pr.leadTimeHours);
+
+    return {
+      activityScore: metrics.activityScore,
+      totalItems: metrics.totalItems,
+      commits: github.summary.commitCount,
+      pullRequestsOpened: day.opened.length,
+      merged: github.summary.mergedCount,
+      closedUnmerged: github.summary.closedUnmergedCount,
+      reviews: github.summary.reviewCount,
+      reviewComments: github.summary.reviewCommentCount,
+      issuesUpdated: jira.summary.count,
+      issuesResolved: jira.activeIssues.filter(issue => RESOLVED_STATUSES.includes((issue.status || '').toLowerCase())).length,
+      issuesByStatus: jira.summary.byStatus,
+      additions: metrics.delivery.additions,
+      deletions: metrics.delivery.deletions,
+      leadTimeHours: leadTimes.reduce((sum, hours) => sum + hours, 0),
+      leadTimeCount: leadTimes.length
+    };
+  }
+
+  /**
+   * Add up a period's daily snapshots
+   */
+  summarize(snapshots, range) {
+    const totals = {};
+    TREND_METRICS.forEach(({ key }) => {
+      totals[key] = snapshots.reduce((sum, snapshot) => sum + (snapshot[key] || 0), 0);
+    });
+    ['additions', 'deletions', 'reviewComments'].forEach(key => {
+      totals[key] = snapshots.reduce((sum, snapshot) => sum + (snapshot[key] || 0), 0);
+    });
+
+    const issuesByStatus = {};
+    snapshots.forEach(snapshot => {
+      Object.entries(snapshot.issuesByStatus || {}).forEach(([status, count]) => {
+        issuesByStatus[status] = (issuesByStatus[status] || 0) + count;
+      });
+    });
+
+    const leadTimeCount = snapshots.reduce((sum, snapshot) => sum + (snapshot.leadTimeCount || 0), 0);
+    const leadTimeHours = snapshots.reduce((sum, snapshot) => sum + (snapshot.leadTimeHours || 0), 0);
+
+    return {
+      label: range.label,
+      start: range.start,
+      end: range.end,
+      days: range.days,
+      totals,
+      issuesByStatus,
+      avgLeadTimeHours: leadTimeCount > 0 ? Math.round(leadTimeHours / leadTimeCount * 10) / 10 : null,
+      truncated: snapshots.some(snapshot => snapshot.truncated),
+      failed: snapshots.some(snapshot => snapshot.failed)
+    };
+  }
+
+  /**
+   * Metric-by-metric changes between two summarized periods
+   * `percent` is the change in the per-day rate, null when the earlier
+   * period had none to compare against
+   */
+  compare(current, previous) {
+    const changes = TREND_METRICS.map(({ key, label }) => {
+      const now = current.totals[key] / current.days;
+      const before = previous.totals[key] / previous.days;
+
+      return {
+        key,
+        label,
+        current: current.totals[key],
+        previous: previous.totals[key],
+        percent: before > 0 ? Math.round((now - before) / before * 100) : null,
+        direction: this.direction(now, before)
+      };
+    });
+
+    const leadTime = {
+      current: current.avgLeadTimeHours,
+      previous: previous.avgLeadTimeHours,
+      direction: current.avgLeadTimeHours !== null && previous.avgLeadTimeHours !== null
+        ? this.direction(current.avgLeadTimeHours, previous.avgLeadTimeHours)
+        : null
+    };
+
+    return {
+      current,
+      previous,
+      changes,
+      leadTime,
+      trend: changes.find(change => change.key === 'activityScore').direction,
+      sameLength: current.days === previous.days
+    };
+  }
+
+  direction(now, before) {
+    if (before === 0) return now > 0 ? 'up' : 'flat';
+    const change = (now - before) / before;
+    if (Math.abs(change) < FLAT_THRESHOLD) return 'flat';
+    return change > 0 ? 'up' : 'down';
+  }
+}
+
+export default TrendAnalyzer;
@@ -0,0 +1,18 @@
+import crypto from 'crypto';
+
+/**
+ * Middleware requiring `Authorization: Bearer <token>` when a token is configured
+ * Without one the routes stay open, for a server only its owner can reach
+ */
+export function requireAdminToken(token) {
+  return (req, res, next) => {
+    if (!token) return next();
+
+    const given = Buffer.from(req.get('Authorization')?.replace(/^Bearer\s+/i, '') || '');
+    const expected = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+  };
+}
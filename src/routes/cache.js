@@ -0,0 +1,85 @@
+import express from 'express';
+import { handleError } from '../utils/errors.js';
+import { requireAdminToken } from './admin-auth.js';
+
+/**
+ * Cache administration endpoints
+ *
+ * GET    /api/admin/cache        - list entries (?prefix=github:commits:)
+ * GET    /api/admin/cache/entry  - one entry with its value (?key=...)
+ * DELETE /api/admin/cache        - purge entries (?prefix=..., or everything)
+ * DELETE /api/admin/cache/entry  - remove one entry (?key=...)
+ *
+ * Keys are namespaced by client ("github:", "jira:", "gitlab:", ...), so a
+ * prefix can drop one platform, one resource or one person's entries.
+ * When `token` is set, requests need `Authorization: Bearer <token>`.
+ */
+export function createCacheRouter({ cache, token = null }) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(token));
+
+  const sendError = (res, error) => {
+    console.error('Cache admin error:', error);
+    res.status(500).json({ error: handleError(error) });
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      const entries = await cache.entries(stringParam(req.query.prefix));
+      res.json({
+        backend: cache.backend,
+        count: entries.length,
+        size: entries.reduce((total, entry) => total + entry.size, 0),
+        entries
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Keys contain slashes and colons, so they travel as a query parameter
+  router.get('/entry', async (req, res) => {
+    try {
+      const key = stringParam(req.query.key);
+      const entry = key ? await cache.inspect(key) : null;
+      if (!entry) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+      }
+      res.json({ entry });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/', async (req, res) => {
+    try {
+      const prefix = stringParam(req.query.prefix);
+      const purged = await cache.purge(prefix);
+      console.log(`Purged ${purged} cache entries${prefix ? ` under "${prefix}"` : ''}`);
+      res.json({ purged });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/entry', async (req, res) => {
+    try {
+      const key = stringParam(req.query.key);
+      if (!key) {
+        return res.status(400).json({ error: 'Provide the entry to remove as ?key=' });
+      }
+      await cache.delete(key);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+// Repeated query parameters arrive as arrays; only a single string counts
+function stringParam(value) {
+  return typeof value === 'string' ? value : '';
+}
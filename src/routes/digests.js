@@ -0,0 +1,115 @@
+import express from 'express';
+import { ValidationError, handleError } from '../utils/errors.js';
+import { requireAdminToken } from './admin-auth.js';
+
+/**
+ * Scheduled digest endpoints
+ *
+ * GET    /api/digests           - list digests, with when each runs next
+ * GET    /api/digests/outbox    - messages "sent" by the mock transport
+ * GET    /api/digests/:id       - fetch one digest
+ * POST   /api/digests           - create a digest
+ * PUT    /api/digests/:id       - update a digest (set a field to null to clear it)
+ * DELETE /api/digests/:id       - delete a digest and its history
+ * POST   /api/digests/:id/run   - run a digest now
+ * GET    /api/digests/:id/runs  - run history, newest first (?limit=)
+ *
+ * Digests send data to outside services, so they sit behind the admin
+ * token when one is configured. Responses redact webhook URLs and header
+ * values, so a PUT that changes `delivery` must send it in full.
+ */
+export function createDigestRouter({ digestStore, digestScheduler, token = null }) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(token));
+
+  // Validation problems are the caller's fault, everything else is ours
+  const sendError = (res, error) => {
+    const status = error instanceof ValidationError ? 400 : 500;
+    if (status === 500) {
+      console.error('Digest error:', error);
+    }
+    res.status(status).json({ error: handleError(error) });
+  };
+
+  const notFound = res => res.status(404).json({ error: { type: 'NOT_FOUND', message: 'Digest not found' } });
+
+  router.get('/', async (req, res) => {
+    try {
+      const digests = await digestStore.list();
+      res.json({ digests: digests.map(digest => digestScheduler.describe(digest)) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Registered before /:id so "outbox" isn't read as an id
+  router.get('/outbox', (req, res) => {
+    res.json({ messages: [...digestScheduler.outbox].reverse() });
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const digest = await digestStore.get(req.params.id);
+      if (!digest) return notFound(res);
+      res.json({ digest: digestScheduler.describe(digest) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const digest = await digestStore.create(req.body);
+      res.status(201).json({ digest: digestScheduler.describe(digest) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.put('/:id', async (req, res) => {
+    try {
+      const digest = await digestStore.update(req.params.id, req.body);
+      if (!digest) return notFound(res);
+      res.json({ digest: digestScheduler.describe(digest) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const removed = await digestStore.remove(req.params.id);
+      if (!removed) return notFound(res);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Runs even when the digest is disabled, so it can be tried before enabling
+  router.post('/:id/run', async (req, res) => {
+    try {
+      const digest = await digestStore.get(req.params.id);
+      if (!digest) return notFound(res);
+      res.json({ run: await digestScheduler.run(digest, 'manual') });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/:id/runs', async (req, res) => {
+    try {
+      const digest = await digestStore.get(req.params.id);
+      if (!digest) return notFound(res);
+
+      const limit = Number.parseInt(req.query.limit, 10);
+      const runs = await digestStore.runsFor(digest.id, limit > 0 ? limit : undefined);
+      res.json({ runs });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,99 @@
+import express from 'express';
+import { ValidationError, handleError } from '../utils/errors.js';
+import { requireAdminToken } from './admin-auth.js';
+
+/**
+ * Identity mapping endpoints
+ *
+ * GET    /api/identities          - list mappings
+ * GET    /api/identities/suggest  - propose mappings (?name= or ?email=)
+ * GET    /api/identities/:id      - fetch one mapping
+ * POST   /api/identities          - create a mapping
+ * PUT    /api/identities/:id      - update a mapping
+ * DELETE /api/identities/:id      - delete a mapping
+ *
+ * Mappings decide whose activity a name answers with, so changing them
+ * needs the admin token when one is configured; reading doesn't.
+ */
+export function createIdentityRouter({ identityRegistry, jiraClient, githubClient, token = null }) {
+  const router = express.Router();
+  const adminOnly = requireAdminToken(token);
+
+  // Validation problems are the caller's fault, everything else is ours
+  const sendError = (res, error) => {
+    const status = error instanceof ValidationError ? 400 : 500;
+    if (status === 500) {
+      console.error('Identity registry error:', error);
+    }
+    res.status(status).json({ error: handleError(error) });
+  };
+  const notFound = res => res.status(404).json({ error: { type: 'NOT_FOUND', message: 'Identity not found' } });
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ identities: await identityRegistry.list() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Registered before /:id so "suggest" isn't read as an id
+  router.get('/suggest', async (req, res) => {
+    try {
+      const suggestions = await identityRegistry.suggest(
+        { name: req.query.name, email: req.query.email },
+        { jiraClient, githubClient }
+      );
+      res.json({ suggestions });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const identity = await identityRegistry.get(req.params.id);
+      if (!identity) {
+        return notFound(res);
+      }
+      res.json({ identity });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/', adminOnly, async (req, res) => {
+    try {
+      const identity = await identityRegistry.create(req.body);
+      res.status(201).json({ identity });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.put('/:id', adminOnly, async (req, res) => {
+    try {
+      const identity = await identityRegistry.update(req.params.id, req.body);
+      if (!identity) {
+        return notFound(res);
+      }
+      res.json({ identity });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/:id', adminOnly, async (req, res) => {
+    try {
+      const removed = await identityRegistry.remove(req.params.id);
+      if (!removed) {
+        return notFound(res);
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
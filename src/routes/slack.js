@@ -0,0 +1,129 @@
+import express from 'express';
+import { verifySlackSignature } from '../utils/slack.js';
+
+// Slack conversations remembered for follow-ups ("And Mike?")
+const MAX_CONVERSATIONS = 1000;
+
+const USAGE = [
+  'Ask me about anyone\'s recent work, for example:',
+  '• `/activity What is John working on?`',
+  '• `/activity Show me Sarah\'s pull requests this week`',
+  '• `/activity What has the Payments team shipped last sprint?`',
+  'You can also mention me in a channel with the same kind of question.'
+].join('\n');
+
+/**
+ * Keep the exact request bytes; Slack signs those, not the parsed body
+ * Used as the `verify` option of the body parsers
+ */
+export function keepRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+/**
+ * Slack endpoints
+ *
+ * POST /api/slack/commands - the /activity slash command
+ * POST /api/slack/events   - Events API (url_verification, app_mention)
+ *
+ * Every request's signature is checked against the signing secret. Slack
+ * wants an acknowledgement within 3 seconds, so both endpoints answer
+ * straight away and post the full reply when it's ready: slash commands
+ * via their response_url, mentions as a threaded reply from the bot.
+ * `runQuery(body)` answers like POST /api/query and resolves to { status, body }.
+ */
+export function createSlackRouter({ signingSecret, slackClient, slackFormatter, runQuery, responseType = 'in_channel' }) {
+  const router = express.Router();
+
+  // Slack conversation -> session id, so follow-ups keep their context
+  const conversations = new Map();
+
+  router.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+
+  router.use((req, res, next) => {
+    const verified = verifySlackSignature(signingSecret, {
+      timestamp: req.get('X-Slack-Request-Timestamp'),
+      signature: req.get('X-Slack-Signature'),
+      body: req.rawBody ? req.rawBody.toString('utf8') : ''
+    });
+
+    if (!verified) {
+      console.warn('Rejected a Slack request with a missing or invalid signature');
+      return res.status(401).json({ error: 'Invalid Slack signature' });
+    }
+    next();
+  });
+
+  /**
+   * Answer a question, continuing the conversation it belongs to
+   * Returns the Block Kit message to post
+   */
+  const answer = async (question, conversationKey) => {
+    try {
+      const { body } = await runQuery({ query: question, sessionId: conversations.get(conversationKey) });
+
+      if (body.sessionId) {
+        conversations.delete(conversationKey);
+        conversations.set(conversationKey, body.sessionId);
+        if (conversations.size > MAX_CONVERSATIONS) {
+          conversations.delete(conversations.keys().next().value);
+        }
+      }
+
+      return slackFormatter.format(body);
+    } catch (error) {
+      console.error('Error answering a Slack question:', error);
+      return slackFormatter.format({ message: 'Sorry, something went wrong while answering that. Please try again.' });
+    }
+  };
+
+  router.post('/commands', (req, res) => {
+    const { text = '', response_url: responseUrl, team_id: teamId, channel_id: channelId, user_id: userId } = req.body;
+    const question = text.trim();
+
+    if (!question || /^help$/i.test(question)) {
+      return res.json({ response_type: 'ephemeral', text: USAGE });
+    }
+
+    res.json({ response_type: 'ephemeral', text: `🔎 Looking into "${question}"…` });
+
+    answer(question, `${teamId}:${channelId}:${userId}`)
+      .then(message => slackClient.respond(responseUrl, { response_type: responseType, ...message }))
+      .catch(error => console.error('Could not deliver a slash command reply to Slack:', error.message));
+  });
+
+  router.post('/events', (req, res) => {
+    const payload = req.body || {};
+
+    if (payload.type === 'url_verification') {
+      return res.json({ challenge: payload.challenge });
+    }
+
+    res.status(200).end();
+
+    // Slack retries events it thinks we missed; the first delivery is already being answered
+    if (req.get('X-Slack-Retry-Num')) return;
+
+    const event = payload.event;
+    if (payload.type !== 'event_callback' || event?.type !== 'app_mention' || event.bot_id) return;
+
+    // Mentions are answered with chat.postMessage, which needs the bot token
+    if (!slackClient.hasBotToken()) {
+      console.warn('Ignoring a Slack mention: no bot token is configured (slack.botToken)');
+      return;
+    }
+
+    const question = (event.text || '').replace(/<@[A-Z0-9]+(?:\|[^>]*)?>/g, '').trim();
+    const threadTs = event.thread_ts || event.ts;
+
+    const reply = question && !/^help$/i.test(question)
+      ? answer(question, `${payload.team_id}:${event.channel}:${threadTs}`)
+      : Promise.resolve({ text: USAGE });
+
+    reply
+      .then(message => slackClient.postMessage(event.channel, message, threadTs))
+      .catch(error => console.error('Could not reply to a Slack mention:', error.message));
+  });
+
+  return router;
+}
@@ -0,0 +1,75 @@
+import express from 'express';
+import { ValidationError, handleError } from '../utils/errors.js';
+import { requireAdminToken } from './admin-auth.js';
+
+/**
+ * Activity snapshot endpoints
+ *
+ * GET  /api/snapshots                                   - people with snapshots and the days they cover
+ * GET  /api/snapshots/history?person=&start=&end=       - one person's daily snapshots (dates are YYYY-MM-DD)
+ * POST /api/snapshots/backfill { days?, people? }       - re-record the last N days for everyone tracked,
+ *                                                         or just the named people
+ *
+ * `person` is the key from the list (e.g. "jira:5b10ac8d82e05b22cc7d4ef5").
+ * Backfills call JIRA and GitHub for every person, so these sit behind the
+ * admin token when one is configured.
+ */
+export function createSnapshotRouter({ snapshotStore, snapshotJob, token = null }) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(token));
+
+  router.use((req, res, next) => {
+    if (!snapshotStore) {
+      return res.status(503).json({ error: 'Activity snapshots are off (install better-sqlite3, or check snapshots.enabled)' });
+    }
+    next();
+  });
+
+  // Validation problems are the caller's fault, everything else is ours
+  const sendError = (res, error) => {
+    const status = error instanceof ValidationError ? 400 : 500;
+    if (status === 500) {
+      console.error('Snapshot error:', error);
+    }
+    res.status(status).json({ error: handleError(error) });
+  };
+
+  const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ people: await snapshotStore.people() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/history', async (req, res) => {
+    try {
+      const { person, start = '0000-01-01', end = '9999-12-31' } = req.query;
+      if (typeof person !== 'string' || !person) {
+        throw new ValidationError('person is required');
+      }
+      if (!isDate(start) || !isDate(end)) {
+        throw new ValidationError('start and end must be YYYY-MM-DD dates');
+      }
+
+      res.json({ person, snapshots: await snapshotStore.range(person, start, end) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/backfill', async (req, res) => {
+    try {
+      const { days, people = null } = req.body || {};
+      const results = await snapshotJob.backfill({ days, names: people });
+      res.json({ results });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
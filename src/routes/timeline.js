@@ -0,0 +1,122 @@
+import express from 'express';
+import { ValidationError, UserNotFoundError, AmbiguousUserError, TeamNotFoundError, handleError } from '../utils/errors.js';
+import { createDateRange, formatDate, lastNDays, parseDate } from '../utils/date-range.js';
+import { TIMELINE_TYPES } from '../processors/timeline-service.js';
+
+// Every day in a timeline is fetched from JIRA and GitHub, so keep ranges modest
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+
+const PLATFORMS = ['jira', 'github', 'both'];
+
+/**
+ * Activity timeline endpoint
+ *
+ * GET /api/timeline?person=Sarah         - one person's events, grouped by day
+ * GET /api/timeline?team=platform        - a configured team's, tagged by member
+ *
+ * Optional parameters:
+ * - days=14, or start=YYYY-MM-DD (and end=YYYY-MM-DD, default today)
+ * - types=commit,pr_merged (transition, commit, pr_opened, pr_merged, review)
+ * - project=PROJ, repository=owner/name, platform=jira|github|both
+ * - refresh=true to skip cached data
+ */
+export function createTimelineRouter({ timelineService }) {
+  const router = express.Router();
+
+  // Validation problems are the caller's fault, unknown people aren't ours
+  // either; everything else is
+  const sendError = (res, error) => {
+    let status = 500;
+    if (error instanceof ValidationError) status = 400;
+    else if (error instanceof UserNotFoundError || error instanceof TeamNotFoundError) status = 404;
+    else if (error instanceof AmbiguousUserError) status = 409;
+
+    if (status === 500) {
+      console.error('Timeline error:', error);
+    }
+    res.status(status).json({ error: handleError(error) });
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await timelineService.timeline(parseTimelineQuery(req.query)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Validate the query string into timeline options
+ */
+function parseTimelineQuery(query) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const person = text(query.person);
+  const team = text(query.team);
+
+  if (!person === !team) {
+    throw new ValidationError('Give either person or team');
+  }
+
+  const types = text(query.types)
+    ? query.types.split(',').map(type => type.trim()).filter(Boolean)
+    : TIMELINE_TYPES;
+  const unknown = types.filter(type => !TIMELINE_TYPES.includes(type));
+  if (unknown.length > 0 || types.length === 0) {
+    throw new ValidationError(`types must be a comma-separated list of ${TIMELINE_TYPES.join(', ')}`);
+  }
+
+  const platform = text(query.platform) || 'both';
+  if (!PLATFORMS.includes(platform)) {
+    throw new ValidationError(`platform must be one of ${PLATFORMS.join(', ')}`);
+  }
+
+  return {
+    person,
+    team,
+    dateRange: parseRange(query),
+    types,
+    project: text(query.project),
+    repository: text(query.repository),
+    platform,
+    refresh: query.refresh === 'true'
+  };
+}
+
+function parseRange(query) {
+  const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  // parseDate rolls 2024-13-45 over into 2025, so the date must read back unchanged
+  const isRealDate = value => formatDate(parseDate(value)) === value;
+
+  if (query.start !== undefined || query.end !== undefined) {
+    if (!isDate(query.start) || (query.end !== undefined && !isDate(query.end))) {
+      throw new ValidationError('start and end must be YYYY-MM-DD dates');
+    }
+
+    const invalid = [query.start, query.end].find(value => value !== undefined && !isRealDate(value));
+    if (invalid) {
+      throw new ValidationError(`${invalid} is not a real date`);
+    }
+
+    if (query.end && query.start > query.end) {
+      throw new ValidationError('start must not be after end');
+    }
+
+    const range = query.end
+      ? createDateRange(parseDate(query.start), parseDate(query.end), `${query.start} to ${query.end}`)
+      : createDateRange(parseDate(query.start), new Date(), `since ${query.start}`);
+    if (range.days > MAX_DAYS) {
+      throw new ValidationError(`A timeline covers at most ${MAX_DAYS} days`);
+    }
+    return range;
+  }
+
+  const days = query.days === undefined ? DEFAULT_DAYS : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new ValidationError(`days must be a whole number from 1 to ${MAX_DAYS}`);
+  }
+  return lastNDays(days);
+}
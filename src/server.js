@@ -3,12 +3,17 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import config from '../config/config.js';
-import JiraClient from './clients/jira-client.js';
-import GitHubClient from './clients/github-client.js';
-import QueryParser from './processors/query-parser.js';
-import DataEnricher from './processors/data-enricher.js';
-import ResponseGenerator from './processors/response-generator.js';
-import { UserNotFoundError, NoActivityError, handleError } from './utils/errors.js';
+import SlackClient from './clients/slack-client.js';
+import SlackFormatter from './processors/slack-formatter.js';
+import DigestStore from './utils/digest-store.js';
+import DigestScheduler from './jobs/digest-scheduler.js';
+import { createIdentityRouter } from './routes/identities.js';
+import { createCacheRouter } from './routes/cache.js';
+import { createDigestRouter } from './routes/digests.js';
+import { createSlackRouter, keepRawBody } from './routes/slack.js';
+import { createSnapshotRouter } from './routes/snapshots.js';
+import { createTimelineRouter } from './routes/timeline.js';
+import { createServices } from './services.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,151 +26,107 @@ const app = express();
 const PORT = config.server.port || 3000;
 
 // Middleware
-app.use(express.json());
+// The raw body is kept for Slack, which signs the bytes it sent
+app.use(express.json({ verify: keepRawBody }));
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Initialize clients
-const jiraClient = new JiraClient({
-  ...config.jira,
-  cache: config.cache
+// Clients and processors, shared with the CLI
+const {
+  cache,
+  jiraClient,
+  githubClient,
+  identityRegistry,
+  responseGenerator,
+  snapshotStore,
+  snapshotJob,
+  queryService,
+  timelineService
+} = await createServices(config);
+
+// Answers a question like POST /api/query; `refresh: true` skips cached data
+const runQuery = (requestBody, options) => queryService.answer(requestBody, options);
+
+// Scheduled digests, answered through the same pipeline as /api/query
+const digestStore = new DigestStore(config.digests);
+const digestScheduler = new DigestScheduler({ digestStore, runQuery, config: config.digests });
+
+/**
+ * Main API endpoint to handle queries
+ * `refresh: true` in the body skips cached data for this question
+ */
+app.post('/api/query', async (req, res) => {
+  const { status, body } = await runQuery(req.body);
+  res.status(status).json(body);
 });
 
-const githubClient = new GitHubClient({
-  ...config.github,
-  cache: config.cache
+/**
+ * Streaming variant of /api/query using Server-Sent Events
+ *
+ * Events, in order:
+ * - progress: { stage, ... } as the query is parsed, people are resolved
+ *   and each JIRA/GitHub source returns
+ * - token: { text, replace? } reply text as it is generated; template
+ *   replies arrive as a single token
+ * - done: the same body /api/query would return (or `error` for a non-200)
+ */
+app.post('/api/query/stream', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { status, body } = await runQuery(req.body, {
+    onProgress: progress => sendEvent('progress', progress),
+    onToken: (text, options) => sendEvent('token', { text, ...options })
+  });
+
+  sendEvent(status === 200 ? 'done' : 'error', body);
+  res.end();
 });
 
-// Initialize processors
-const queryParser = new QueryParser();
-const dataEnricher = new DataEnricher();
-const responseGenerator = new ResponseGenerator(config);
+/**
+ * Day-by-day activity timeline for a person or team
+ */
+app.use('/api/timeline', createTimelineRouter({ timelineService }));
 
 /**
- * Main API endpoint to handle queries
+ * Identity mapping registry
  */
-app.post('/api/query', async (req, res) => {
-  try {
-    const { query } = req.body;
-
-    if (!query || typeof query !== 'string') {
-      return res.status(400).json({
-        error: 'Invalid query. Please provide a question as a string.'
-      });
-    }
-
-    console.log(`Processing query: "${query}"`);
-
-    // Parse query
-    const parsed = queryParser.parse(query);
-    console.log('Parsed query:', parsed);
-
-    if (!parsed.name) {
-      return res.status(400).json({
-        error: 'Could not extract a name from your query. Please try: "What is [name] working on?"'
-      });
-    }
-
-    const userName = parsed.name;
-    const timeframe = parsed.timeframe || 14; // Default to 2 weeks
-
-    // Fetch data from both platforms concurrently for better performance
-    const [jiraUser, githubUser] = await Promise.all([
-      jiraClient.findUserByName(userName),
-      githubClient.findUser(userName)
-    ]);
-
-    // Check if user exists in at least one platform
-    if (!jiraUser && !githubUser) {
-      const error = new UserNotFoundError(userName);
-      const errorResponse = handleError(error);
-      const errorMessage = responseGenerator.generateErrorResponse(errorResponse, userName);
-      
-      return res.json({
-        query: query,
-        parsed: parsed,
-        response: errorMessage,
-        error: errorResponse
-      });
-    }
-
-    // Fetch activity data concurrently
-    // Use Promise.allSettled to handle partial failures gracefully
-    const results = await Promise.allSettled([
-      jiraUser ? jiraClient.getAssignedIssues(jiraUser.accountId) : Promise.resolve([]),
-      jiraUser ? jiraClient.getRecentActivity(jiraUser.accountId, timeframe) : Promise.resolve([]),
-      githubUser ? githubClient.getRecentCommits(githubUser.login, timeframe) : Promise.resolve([]),
-      githubUser ? githubClient.getActivePullRequests(githubUser.login) : Promise.resolve([]),
-      githubUser ? githubClient.getRecentRepositories(githubUser.login, timeframe) : Promise.resolve([])
-    ]);
-
-    // Extract results, defaulting to empty arrays on failure
-    const [jiraIssues, jiraActivity, githubCommits, githubPRs, githubRepos] = results.map(result => 
-      result.status === 'fulfilled' ? result.value : []
-    );
-
-    // Prepare data for enrichment
-    const jiraData = {
-      user: jiraUser,
-      issues: jiraIssues,
-      recentActivity: jiraActivity
-    };
-
-    const githubData = {
-      user: githubUser,
-      commits: githubCommits,
-      pullRequests: githubPRs,
-      repositories: githubRepos
-    };
-
-    // Enrich and combine data
-    const enrichedData = dataEnricher.enrich(jiraData, githubData, timeframe);
-
-    // Check if there's any activity
-    if (enrichedData.metrics.totalItems === 0) {
-      const error = new NoActivityError(userName);
-      const errorResponse = handleError(error);
-      const errorMessage = responseGenerator.generateErrorResponse(errorResponse, userName);
-      
-      return res.json({
-        query: query,
-        parsed: parsed,
-        response: errorMessage,
-        data: enrichedData,
-        error: errorResponse
-      });
-    }
-
-    // Generate response
-    const response = await responseGenerator.generateResponse(
-      query,
-      enrichedData,
-      userName
-    );
-
-    // Return response
-    res.json({
-      query: query,
-      parsed: parsed,
-      response: response,
-      data: enrichedData,
-      users: {
-        jira: jiraUser ? { name: jiraUser.displayName, accountId: jiraUser.accountId } : null,
-        github: githubUser ? { name: githubUser.name || githubUser.login, login: githubUser.login } : null
-      }
-    });
-
-  } catch (error) {
-    console.error('Error processing query:', error);
-    
-    const errorResponse = handleError(error);
-    const errorMessage = responseGenerator.generateErrorResponse(errorResponse, 'user');
-
-    res.status(500).json({
-      error: errorResponse,
-      message: errorMessage
-    });
-  }
-});
+app.use('/api/identities', createIdentityRouter({ identityRegistry, jiraClient, githubClient, token: config.admin?.token }));
+
+/**
+ * Cache inspection and purging
+ */
+app.use('/api/admin/cache', createCacheRouter({ cache, token: config.admin?.token }));
+
+/**
+ * Scheduled digests
+ */
+app.use('/api/digests', createDigestRouter({ digestStore, digestScheduler, token: config.admin?.token }));
+
+/**
+ * Daily activity snapshots behind period comparisons
+ */
+app.use('/api/snapshots', createSnapshotRouter({ snapshotStore, snapshotJob, token: config.admin?.token }));
+
+/**
+ * Slack slash command and @mentions, when a signing secret is configured
+ */
+if (config.slack?.signingSecret && config.slack.signingSecret !== 'your-slack-signing-secret') {
+  app.use('/api/slack', createSlackRouter({
+    signingSecret: config.slack.signingSecret,
+    slackClient: new SlackClient(config.slack),
+    slackFormatter: new SlackFormatter(responseGenerator),
+    runQuery,
+    responseType: config.slack.responseType
+  }));
+}
 
 /**
  * Health check endpoint
@@ -188,6 +149,15 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Team Activity Monitor server running on http://localhost:${PORT}`);
   console.log(`📝 Make sure you've configured your API keys in config/config.js`);
+
+  if (config.digests?.scheduler !== false) {
+    digestScheduler.start();
+  }
+
+  // Needs the snapshot store; without it there's nothing to record into
+  if (config.snapshots?.scheduler !== false) {
+    snapshotJob.start();
+  }
 });
 
 
@@ -0,0 +1,110 @@
+import JiraClient from './clients/jira-client.js';
+import GitHubClient from './clients/github-client.js';
+import { createSourceControlClient } from './clients/source-control.js';
+import { createIssueTrackerClient } from './clients/issue-tracker.js';
+import QueryParser from './processors/query-parser.js';
+import ActivityFetcher from './processors/activity-fetcher.js';
+import LLMQueryParser from './processors/llm-query-parser.js';
+import DataEnricher from './processors/data-enricher.js';
+import ResponseGenerator from './processors/response-generator.js';
+import QueryService from './processors/query-service.js';
+import TimelineService from './processors/timeline-service.js';
+import TrendAnalyzer from './processors/trend-analyzer.js';
+import SnapshotJob from './jobs/snapshot-job.js';
+import IdentityRegistry from './utils/identity-registry.js';
+import SessionStore from './utils/session-store.js';
+import { createSnapshotStore } from './utils/snapshot-store.js';
+import { createCache } from './cache/index.js';
+
+/**
+ * Build the clients and processors a question is answered with
+ * Shared by the HTTP server and the CLI, so both answer the same way
+ */
+export async function createServices(config) {
+  // One cache shared by every client (memory, SQLite or Redis)
+  const cache = await createCache(config.cache);
+
+  // Initialize clients
+  const jiraClient = new JiraClient({
+    ...config.jira,
+    cache,
+    pagination: config.pagination?.jira
+  });
+
+  const githubClient = new GitHubClient({
+    ...config.github,
+    cache,
+    pagination: config.pagination?.github
+  });
+
+  // Issue tracking: JIRA plus Linear / GitHub Issues when configured
+  const issueTrackerClient = createIssueTrackerClient({ ...config, cache }, { jiraClient, githubClient });
+
+  // Code hosting: GitHub plus GitLab / Bitbucket when configured, queried in parallel
+  const sourceControlClient = createSourceControlClient({ ...config, cache }, githubClient);
+
+  // Persistent JIRA <-> GitHub identity mappings
+  const identityRegistry = new IdentityRegistry(config.identities);
+
+  // Conversation context for follow-up questions
+  const sessionStore = new SessionStore(config.sessions);
+
+  // Initialize processors
+  const queryParser = new QueryParser({ teams: config.teams, sprints: config.sprints });
+  const activityFetcher = new ActivityFetcher({ jiraClient, githubClient, issueTrackerClient, sourceControlClient, identityRegistry });
+  const dataEnricher = new DataEnricher();
+  const responseGenerator = new ResponseGenerator(config);
+
+  // Optional model-based query understanding, with the regex parser as fallback
+  const llmQueryParser = new LLMQueryParser({
+    provider: config.queryParsing?.mode === 'llm' ? responseGenerator.llm : null,
+    fallback: queryParser,
+    teams: config.teams
+  });
+
+  // Daily per-person activity snapshots, for "this month vs last month" questions
+  // Without SQLite, comparisons fetch both periods live instead
+  const snapshotStore = await createSnapshotStore(config.snapshots);
+  const trendAnalyzer = new TrendAnalyzer(dataEnricher);
+  const snapshotJob = new SnapshotJob({
+    snapshotStore,
+    activityFetcher,
+    trendAnalyzer,
+    config: config.snapshots,
+    teams: config.teams
+  });
+
+  const queryService = new QueryService({
+    teams: config.teams,
+    cache,
+    sessionStore,
+    queryParser,
+    llmQueryParser,
+    activityFetcher,
+    dataEnricher,
+    responseGenerator,
+    snapshotJob,
+    trendAnalyzer
+  });
+
+  // Day-by-day event stream behind GET /api/timeline
+  const timelineService = new TimelineService({ teams: config.teams, cache, activityFetcher });
+
+  return {
+    cache,
+    jiraClient,
+    githubClient,
+    issueTrackerClient,
+    sourceControlClient,
+    identityRegistry,
+    sessionStore,
+    queryParser,
+    activityFetcher,
+    dataEnricher,
+    responseGenerator,
+    snapshotStore,
+    snapshotJob,
+    queryService,
+    timelineService
+  };
+}
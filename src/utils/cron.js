@@ -0,0 +1,192 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Cron Expressions
+ *
+ * The standard five fields, evaluated in the server's local time:
+ *
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12)  day of week (0-7, 0 and 7 are Sunday)
+ *
+ * Creative solutions:
+ * - Lists, ranges and steps ("0,30", "9-17", "*\/15", "1-31/2") in any field
+ * - Month and day names ("jan", "mon-fri") and the @hourly, @daily,
+ *   @weekly, @monthly and @yearly shorthands
+ * - When both day fields are restricted either may match, as in Vixie cron
+ *   ("0 9 1 * mon" runs on the 1st and on Mondays)
+ * - Finding the next run skips whole months, days and hours that can't match
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// How far ahead nextRun looks before deciding a schedule never fires (e.g. "0 0 30 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+/**
+ * Parse an expression into the sets of values each field allows
+ * Throws ValidationError describing the first problem found
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new ValidationError('schedule must be a cron expression such as "0 9 * * mon"');
+  }
+
+  const source = expression.trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ValidationError(`"${source}" should have 5 fields (minute hour day-of-month month day-of-week), not ${parts.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index], source));
+
+  // 7 is another name for Sunday
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Whether a schedule fires in the minute containing `date`
+ */
+export function cronMatches(schedule, date) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  return cron.minutes.has(date.getMinutes()) &&
+    cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) &&
+    dayMatches(cron, date);
+}
+
+/**
+ * The first time after `after` the schedule fires, or null if it never does
+ */
+export function nextRun(schedule, after = new Date()) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(after);
+  limit.setDate(limit.getDate() + MAX_LOOKAHEAD_DAYS);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
+
+/**
+ * Day-of-month and day-of-week, OR'ed when both are restricted
+ */
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.days.has(date.getDate());
+  const dayOfWeek = cron.weekdays.has(date.getDay());
+
+  if (cron.daysRestricted && cron.weekdaysRestricted) return dayOfMonth || dayOfWeek;
+  if (cron.daysRestricted) return dayOfMonth;
+  if (cron.weekdaysRestricted) return dayOfWeek;
+  return true;
+}
+
+/**
+ * Values allowed by one field, e.g. "1-5", "*\/15", "mon,wed,fri"
+ */
+function parseField(part, field, source) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new ValidationError(`Invalid step "${item}" in the ${field.name} field of "${source}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, source);
+      // "5/15" means from 5 to the end of the field, every 15
+      end = to !== undefined ? parseValue(to, field, source) : (stepText !== undefined ? field.max : start);
+    }
+
+    if (start > end) {
+      throw new ValidationError(`Range "${item}" runs backwards in the ${field.name} field of "${source}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text, field, source) {
+  const lower = (text || '').toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const value = named !== -1 ? named + field.offset : (/^\d+$/.test(lower) ? Number(lower) : NaN);
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new ValidationError(`"${text}" is not a valid ${field.name} in "${source}" (${field.min}-${field.max})`);
+  }
+  return value;
+}
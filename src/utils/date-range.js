@@ -0,0 +1,116 @@
+/**
+ * Date range helpers
+ *
+ * A date range is { start, end, label, days } where start and end are
+ * inclusive local calendar dates formatted as YYYY-MM-DD. The clients
+ * accept either a range or a plain number of days (the old `timeframe`).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Monday of the week containing the date
+ */
+export function startOfWeek(date) {
+  const day = startOfDay(date);
+  const offset = (day.getDay() + 6) % 7; // Sunday = 6 days after Monday
+  return addDays(day, -offset);
+}
+
+/**
+ * Format as YYYY-MM-DD in local time (toISOString would shift to UTC)
+ */
+export function formatDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ */
+export function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Build a range from two dates, clamping the end to today
+ */
+export function createDateRange(start, end, label, now = new Date()) {
+  const today = startOfDay(now);
+  let from = startOfDay(start);
+  let to = startOfDay(end);
+
+  if (to > today) to = today;
+  if (from > to) from = to;
+
+  return {
+    start: formatDate(from),
+    end: formatDate(to),
+    label,
+    days: Math.round((to - from) / DAY_MS) + 1
+  };
+}
+
+/**
+ * The last N days, ending today
+ */
+export function lastNDays(days, now = new Date(), label = null) {
+  const today = startOfDay(now);
+  return createDateRange(
+    addDays(today, -(days - 1)),
+    today,
+    label || `the last ${days} days`,
+    now
+  );
+}
+
+/**
+ * Accept either a date range or a number of days
+ */
+export function toDateRange(rangeOrDays, now = new Date()) {
+  if (rangeOrDays && typeof rangeOrDays === 'object') {
+    return rangeOrDays;
+  }
+  return lastNDays(rangeOrDays || 14, now);
+}
+
+/**
+ * Whether a timestamp falls inside a range (inclusive of both end days)
+ */
+export function isWithinRange(timestamp, range) {
+  const day = formatDate(new Date(timestamp));
+  return day >= range.start && day <= range.end;
+}
+
+/**
+ * First date after the range, for exclusive upper bounds ("updated < X")
+ */
+export function dayAfter(range) {
+  return formatDate(addDays(parseDate(range.end), 1));
+}
+
+/**
+ * Every date in the range, oldest first, as YYYY-MM-DD strings
+ */
+export function eachDay(range) {
+  const days = [];
+  for (let day = parseDate(range.start); formatDate(day) <= range.end; day = addDays(day, 1)) {
+    days.push(formatDate(day));
+  }
+  return days;
+}
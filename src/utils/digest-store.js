@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+import JsonFileWriter from './json-file.js';
+import { parseCron, nextRun } from './cron.js';
+import { normalizeDelivery } from '../clients/delivery/index.js';
+
+/**
+ * Digest Store
+ *
+ * Scheduled digest definitions and their run history, kept in a JSON file
+ * next to the identity registry so both survive restarts.
+ *
+ * A digest asks about a person, a team or a free-form question on a cron
+ * schedule and delivers the answer somewhere:
+ *
+ *   { name, schedule: '0 9 * * mon', person | team | question, timeframe,
+ *     delivery: { type: 'slack' | 'webhook' | 'email' | 'mock', ... }, enabled }
+ *
+ * Creative solutions:
+ * - Rejects schedules that never fire ("0 0 30 2 *") up front
+ * - Keeps a capped history per digest, newest first
+ * - Writes atomically (temp file + rename) and serializes writes; a
+ *   failed write drops the in-memory copy, so nothing unsaved is served
+ * - A file that can't be parsed is an error, not an empty store the next
+ *   save (or scheduled run) would write over the file
+ */
+class DigestStore {
+  constructor(config = {}) {
+    this.file = path.resolve(config.file || 'data/digests.json');
+    this.historyLimit = config.historyLimit || 50;
+    this.deliveryConfig = config;
+    this.state = null;
+    this.writer = new JsonFileWriter(this.file);
+  }
+
+  /**
+   * Load digests and runs from disk on first use
+   * Throws when the file exists but can't be read or parsed
+   */
+  async load() {
+    if (this.state) return this.state;
+
+    let raw;
+    try {
+      raw = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read digests ${this.file}: ${error.message}`, { cause: error });
+      }
+      this.state = { digests: [], runs: [] };
+      return this.state;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      this.state = { digests: data.digests || [], runs: data.runs || [] };
+    } catch (error) {
+      throw new Error(`Digest file ${this.file} is not valid JSON (${error.message}); fix or remove it`, { cause: error });
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Persist everything, one write at a time
+   * When the write fails, the next read reloads what is actually on disk
+   * instead of serving the change that couldn't be saved
+   */
+  async save() {
+    try {
+      await this.writer.write(this.state);
+    } catch (error) {
+      console.error(`Could not write digests ${this.file}:`, error.message);
+      this.state = null;
+      throw error;
+    }
+  }
+
+  async list() {
+    return [...(await this.load()).digests];
+  }
+
+  async get(id) {
+    const { digests } = await this.load();
+    return digests.find(digest => digest.id === id) || null;
+  }
+
+  async create(data) {
+    const { digests } = await this.load();
+    const digest = this.normalize(data);
+
+    const now = new Date().toISOString();
+    digest.id = crypto.randomUUID();
+    digest.createdAt = now;
+    digest.updatedAt = now;
+
+    digests.push(digest);
+    await this.save();
+    return digest;
+  }
+
+  async update(id, data) {
+    const { digests } = await this.load();
+    const index = digests.findIndex(digest => digest.id === id);
+    if (index === -1) return null;
+
+    const existing = digests[index];
+    const digest = this.normalize({ ...existing, ...data });
+
+    digest.id = existing.id;
+    digest.createdAt = existing.createdAt;
+    digest.updatedAt = new Date().toISOString();
+
+    digests[index] = digest;
+    await this.save();
+    return digest;
+  }
+
+  /**
+   * Remove a digest along with its run history
+   */
+  async remove(id) {
+    const state = await this.load();
+    const index = state.digests.findIndex(digest => digest.id === id);
+    if (index === -1) return false;
+
+    state.digests.splice(index, 1);
+    state.runs = state.runs.filter(run => run.digestId !== id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Record a finished run, dropping the digest's oldest runs past the history limit
+   */
+  async recordRun(run) {
+    const state = await this.load();
+    state.runs.unshift(run);
+
+    let kept = 0;
+    state.runs = state.runs.filter(existing => existing.digestId !== run.digestId || ++kept <= this.historyLimit);
+
+    await this.save();
+    return run;
+  }
+
+  /**
+   * A digest's runs, newest first
+   */
+  async runsFor(id, limit = this.historyLimit) {
+    const { runs } = await this.load();
+    return runs.filter(run => run.digestId === id).slice(0, limit);
+  }
+
+  /**
+   * Validate and clean up incoming digest data
+   */
+  normalize(data = {}) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+
+    const name = text(data.name);
+    if (!name) {
+      throw new ValidationError('name is required');
+    }
+
+    const schedule = text(data.schedule);
+    if (!nextRun(parseCron(schedule))) {
+      throw new ValidationError(`"${schedule}" never runs`);
+    }
+
+    const subject = {
+      person: text(data.person) || null,
+      team: text(data.team) || null,
+      question: text(data.question) || null
+    };
+    if (Object.values(subject).filter(Boolean).length !== 1) {
+      throw new ValidationError('Set exactly one of person, team or question');
+    }
+
+    return {
+      name,
+      schedule,
+      ...subject,
+      timeframe: text(data.timeframe) || null,
+      delivery: normalizeDelivery(data.delivery, this.deliveryConfig),
+      enabled: data.enabled !== false
+    };
+  }
+}
+
+export default DigestStore;
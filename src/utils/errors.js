@@ -13,6 +13,25 @@ export class UserNotFoundError extends Error {
   }
 }
 
+export class AmbiguousUserError extends Error {
+  constructor(userName, candidates = []) {
+    super(`"${userName}" matches ${candidates.length} people`);
+    this.name = 'AmbiguousUserError';
+    this.type = 'AMBIGUOUS_USER';
+    this.userName = userName;
+    this.candidates = candidates;
+  }
+}
+
+export class TeamNotFoundError extends Error {
+  constructor(teamName) {
+    super(`Team "${teamName}" is not configured`);
+    this.name = 'TeamNotFoundError';
+    this.type = 'TEAM_NOT_FOUND';
+    this.teamName = teamName;
+  }
+}
+
 export class NoActivityError extends Error {
   constructor(userName) {
     super(`No activity found for "${userName}"`);
@@ -23,11 +42,25 @@ export class NoActivityError extends Error {
 }
 
 export class APIError extends Error {
-  constructor(platform, message) {
+  /**
+   * `status` is the upstream HTTP status, if any; `retryable: false` marks
+   * failures that won't go away on their own (e.g. a removed endpoint)
+   */
+  constructor(platform, message, { status = null, retryable = true } = {}) {
     super(`${platform} API error: ${message}`);
     this.name = 'APIError';
     this.type = 'API_ERROR';
     this.platform = platform;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.type = 'VALIDATION_ERROR';
   }
 }
 
@@ -43,6 +76,23 @@ export function handleError(error) {
     };
   }
 
+  if (error instanceof AmbiguousUserError) {
+    return {
+      type: 'AMBIGUOUS_USER',
+      message: error.message,
+      userName: error.userName,
+      candidates: error.candidates
+    };
+  }
+
+  if (error instanceof TeamNotFoundError) {
+    return {
+      type: 'TEAM_NOT_FOUND',
+      message: error.message,
+      teamName: error.teamName
+    };
+  }
+
   if (error instanceof NoActivityError) {
     return {
       type: 'NO_ACTIVITY',
@@ -55,7 +105,16 @@ export function handleError(error) {
     return {
       type: 'API_ERROR',
       message: error.message,
-      platform: error.platform
+      platform: error.platform,
+      status: error.status,
+      retryable: error.retryable
+    };
+  }
+
+  if (error instanceof ValidationError) {
+    return {
+      type: 'VALIDATION_ERROR',
+      message: error.message
     };
   }
 
@@ -0,0 +1,72 @@
+import { AmbiguousUserError, APIError } from './errors.js';
+import { withPageInfo, combinePageInfo, failedFetch } from './pagination.js';
+
+/**
+ * Helpers shared by the multi-platform clients (MultiSourceControlClient,
+ * MultiIssueTrackerClient), which put several code hosts or trackers
+ * behind the single-platform interface
+ */
+
+/**
+ * Run a user lookup on every client
+ * Several people matching anywhere is reported once, with every candidate;
+ * with `strict: false` an ambiguous client is just left out, like a failed one
+ * Resolves to { found: [{ client, user }], failed: [{ client, error }] }, in client order
+ */
+export async function lookUpEverywhere(clients, name, lookup, { strict = true } = {}) {
+  const results = await Promise.allSettled(clients.map(client => lookup(client)));
+
+  const ambiguous = results
+    .filter(result => result.status === 'rejected' && result.reason instanceof AmbiguousUserError)
+    .flatMap(result => result.reason.candidates);
+  if (strict && ambiguous.length > 0) {
+    throw new AmbiguousUserError(name, ambiguous);
+  }
+
+  const found = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const client = clients[index];
+    if (result.status === 'rejected') {
+      console.warn(`Could not look up ${name} on ${client.name}:`, result.reason.message);
+      failed.push({ client, error: result.reason });
+      return;
+    }
+    if (result.value) found.push({ client, user: result.value });
+  });
+
+  return { found, failed };
+}
+
+/**
+ * Call a method on every client the person has an account on, merging the
+ * results (tagged with the client's name under `tag`) and their paging details
+ * A broken integration (APIError) fails the whole call, like a single client would;
+ * any other failure is reported through the merged pageInfo
+ * Clients without the (optional) method are skipped
+ */
+export async function fanOut(clients, accounts, method, args, { compare, tag }) {
+  const targets = clients.filter(client => accounts[client.name] && client[method]);
+
+  const results = await Promise.allSettled(
+    targets.map(client => client[method](accounts[client.name], ...args))
+  );
+
+  const merged = [];
+  const fulfilled = [];
+  results.forEach((result, index) => {
+    const client = targets[index];
+    if (result.status === 'rejected') {
+      if (result.reason instanceof APIError) throw result.reason;
+      console.error(`Error calling ${method} on ${client.name}:`, result.reason.message);
+      // Keeps the merged result marked as incomplete
+      fulfilled.push(failedFetch(result.reason));
+      return;
+    }
+
+    merged.push(...result.value.map(item => ({ ...item, [tag]: client.name })));
+    fulfilled.push(result.value);
+  });
+
+  return withPageInfo(merged.sort(compare), combinePageInfo(fulfilled));
+}
@@ -0,0 +1,290 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+import JsonFileWriter from './json-file.js';
+
+/**
+ * Identity Registry
+ *
+ * Persistent mapping between a person and their JIRA / GitHub identities,
+ * stored as a JSON file so it survives restarts and can be edited by hand.
+ *
+ * Creative solutions:
+ * - Resolves people by display name, alias, email or platform id
+ * - Writes atomically (temp file + rename) and serializes writes; a
+ *   failed write drops the in-memory copy, so nothing unsaved is served
+ * - A file that can't be parsed (e.g. a typo from a hand edit) is an
+ *   error, not an empty registry the next save would write over the file
+ * - Proposes new mappings by matching JIRA and GitHub users on email and name
+ */
+class IdentityRegistry {
+  constructor(config = {}) {
+    this.file = path.resolve(config.file || 'data/identities.json');
+    this.identities = null;
+    this.writer = new JsonFileWriter(this.file);
+  }
+
+  /**
+   * Load identities from disk on first use
+   * A missing file is an empty registry; one that can't be read or parsed
+   * throws, so the next save can't overwrite the mappings it still holds
+   */
+  async load() {
+    if (this.identities) return this.identities;
+
+    let raw;
+    try {
+      raw = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read identity registry ${this.file}: ${error.message}`, { cause: error });
+      }
+      this.identities = [];
+      return this.identities;
+    }
+
+    try {
+      this.identities = JSON.parse(raw).identities || [];
+    } catch (error) {
+      throw new Error(`Identity registry ${this.file} is not valid JSON (${error.message}); fix or remove it`, { cause: error });
+    }
+
+    return this.identities;
+  }
+
+  /**
+   * Persist identities, one write at a time
+   * When the write fails, the next read reloads what is actually on disk
+   * instead of serving the change that couldn't be saved
+   */
+  async save() {
+    try {
+      await this.writer.write({ identities: this.identities });
+    } catch (error) {
+      console.error(`Could not write identity registry ${this.file}:`, error.message);
+      this.identities = null;
+      throw error;
+    }
+  }
+
+  async list() {
+    return [...await this.load()];
+  }
+
+  async get(id) {
+    const identities = await this.load();
+    return identities.find(identity => identity.id === id) || null;
+  }
+
+  /**
+   * Find the mapping for a name as typed in a query
+   * Matches display name, aliases, emails, GitHub login or JIRA accountId
+   */
+  async findByName(name) {
+    if (!name) return null;
+
+    const identities = await this.load();
+    const needle = name.trim().toLowerCase();
+
+    return identities.find(identity => this.identifiersOf(identity).includes(needle)) || null;
+  }
+
+  async create(data) {
+    const identities = await this.load();
+    const identity = this.normalize(data);
+
+    this.assertUnique(identity);
+
+    const now = new Date().toISOString();
+    identity.id = crypto.randomUUID();
+    identity.createdAt = now;
+    identity.updatedAt = now;
+
+    identities.push(identity);
+    await this.save();
+    return identity;
+  }
+
+  async update(id, data) {
+    const identities = await this.load();
+    const index = identities.findIndex(identity => identity.id === id);
+    if (index === -1) return null;
+
+    const existing = identities[index];
+    const identity = this.normalize({ ...existing, ...data });
+
+    this.assertUnique(identity, id);
+
+    identity.id = existing.id;
+    identity.createdAt = existing.createdAt;
+    identity.updatedAt = new Date().toISOString();
+
+    identities[index] = identity;
+    await this.save();
+    return identity;
+  }
+
+  async remove(id) {
+    const identities = await this.load();
+    const index = identities.findIndex(identity => identity.id === id);
+    if (index === -1) return false;
+
+    identities.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Validate and clean up incoming mapping data
+   */
+  normalize(data = {}) {
+    const displayName = typeof data.displayName === 'string' ? data.displayName.trim() : '';
+    if (!displayName) {
+      throw new ValidationError('displayName is required');
+    }
+
+    const list = value => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value)) {
+        throw new ValidationError('emails and aliases must be arrays of strings');
+      }
+      return [...new Set(value.map(item => String(item).trim()).filter(Boolean))];
+    };
+
+    const emails = list(data.emails);
+    const invalidEmail = emails.find(email => !/^[^@\s]+@[^@\s]+$/.test(email));
+    if (invalidEmail) {
+      throw new ValidationError(`"${invalidEmail}" is not a valid email address`);
+    }
+
+    return {
+      displayName,
+      jiraAccountId: data.jiraAccountId ? String(data.jiraAccountId).trim() : null,
+      githubLogin: data.githubLogin ? String(data.githubLogin).trim() : null,
+      emails,
+      aliases: list(data.aliases)
+    };
+  }
+
+  /**
+   * A JIRA account or GitHub login can only belong to one person
+   */
+  assertUnique(identity, ignoreId = null) {
+    const others = this.identities.filter(other => other.id !== ignoreId);
+
+    if (identity.jiraAccountId && others.some(other => other.jiraAccountId === identity.jiraAccountId)) {
+      throw new ValidationError(`JIRA account ${identity.jiraAccountId} is already mapped`);
+    }
+
+    const login = identity.githubLogin?.toLowerCase();
+    if (login && others.some(other => other.githubLogin?.toLowerCase() === login)) {
+      throw new ValidationError(`GitHub login ${identity.githubLogin} is already mapped`);
+    }
+  }
+
+  /**
+   * Every lower-cased string a person can be referred to by
+   */
+  identifiersOf(identity) {
+    return [
+      identity.displayName,
+      identity.jiraAccountId,
+      identity.githubLogin,
+      ...(identity.emails || []),
+      ...(identity.aliases || [])
+    ]
+      .filter(Boolean)
+      .map(value => value.toLowerCase());
+  }
+
+  /**
+   * Propose mappings for a person by searching both platforms
+   * Email matches are strong evidence, display name matches weaker
+   */
+  async suggest({ name, email }, { jiraClient, githubClient }) {
+    const term = email || name;
+    if (!term) {
+      throw new ValidationError('Provide a name or email to suggest matches for');
+    }
+
+    const [jiraUsers, githubUsers] = await Promise.all([
+      jiraClient.searchUsers(term),
+      githubClient.searchUsers(email ? `${email} in:email` : `${name} in:name`)
+    ]);
+
+    // Search results only carry logins; fetch profiles for names and public emails
+    const githubProfiles = (await Promise.all(
+      githubUsers.slice(0, 5).map(user => githubClient.getUser(user.login))
+    )).filter(Boolean);
+
+    const existing = await this.load();
+    const proposals = [];
+
+    jiraUsers.slice(0, 5).forEach(jiraUser => {
+      const jiraEmail = jiraUser.emailAddress?.toLowerCase();
+      const jiraName = jiraUser.displayName?.toLowerCase();
+
+      const matches = githubProfiles
+        .map(profile => {
+          const reasons = [];
+          // When searching by email, every GitHub hit already matched on it
+          const sharedEmail = (jiraEmail && profile.email?.toLowerCase() === jiraEmail) ||
+            (email && jiraEmail === email.toLowerCase());
+          if (sharedEmail) reasons.push('email');
+          if (jiraName && profile.name?.toLowerCase() === jiraName) reasons.push('display name');
+          return { profile, reasons };
+        })
+        .filter(match => match.reasons.length > 0);
+
+      // A JIRA user with no GitHub match is still worth proposing on its own
+      const candidates = matches.length > 0 ? matches : [{ profile: null, reasons: [] }];
+
+      candidates.forEach(({ profile, reasons }) => {
+        proposals.push({
+          displayName: jiraUser.displayName,
+          jiraAccountId: jiraUser.accountId,
+          githubLogin: profile?.login || null,
+          emails: [...new Set([jiraUser.emailAddress, profile?.email].filter(Boolean))],
+          avatarUrl: jiraUser.avatarUrls?.['48x48'] || profile?.avatar_url || null,
+          confidence: this.confidenceFor(reasons),
+          reasons
+        });
+      });
+    });
+
+    // GitHub users no JIRA user claimed
+    githubProfiles
+      .filter(profile => !proposals.some(proposal => proposal.githubLogin === profile.login))
+      .forEach(profile => {
+        proposals.push({
+          displayName: profile.name || profile.login,
+          jiraAccountId: null,
+          githubLogin: profile.login,
+          emails: profile.email ? [profile.email] : [],
+          avatarUrl: profile.avatar_url || null,
+          confidence: 'low',
+          reasons: []
+        });
+      });
+
+    const rank = { high: 0, medium: 1, low: 2 };
+    return proposals
+      .map(proposal => ({
+        ...proposal,
+        alreadyMapped: existing.some(identity =>
+          (proposal.jiraAccountId && identity.jiraAccountId === proposal.jiraAccountId) ||
+          (proposal.githubLogin && identity.githubLogin?.toLowerCase() === proposal.githubLogin.toLowerCase())
+        )
+      }))
+      .sort((a, b) => rank[a.confidence] - rank[b.confidence]);
+  }
+
+  confidenceFor(reasons) {
+    if (reasons.includes('email')) return 'high';
+    if (reasons.length > 0) return 'medium';
+    return 'low';
+  }
+}
+
+export default IdentityRegistry;
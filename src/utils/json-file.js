@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON File Writer
+ *
+ * Writes one of the small JSON files kept under data/ (identity registry,
+ * digests), one write at a time.
+ *
+ * Creative solutions:
+ * - Writes a temp file and renames it over the original, so a crash
+ *   mid-write never leaves half a file behind
+ * - A failed write rejects only its own caller; the writes queued after
+ *   it still run
+ */
+class JsonFileWriter {
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Write `data` once earlier writes have finished
+   * The data is serialized now, so later changes don't leak into this write
+   */
+  write(data) {
+    const snapshot = JSON.stringify(data, null, 2);
+
+    const write = this.queue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const tmpFile = `${this.file}.tmp`;
+        await fs.writeFile(tmpFile, snapshot);
+        await fs.rename(tmpFile, this.file);
+      });
+
+    this.queue = write;
+    return write;
+  }
+}
+
+export default JsonFileWriter;
@@ -0,0 +1,166 @@
+/**
+ * Pagination helpers shared by the API clients
+ *
+ * Every paged search goes through `paginate`, which keeps requesting
+ * pages until the API runs out or the configured limit is hit. Results
+ * stay plain arrays; how they were paged rides along as `pageInfo` so
+ * callers can tell the user when data was cut off, or that a fetch failed
+ * and its empty result doesn't mean "nothing happened".
+ */
+
+export const DEFAULT_PAGINATION = {
+  pageSize: 100,
+  maxItems: 300
+};
+
+/**
+ * Collect items across pages
+ *
+ * `fetchPage(cursor)` gets null for the first page and returns
+ * { items, next, total } where `next` is the cursor for the following
+ * page (null when there isn't one) and `total` is optional.
+ */
+export async function paginate(fetchPage, { maxItems = DEFAULT_PAGINATION.maxItems } = {}) {
+  const items = [];
+  let cursor = null;
+  let total = null;
+  let hasMore = false;
+
+  do {
+    const page = await fetchPage(cursor);
+    if (!page) break;
+
+    items.push(...page.items);
+    if (typeof page.total === 'number') total = page.total;
+
+    cursor = page.next ?? null;
+    hasMore = cursor !== null && page.items.length > 0;
+  } while (hasMore && items.length < maxItems);
+
+  const truncated = hasMore || items.length > maxItems;
+
+  return withPageInfo(items.slice(0, maxItems), {
+    truncated,
+    fetched: Math.min(items.length, maxItems),
+    total: total ?? (truncated ? null : items.length),
+    limit: maxItems
+  });
+}
+
+/**
+ * Attach paging details to a result array
+ * The cache stores it alongside the items, so it survives a round trip
+ */
+export function withPageInfo(items, info) {
+  items.pageInfo = info;
+  return items;
+}
+
+/**
+ * Empty result for a fetch that failed, for clients that degrade instead
+ * of throwing; `failed` tells it apart from finding nothing
+ * Clients only cache successful fetches, so this is never cached
+ */
+export function failedFetch(error) {
+  return withPageInfo([], {
+    truncated: false,
+    fetched: 0,
+    total: null,
+    limit: 0,
+    failed: true,
+    error: error?.message || String(error)
+  });
+}
+
+/**
+ * Paging details of a result, or null if it wasn't paged
+ */
+export function pageInfoOf(items) {
+  return items?.pageInfo || null;
+}
+
+/**
+ * Next startAt for JIRA's offset-paged endpoints, or null on the last page
+ */
+export function nextJiraStartAt(data) {
+  const startAt = data.startAt || 0;
+  const count = (data.issues || data.values || []).length;
+  if (count === 0 || startAt + count >= data.total) return null;
+  return startAt + count;
+}
+
+/**
+ * Next page token for JIRA's token-paged endpoints, or null on the last page
+ */
+export function nextJiraPageToken(data) {
+  if (data.isLast || !data.nextPageToken) return null;
+  return data.nextPageToken;
+}
+
+/**
+ * Paging details for several results merged into one: truncated if any
+ * of them was, with a total only when every part knew its own, failed
+ * if any part failed
+ */
+export function combinePageInfo(results) {
+  const infos = results.map(pageInfoOf).filter(Boolean);
+  if (infos.length === 0) return null;
+
+  const totals = infos.map(info => info.total);
+  return {
+    truncated: infos.some(info => info.truncated),
+    fetched: infos.reduce((sum, info) => sum + info.fetched, 0),
+    total: totals.every(total => typeof total === 'number') ? totals.reduce((sum, total) => sum + total, 0) : null,
+    limit: infos.reduce((sum, info) => sum + info.limit, 0),
+    failed: infos.some(info => info.failed),
+    error: infos.find(info => info.failed)?.error || null
+  };
+}
+
+/**
+ * Parse an RFC 8288 Link header into { rel: url }
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) links[match[2]] = match[1];
+  });
+
+  return links;
+}
+
+/**
+ * Next page number for GitHub's Link-header paging, or null on the last page
+ */
+export function nextGitHubPage(response, page) {
+  const links = parseLinkHeader(response?.headers?.link);
+  if (!links.next) return null;
+
+  const next = Number(new URL(links.next).searchParams.get('page'));
+  return Number.isFinite(next) && next > 0 ? next : page + 1;
+}
+
+/**
+ * Next cursor from a GraphQL connection's pageInfo, or null on the last page
+ */
+export function nextGraphQLCursor(pageInfo) {
+  return pageInfo?.hasNextPage ? pageInfo.endCursor : null;
+}
+
+/**
+ * Next page number from GitLab's X-Next-Page header, or null on the last page
+ */
+export function nextGitLabPage(response) {
+  const next = Number(response?.headers?.['x-next-page']);
+  return Number.isFinite(next) && next > 0 ? next : null;
+}
+
+/**
+ * Next page URL from a Bitbucket response body, or null on the last page
+ */
+export function nextBitbucketPage(data) {
+  return data?.next || null;
+}
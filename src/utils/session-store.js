@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+/**
+ * Conversation Session Store
+ *
+ * Keeps per-conversation context in memory so follow-up questions
+ * ("What about her PRs?", "And Mike?") can be resolved against the
+ * previous turn.
+ *
+ * Creative solutions:
+ * - Sessions expire after a period of inactivity
+ * - History is capped so AI prompts stay small
+ * - Expired sessions are swept lazily, no timers to clean up
+ */
+class SessionStore {
+  constructor(config = {}) {
+    this.ttl = (config.ttl || 1800) * 1000; // Seconds in config, ms internally
+    this.maxTurns = config.maxTurns || 10;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get a live session, or start a new one if the id is unknown or expired
+   */
+  getOrCreate(id) {
+    this.sweep();
+
+    const existing = id ? this.sessions.get(id) : null;
+    if (existing) {
+      existing.updatedAt = Date.now();
+      return existing;
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      context: null,
+      history: []
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Remember what the last turn resolved to
+   */
+  setContext(session, context) {
+    session.context = { ...context };
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * Append a question/answer pair, keeping only the most recent turns
+   */
+  addTurn(session, question, answer) {
+    session.history.push(
+      { role: 'user', content: question },
+      { role: 'assistant', content: answer }
+    );
+
+    const maxMessages = this.maxTurns * 2;
+    if (session.history.length > maxMessages) {
+      session.history.splice(0, session.history.length - maxMessages);
+    }
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * Drop sessions that have been idle longer than the TTL
+   */
+  sweep() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, session] of this.sessions) {
+      if (session.updatedAt < cutoff) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+export default SessionStore;
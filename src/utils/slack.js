@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+/**
+ * Slack helpers
+ * Replies are written in Markdown; Slack speaks its own "mrkdwn" dialect
+ */
+
+// Requests older than this are rejected, so captured ones can't be replayed
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Convert a Markdown reply to Slack mrkdwn
+ * **bold** becomes *bold*, [text](url) becomes <url|text>, headings
+ * become bold lines and "- " bullets become "•"
+ */
+export function toSlackMarkdown(markdown = '') {
+  return escapeSlack(markdown)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<$2|$1>')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')
+    .replace(/^(\s*)[-*]\s+/gm, '$1• ');
+}
+
+/**
+ * Escape the three characters Slack treats as control sequences
+ */
+export function escapeSlack(text = '') {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Check a request's X-Slack-Signature against the app's signing secret
+ * The signature covers the version, timestamp and the raw body, exactly as sent
+ */
+export function verifySlackSignature(signingSecret, { timestamp, signature, body }, now = Date.now()) {
+  if (!signingSecret || !timestamp || !signature) return false;
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_REQUEST_AGE_SECONDS) return false;
+
+  const expected = Buffer.from(
+    `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`
+  );
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Snapshot Store
+ *
+ * One row per person per day with what the DataEnricher made of that
+ * day's activity (metrics, issue counts by status, commit / PR counts),
+ * so questions about trends don't have to refetch months of history.
+ *
+ * People are keyed by their JIRA account id, or GitHub login when they
+ * only have one (see personKey). Days are local YYYY-MM-DD dates.
+ *
+ * Creative solutions:
+ * - Records days without activity too, so "nothing happened" isn't refetched
+ * - Rewrites a day in place, which makes backfills safe to repeat
+ * - better-sqlite3 is an optional dependency, loaded only when snapshots are on
+ */
+class SnapshotStore {
+  constructor(db) {
+    this.db = db;
+    this.statements = {
+      record: db.prepare('INSERT OR REPLACE INTO snapshots (person, date, name, data, recorded_at) VALUES (?, ?, ?, ?, ?)'),
+      range: db.prepare('SELECT date, name, data, recorded_at FROM snapshots WHERE person = ? AND date >= ? AND date <= ? ORDER BY date'),
+      dates: db.prepare('SELECT date FROM snapshots WHERE person = ? AND date >= ? AND date <= ?'),
+      people: db.prepare(`
+        SELECT person, MAX(name) AS name, COUNT(*) AS days, MIN(date) AS first, MAX(date) AS last
+        FROM snapshots GROUP BY person ORDER BY name
+      `)
+    };
+  }
+
+  static async open(config = {}) {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('activity snapshots need better-sqlite3 (npm install better-sqlite3)');
+    }
+
+    const file = path.resolve(config.file || 'data/snapshots.db');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS snapshots (
+        person TEXT NOT NULL,
+        date TEXT NOT NULL,
+        name TEXT,
+        data TEXT NOT NULL,
+        recorded_at INTEGER NOT NULL,
+        PRIMARY KEY (person, date)
+      )
+    `);
+
+    return new SnapshotStore(db);
+  }
+
+  /**
+   * Save a person's snapshots, replacing any already recorded for those days
+   * Each snapshot is { date, ...counts }
+   */
+  async record(person, name, snapshots) {
+    const now = Date.now();
+    const insert = this.db.transaction(rows => {
+      rows.forEach(({ date, ...data }) => {
+        this.statements.record.run(person, date, name, JSON.stringify(data), now);
+      });
+    });
+    insert(snapshots);
+  }
+
+  /**
+   * A person's snapshots between two dates (inclusive), oldest first
+   */
+  async range(person, start, end) {
+    return this.statements.range.all(person, start, end).map(row => ({
+      date: row.date,
+      ...JSON.parse(row.data),
+      recordedAt: new Date(row.recorded_at).toISOString()
+    }));
+  }
+
+  /**
+   * Which days between two dates already have a snapshot
+   */
+  async recordedDates(person, start, end) {
+    return new Set(this.statements.dates.all(person, start, end).map(row => row.date));
+  }
+
+  /**
+   * Everyone with snapshots, and the days they cover
+   */
+  async people() {
+    return this.statements.people.all();
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Open the snapshot store, or return null when it can't be opened
+ * Comparisons still work without it, they just fetch every day live
+ */
+export async function createSnapshotStore(config = {}) {
+  if (config.enabled === false) return null;
+
+  try {
+    return await SnapshotStore.open(config);
+  } catch (error) {
+    console.warn(`Activity snapshots are off: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stable key for a resolved person
+ */
+export function personKey({ jiraUser, githubUser }) {
+  if (jiraUser?.accountId) return `jira:${jiraUser.accountId}`;
+  if (githubUser?.login) return `github:${githubUser.login.toLowerCase()}`;
+  return null;
+}
+
+export default SnapshotStore;
@@ -0,0 +1,92 @@
+import { pageInfoOf } from './pagination.js';
+
+/**
+ * Helpers shared by the code host clients
+ * Keeps commits, PRs and reviews normalized the same way on every host
+ */
+
+// Review states shared by every host, in GitHub's vocabulary
+export const REVIEW_STATES = {
+  approved: 'APPROVED',
+  changesRequested: 'CHANGES_REQUESTED',
+  commented: 'COMMENTED'
+};
+
+/**
+ * JIRA ticket references in a commit message ("PROJ-123", "fixes PROJ-456")
+ * Linear identifiers ("ENG-123") share the format
+ */
+export function extractJiraTickets(message) {
+  return [...new Set(message.match(/([A-Z]+-\d+)/gi) || [])];
+}
+
+/**
+ * Every issue reference in a commit message, as issue tracker keys:
+ * "PROJ-123" style keys, plus GitHub Issues references ("#12" in the
+ * commit's own repository, or "owner/repo#12") as "owner/repo#12"
+ */
+export function extractTicketReferences(message, repository = null) {
+  const keys = extractJiraTickets(message).map(key => key.toUpperCase());
+
+  const issueRefs = [...message.matchAll(/(?:^|[^\w/.-])([\w.-]+\/[\w.-]+)?#(\d+)\b/g)]
+    .map(([, repo, number]) => repo || repository ? `${repo || repository}#${number}` : null)
+    .filter(Boolean);
+
+  return [...new Set([...keys, ...issueRefs])];
+}
+
+/**
+ * Repositories someone worked in, most recently active first
+ * Commits that failed to load make the repositories a failed fetch too
+ */
+export function summarizeRepositories(commits, limit = 10) {
+  if (pageInfoOf(commits)?.failed) return commits;
+
+  const repos = new Map();
+
+  commits.forEach(commit => {
+    if (!repos.has(commit.repository)) {
+      repos.set(commit.repository, {
+        name: commit.repository,
+        commitCount: 0,
+        lastCommit: commit.date
+      });
+    }
+    const repo = repos.get(commit.repository);
+    repo.commitCount++;
+    if (new Date(commit.date) > new Date(repo.lastCommit)) {
+      repo.lastCommit = commit.date;
+    }
+  });
+
+  return Array.from(repos.values())
+    .sort((a, b) => new Date(b.lastCommit) - new Date(a.lastCommit))
+    .slice(0, limit);
+}
+
+/**
+ * Hours between two timestamps, to one decimal place
+ */
+export function hoursBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / (60 * 60 * 1000) * 10) / 10;
+}
+
+/**
+ * `Promise.all(items.map(fn))` with at most `limit` calls in flight
+ * For per-item requests (one PR's reviews, say) that would otherwise
+ * fire a burst the host's secondary rate limit rejects
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
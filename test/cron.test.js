@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, cronMatches, nextRun } from '../src/utils/cron.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+// Cron runs in local time, so every date here is built in local time too
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('steps', () => {
+  assert.deepEqual([...parseCron('*/15 * * * *').minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.deepEqual([...parseCron('0 0 1-10/3 * *').days], [1, 4, 7, 10]);
+});
+
+test('ranges and lists', () => {
+  assert.deepEqual([...parseCron('0 9-12 * * *').hours], [9, 10, 11, 12]);
+  assert.deepEqual([...parseCron('0,30 8,17 * * *').minutes], [0, 30]);
+  assert.throws(() => parseCron('0 17-9 * * *'), /runs backwards/);
+});
+
+test('month and day names', () => {
+  const cron = parseCron('0 9 * jan-mar mon-fri');
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+
+  assert.deepEqual([...parseCron('0 9 * * 7').weekdays], [0]);
+  assert.deepEqual([...parseCron('0 9 * * SUN').weekdays], [0]);
+});
+
+test('shorthands', () => {
+  assert.ok(cronMatches('@weekly', at(2026, 10, 18)));
+  assert.ok(!cronMatches('@weekly', at(2026, 10, 19)));
+  assert.ok(cronMatches('@hourly', at(2026, 10, 19, 14)));
+});
+
+test('day of month OR day of week when both are restricted', () => {
+  const schedule = '0 9 1 * mon';
+  assert.ok(cronMatches(schedule, at(2026, 10, 1, 9)), 'the 1st, a Thursday');
+  assert.ok(cronMatches(schedule, at(2026, 10, 5, 9)), 'a Monday');
+  assert.ok(!cronMatches(schedule, at(2026, 10, 6, 9)), 'neither');
+});
+
+test('only the restricted day field counts', () => {
+  assert.ok(cronMatches('0 9 13 * *', at(2026, 11, 13, 9)));
+  assert.ok(!cronMatches('0 9 13 * *', at(2026, 11, 14, 9)));
+  assert.ok(cronMatches('0 9 * * fri', at(2026, 11, 13, 9)));
+  assert.ok(!cronMatches('0 9 * * fri', at(2026, 11, 12, 9)));
+});
+
+test('nextRun finds the next slot after a time, never at it', () => {
+  assert.deepEqual(nextRun('0 9 * * mon', at(2026, 10, 18, 10)), at(2026, 10, 19, 9));
+  assert.deepEqual(nextRun('0 9 * * mon', at(2026, 10, 19, 9)), at(2026, 10, 26, 9));
+  assert.deepEqual(nextRun('30 23 31 12 *', at(2026, 1, 1)), at(2026, 12, 31, 23, 30));
+  assert.deepEqual(nextRun('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29));
+});
+
+test('schedules that never run', () => {
+  assert.equal(nextRun('0 0 30 2 *', at(2026, 1, 1)), null);
+  assert.equal(nextRun('0 0 31 4,6,9,11 *', at(2026, 1, 1)), null);
+});
+
+test('invalid expressions', () => {
+  assert.throws(() => parseCron(''), ValidationError);
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /not a valid minute/);
+  assert.throws(() => parseCron('* * * 13 *'), /not a valid month/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => parseCron('* * * * funday'), /not a valid day of week/);
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DigestScheduler from '../src/jobs/digest-scheduler.js';
+import DigestStore from '../src/utils/digest-store.js';
+
+let dir;
+let store;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'digests-'));
+  store = new DigestStore({ file: path.join(dir, 'digests.json') });
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const answer = { status: 200, body: { response: 'Sarah merged 3 PRs.', data: { metrics: { timeframe: 'last 7 days' } } } };
+
+test('delivers an answer through the mock transport and records the run', async () => {
+  const questions = [];
+  const scheduler = new DigestScheduler({
+    digestStore: store,
+    runQuery: async body => {
+      questions.push(body);
+      return answer;
+    }
+  });
+  const digest = await store.create({ name: 'Sarah weekly', schedule: '0 9 * * mon', person: 'Sarah', delivery: { type: 'mock' } });
+
+  const run = await scheduler.run(digest);
+
+  assert.deepEqual(questions, [{ query: 'What has Sarah been working on last 7 days?', refresh: true }]);
+  assert.equal(run.status, 'success');
+  assert.deepEqual(run.delivery, { transport: 'mock', destination: 'outbox' });
+  assert.equal(scheduler.outbox.length, 1);
+  assert.equal(scheduler.outbox[0].subject, 'Sarah weekly: last 7 days');
+  assert.equal(scheduler.outbox[0].text, 'Sarah merged 3 PRs.');
+
+  const [recorded] = await store.runsFor(digest.id);
+  assert.equal(recorded.id, run.id);
+});
+
+test('records a failed query without delivering anything', async () => {
+  const scheduler = new DigestScheduler({
+    digestStore: store,
+    runQuery: async () => ({ status: 400, body: { error: 'Could not extract a name from your query.' } })
+  });
+  const digest = await store.create({ name: 'Broken', schedule: '@daily', question: 'what happened?', delivery: { type: 'mock' } });
+
+  const run = await scheduler.run(digest);
+
+  assert.equal(run.status, 'failure');
+  assert.equal(run.error, 'Could not extract a name from your query.');
+  assert.equal(scheduler.outbox.length, 0);
+});
+
+test('a tick runs the digests due since the last one, skipping unreadable schedules', async () => {
+  const ran = [];
+  const scheduler = new DigestScheduler({
+    digestStore: store,
+    runQuery: async body => {
+      ran.push(body.query);
+      return answer;
+    }
+  });
+  await store.create({ name: 'Mondays', schedule: '0 9 * * mon', person: 'Sarah', delivery: { type: 'mock' } });
+  await store.create({ name: 'Tuesdays', schedule: '0 9 * * tue', person: 'Mike', delivery: { type: 'mock' } });
+  await store.create({ name: 'Paused', schedule: '0 9 * * mon', person: 'Ana', delivery: { type: 'mock' }, enabled: false });
+  // e.g. hand-edited into the file
+  (await store.load()).digests.push({ id: 'bad', name: 'Bad', schedule: 'every monday', person: 'Lee', delivery: { type: 'mock' }, enabled: true });
+
+  scheduler.lastTick = new Date(2026, 9, 19, 8, 58).getTime();
+  await scheduler.tick(new Date(2026, 9, 19, 9, 0, 30));
+
+  assert.deepEqual(ran, ['What has Sarah been working on last 7 days?']);
+});
+
+test('describe redacts delivery credentials', async () => {
+  const scheduler = new DigestScheduler({ digestStore: store, runQuery: async () => answer });
+  const digest = await store.create({
+    name: 'Hooked',
+    schedule: '0 9 * * mon',
+    person: 'Sarah',
+    delivery: { type: 'webhook', url: 'https://example.com/hooks/s3cr3t', headers: { Authorization: 'Bearer token' } }
+  });
+
+  const { delivery } = scheduler.describe(digest);
+  assert.equal(delivery.url, 'https://example.com/…cr3t');
+  assert.deepEqual(delivery.headers, { Authorization: '…' });
+});
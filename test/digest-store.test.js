@@ -0,0 +1,34 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DigestStore from '../src/utils/digest-store.js';
+
+let dir;
+let file;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'digests-'));
+  file = path.join(dir, 'digests.json');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a missing file is an empty store', async () => {
+  const store = new DigestStore({ file });
+  assert.deepEqual(await store.list(), []);
+});
+
+test('an unparseable file is an error and is never overwritten', async () => {
+  const broken = '{ "digests": [ { "name": "Weekly" ], "runs": [] }';
+  await fs.writeFile(file, broken);
+  const store = new DigestStore({ file });
+
+  await assert.rejects(store.list(), /not valid JSON/);
+  await assert.rejects(store.create({ name: 'New', schedule: '@daily', person: 'Sarah', delivery: { type: 'mock' } }), /not valid JSON/);
+  await assert.rejects(store.recordRun({ id: 'r', digestId: 'd', status: 'success' }), /not valid JSON/);
+  assert.equal(await fs.readFile(file, 'utf8'), broken);
+});
@@ -0,0 +1,37 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import IdentityRegistry from '../src/utils/identity-registry.js';
+
+let dir;
+let file;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'identities-'));
+  file = path.join(dir, 'identities.json');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a missing file is an empty registry', async () => {
+  const registry = new IdentityRegistry({ file });
+  assert.deepEqual(await registry.list(), []);
+});
+
+test('an unparseable file is an error and is never overwritten', async () => {
+  const broken = '{ "identities": [ { "displayName": "Sarah", } ] }';
+  await fs.writeFile(file, broken);
+  const registry = new IdentityRegistry({ file });
+
+  await assert.rejects(registry.list(), /not valid JSON/);
+  await assert.rejects(registry.create({ displayName: 'Mike', githubLogin: 'mike' }), /not valid JSON/);
+  assert.equal(await fs.readFile(file, 'utf8'), broken);
+
+  // Fixing the file works without a restart
+  await fs.writeFile(file, JSON.stringify({ identities: [{ id: '1', displayName: 'Sarah' }] }));
+  assert.equal((await registry.list()).length, 1);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LLMQueryParser from '../src/processors/llm-query-parser.js';
+import QueryParser from '../src/processors/query-parser.js';
+import StubProvider from '../src/clients/llm/stub-provider.js';
+
+const now = new Date(2024, 2, 6, 12);
+
+const llmParser = extraction => new LLMQueryParser({
+  provider: new StubProvider({ extraction }),
+  fallback: new QueryParser()
+});
+
+test('model output has the same fields as the regex parser', async () => {
+  const query = 'what is sarah working on this week?';
+  const regexParsed = new QueryParser().parse(query, now);
+  const parsed = await llmParser({ people: ['sarah'], intent: 'general', platforms: [] }).parse(query, now);
+
+  assert.equal(parsed.parsedBy, 'llm');
+  assert.deepEqual(Object.keys(parsed).sort(), Object.keys(regexParsed).sort());
+  assert.equal(parsed.name, 'sarah');
+  assert.equal(parsed.pins, null);
+});
+
+test('pins picked earlier carry through a follow-up', async () => {
+  const context = { name: 'Sarah', pins: { jiraAccountId: 'abc123', githubLogin: 'sarah-c' } };
+  const parsed = await llmParser({ people: [], intent: 'pull_requests', platforms: ['github'] })
+    .parse('what about her pull requests?', now);
+
+  const resolved = new QueryParser().applyContext(parsed, context);
+
+  assert.equal(resolved.name, 'Sarah');
+  assert.deepEqual(resolved.pins, context.pins);
+  assert.equal(resolved.intent, 'pull_requests');
+});
+
+test('malformed model output falls back to the regex parser', async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const parsed = await llmParser({ people: 'Sarah', intent: 'general', platforms: [] })
+      .parse('What is Sarah working on?', now);
+
+    assert.equal(parsed.parsedBy, 'regex');
+    assert.equal(parsed.name, 'Sarah');
+  } finally {
+    console.warn = warn;
+  }
+});
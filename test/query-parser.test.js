@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QueryParser from '../src/processors/query-parser.js';
+
+// Ranges are local calendar dates, so "now" is built in local time too
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour);
+
+// Two-week sprints: sprint 1 starts Monday 2024-01-01, sprint 5 on 2024-02-26
+const parser = new QueryParser({ sprints: { length: 14, anchor: { number: 1, start: '2024-01-01' } } });
+
+// Wednesday
+const now = at(2024, 3, 6);
+
+const range = (query, when = now) => {
+  const { start, end, days } = parser.parse(query, when).dateRange;
+  return { start, end, days };
+};
+
+test('calendar weeks start on Monday', () => {
+  assert.deepEqual(range('what did Sarah do this week'), { start: '2024-03-04', end: '2024-03-06', days: 3 });
+  assert.deepEqual(range('what did Sarah do last week'), { start: '2024-02-26', end: '2024-03-03', days: 7 });
+  assert.deepEqual(range('what has Sarah done since Monday'), { start: '2024-03-04', end: '2024-03-06', days: 3 });
+});
+
+test('quarters', () => {
+  assert.deepEqual(range('what did Sarah ship in Q4 2023'), { start: '2023-10-01', end: '2023-12-31', days: 92 });
+  // The current quarter ends today
+  assert.deepEqual(range('what did Sarah ship in Q1'), { start: '2024-01-01', end: '2024-03-06', days: 66 });
+  // A quarter that hasn't started yet means last year's
+  assert.deepEqual(range('what did Sarah ship in Q2'), { start: '2023-04-01', end: '2023-06-30', days: 91 });
+});
+
+test('sprint numbers', () => {
+  assert.deepEqual(range('what did Sarah do in sprint 3'), { start: '2024-01-29', end: '2024-02-11', days: 14 });
+  assert.deepEqual(range('what did Sarah do in sprint 5'), { start: '2024-02-26', end: '2024-03-06', days: 10 });
+  assert.deepEqual(range('what did Sarah do last sprint'), { start: '2024-02-12', end: '2024-02-25', days: 14 });
+  assert.equal(parser.parse('what did Sarah do in sprint 5', now).dateRange.label, 'sprint 5');
+});
+
+test('sprints we cannot place explain why', () => {
+  const future = parser.parse('what is Sarah doing in sprint 6', now);
+  assert.equal(future.dateRange, null);
+  assert.match(future.dateError, /Sprint 6 hasn't started yet \(it starts 2024-03-11\)/);
+
+  const unconfigured = new QueryParser().parse('what did Sarah do last sprint', now);
+  assert.equal(unconfigured.dateRange, null);
+  assert.match(unconfigured.dateError, /Sprints aren't configured/);
+});
+
+test('last N days, weeks and months', () => {
+  assert.deepEqual(range('what did Sarah do in the last 45 days'), { start: '2024-01-22', end: '2024-03-06', days: 45 });
+  assert.deepEqual(range('what did Sarah do in the past 3 weeks'), { start: '2024-02-15', end: '2024-03-06', days: 21 });
+  assert.deepEqual(range('what did Sarah do in the last 2 months'), { start: '2024-01-07', end: '2024-03-06', days: 60 });
+  assert.equal(parser.parse('what did Sarah do in the last 1 day', now).dateRange.label, 'the last 1 day');
+});
+
+test('explicit ranges', () => {
+  assert.deepEqual(range('what did Sarah do between March 1 and March 4'), { start: '2024-03-01', end: '2024-03-04', days: 4 });
+  assert.deepEqual(range('what did Sarah do from 2024-02-01 to 2024-02-10'), { start: '2024-02-01', end: '2024-02-10', days: 10 });
+  assert.deepEqual(range('Sarah 2024-02-27..2024-02-29'), { start: '2024-02-27', end: '2024-02-29', days: 3 });
+  // Ranges running past today stop at today
+  assert.deepEqual(range('what did Sarah do from 2024-03-01 to 2024-03-20'), { start: '2024-03-01', end: '2024-03-06', days: 6 });
+  // A date without a year that is still to come means last year's
+  assert.deepEqual(range('what did Sarah do between March 1 and March 20'), { start: '2023-03-01', end: '2023-03-20', days: 20 });
+});
+
+test('year rollover', () => {
+  // Wednesday
+  const newYear = at(2024, 1, 3);
+
+  assert.deepEqual(range('what did Sarah do last week', newYear), { start: '2023-12-25', end: '2023-12-31', days: 7 });
+  assert.deepEqual(range('what did Sarah do last month', newYear), { start: '2023-12-01', end: '2023-12-31', days: 31 });
+  assert.deepEqual(range('what did Sarah do in December', newYear), { start: '2023-12-01', end: '2023-12-31', days: 31 });
+  assert.deepEqual(range('what did Sarah do between Dec 20 and Jan 2', newYear), { start: '2023-12-20', end: '2024-01-02', days: 14 });
+  assert.deepEqual(range('what did Sarah do in Q4', newYear), { start: '2023-10-01', end: '2023-12-31', days: 92 });
+  assert.deepEqual(range('what did Sarah do in the last 10 days', newYear), { start: '2023-12-25', end: '2024-01-03', days: 10 });
+});
+
+test('a period still in progress is compared with the same stretch of the one before', () => {
+  // Tuesday, the second day of sprint 5
+  const early = at(2024, 2, 27);
+
+  const sprints = parser.parse('this sprint vs last sprint for Sarah', early).comparison;
+  assert.deepEqual([sprints.current.start, sprints.current.end], ['2024-02-26', '2024-02-27']);
+  assert.deepEqual([sprints.previous.start, sprints.previous.end], ['2024-02-12', '2024-02-13']);
+  assert.equal(sprints.previous.label, 'the first 2 days of sprint 4');
+
+  const trend = parser.parse('is Sarah\'s throughput dropping this sprint?', early).comparison;
+  assert.deepEqual(trend.previous, sprints.previous);
+
+  const weeks = parser.parse('this week compared to last week for Sarah', early).comparison;
+  assert.deepEqual([weeks.previous.start, weeks.previous.end], ['2024-02-19', '2024-02-20']);
+});
+
+test('comparisons with complete or unrelated periods are left alone', () => {
+  const sprints = parser.parse('sprint 4 vs sprint 3 for Sarah', now).comparison;
+  assert.deepEqual([sprints.previous.start, sprints.previous.end], ['2024-01-29', '2024-02-11']);
+
+  // Not the week before, so there is no matching stretch to take
+  const mixed = parser.parse('this week compared to last month for Sarah', now).comparison;
+  assert.deepEqual([mixed.previous.start, mixed.previous.end], ['2024-02-01', '2024-02-29']);
+
+  // By the end of March it is already longer than February
+  const months = parser.parse('this month vs last month for Sarah', at(2024, 3, 31)).comparison;
+  assert.deepEqual([months.previous.start, months.previous.end, months.previous.label], ['2024-02-01', '2024-02-29', 'last month']);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ResponseGenerator from '../src/processors/response-generator.js';
+import DataEnricher from '../src/processors/data-enricher.js';
+
+const enriched = new DataEnricher().enrich(
+  { issues: [{ key: 'PROJ-1', summary: 'Fix login', status: 'In Progress', priority: 'High' }], recentActivity: [] },
+  { commits: [{ message: 'PROJ-1 handle expired sessions', repository: 'web', date: '2024-03-04T10:00:00Z' }] },
+  7
+);
+
+const stubGenerator = (stub = {}) => new ResponseGenerator({ llm: { provider: 'stub', stub } });
+
+// Collects the chunks handed to onToken, with any options passed alongside
+function recorder() {
+  const chunks = [];
+  const onToken = (text, options) => chunks.push(options ? { text, ...options } : text);
+  return { chunks, onToken };
+}
+
+// Keeps the expected fallback warning out of the test output
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('replies come from the provider', async () => {
+  const generator = stubGenerator({ reply: 'Alice fixed the login bug.' });
+
+  const reply = await generator.generateResponse('What is Alice doing?', enriched, 'Alice');
+
+  assert.equal(reply, 'Alice fixed the login bug.');
+  const [call] = generator.llm.calls;
+  assert.equal(call.type, 'chat');
+  assert.match(call.messages.at(-1).content, /What is Alice doing\?/);
+  assert.match(call.messages.at(-1).content, /PROJ-1: Fix login/);
+});
+
+test('conversation history is sent before the prompt', async () => {
+  const generator = stubGenerator({ reply: 'ok' });
+  const history = [
+    { role: 'user', content: 'What is Alice doing?' },
+    { role: 'assistant', content: 'Fixing login.' }
+  ];
+
+  await generator.generateResponse('And last week?', enriched, 'Alice', history);
+
+  const roles = generator.llm.calls[0].messages.map(message => message.role);
+  assert.deepEqual(roles, ['system', 'user', 'assistant', 'user']);
+});
+
+test('streaming hands the reply over chunk by chunk', async () => {
+  const generator = stubGenerator({ reply: 'Alice fixed the login bug.' });
+  const { chunks, onToken } = recorder();
+
+  const reply = await generator.generateResponse('What is Alice doing?', enriched, 'Alice', [], onToken);
+
+  assert.equal(reply, 'Alice fixed the login bug.');
+  assert.deepEqual(chunks, ['Alice ', 'fixed ', 'the ', 'login ', 'bug.']);
+});
+
+test('a failing provider falls back to the template', async () => {
+  const generator = stubGenerator();
+  generator.llm.chat = async () => { throw new Error('rate limited'); };
+
+  const reply = await quietly(() => generator.generateResponse('What is Alice doing?', enriched, 'Alice'));
+
+  assert.equal(reply, generator.generateTemplateResponse('What is Alice doing?', enriched, 'Alice'));
+  assert.match(reply, /PROJ-1/);
+});
+
+test('a stream that breaks off is replaced by the template', async () => {
+  const generator = stubGenerator();
+  generator.llm.stream = async function* () {
+    yield 'Alice ';
+    throw new Error('connection reset');
+  };
+  const { chunks, onToken } = recorder();
+
+  const reply = await quietly(() => generator.generateResponse('What is Alice doing?', enriched, 'Alice', [], onToken));
+
+  const template = generator.generateTemplateResponse('What is Alice doing?', enriched, 'Alice');
+  assert.equal(reply, template);
+  // The partial reply is followed by the whole template, flagged to replace it
+  assert.deepEqual(chunks, ['Alice ', { text: template, replace: true }]);
+});
+
+test('templates are used when no provider is configured', async () => {
+  const generator = new ResponseGenerator({});
+  const { chunks, onToken } = recorder();
+
+  const reply = await generator.generateResponse('What is Alice doing?', enriched, 'Alice', [], onToken);
+
+  assert.equal(generator.useAI, false);
+  assert.equal(reply, generator.generateTemplateResponse('What is Alice doing?', enriched, 'Alice'));
+  assert.deepEqual(chunks, [reply]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifySlackSignature, toSlackMarkdown } from '../src/utils/slack.js';
+
+const SECRET = 'signing-secret';
+const NOW = Date.UTC(2026, 9, 19, 12);
+const TIMESTAMP = String(NOW / 1000);
+
+function sign(body, timestamp = TIMESTAMP, secret = SECRET) {
+  return `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+}
+
+test('accepts a correctly signed request', () => {
+  const body = 'token=x&text=what+is+sarah+working+on';
+  assert.equal(verifySlackSignature(SECRET, { timestamp: TIMESTAMP, signature: sign(body), body }, NOW), true);
+});
+
+test('rejects a tampered body', () => {
+  const signature = sign('text=what+is+sarah+working+on');
+  assert.equal(verifySlackSignature(SECRET, { timestamp: TIMESTAMP, signature, body: 'text=what+is+mike+working+on' }, NOW), false);
+});
+
+test('rejects another secret\'s signature', () => {
+  const body = 'text=hi';
+  assert.equal(verifySlackSignature(SECRET, { timestamp: TIMESTAMP, signature: sign(body, TIMESTAMP, 'other'), body }, NOW), false);
+});
+
+test('rejects a stale timestamp, even when correctly signed', () => {
+  const body = 'text=hi';
+  const stale = String(NOW / 1000 - 6 * 60);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: stale, signature: sign(body, stale), body }, NOW), false);
+
+  const recent = String(NOW / 1000 - 4 * 60);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: recent, signature: sign(body, recent), body }, NOW), true);
+});
+
+test('rejects missing or malformed headers', () => {
+  const body = 'text=hi';
+  assert.equal(verifySlackSignature('', { timestamp: TIMESTAMP, signature: sign(body), body }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: undefined, signature: sign(body), body }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: 'soon', signature: sign(body), body }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: TIMESTAMP, signature: 'v0=abc', body }, NOW), false);
+});
+
+test('converts Markdown replies to mrkdwn', () => {
+  assert.equal(
+    toSlackMarkdown('## Sarah\n- **3** PRs in [acme/api](https://github.com/acme/api) <ok>'),
+    '*Sarah*\n• *3* PRs in <https://github.com/acme/api|acme/api> &lt;ok&gt;'
+  );
+});